@@ -0,0 +1,726 @@
+// functions/[category]/[slug].js
+// Film detail page for /<category>/<slug>, the URL every homepage card and
+// sitemap entry links to. Paths whose first segment isn't a film category
+// (static assets, other routes) fall through to the next handler.
+import { loadMovieCatalog } from '../_lib/movies.js';
+import { loadCategoryRegistry, findCategory } from '../_lib/categories.js';
+import { withCatalogStatus, catalogErrorHeaders } from '../_lib/catalog-cache.js';
+import { getRelatedVideos } from '../_lib/catalog.js';
+import { escapeHTML, truncate, getContentUrl, getEmbedUrl, jsonLd } from '../_lib/format.js';
+import { feedLinks } from '../_lib/feeds.js';
+import { oembedLinks } from '../_lib/embed.js';
+
+export async function onRequest(context) {
+  const { request, params, next } = context;
+  const url = new URL(request.url);
+  const baseUrl = url.origin;
+  const categorySlug = String(params.category || '').toLowerCase();
+  const slug = String(params.slug || '');
+
+  try {
+    // Only the small registry before deciding: every two-segment static asset
+    // (/images/default-poster.jpg) passes through here
+    const categories = await loadCategoryRegistry(context);
+    if (!categories.some(category => category.slug === categorySlug)) {
+      return next();
+    }
+
+    const allVideos = await loadMovieCatalog(context);
+
+    const video = allVideos.find(v => v.category === categorySlug && v.slug === slug);
+    if (!video) {
+      return withCatalogStatus(context, new Response(generateNotFoundHTML(baseUrl, findCategory(categories, categorySlug), allVideos), {
+        status: 404,
+        headers: {
+          'Content-Type': 'text/html; charset=UTF-8',
+          'Cache-Control': 'public, max-age=60'
+        }
+      }));
+    }
+
+    const html = generateFilmPageHTML({
+      video,
+      category: findCategory(categories, categorySlug),
+      categories: categories.filter(category => allVideos.some(v => v.category === category.slug)),
+      related: getRelatedVideos(allVideos, video, 8),
+      baseUrl
+    });
+
+    return withCatalogStatus(context, new Response(html, {
+      headers: {
+        'Content-Type': 'text/html; charset=UTF-8',
+        'Cache-Control': 'public, max-age=300, s-maxage=14400', // edge copy is purged by the GitHub webhook
+        'X-Content-Type-Options': 'nosniff',
+      },
+    }));
+  } catch (error) {
+    console.error('Error generating film page:', error);
+    return new Response(generateErrorHTML(baseUrl), {
+      headers: {
+        'Content-Type': 'text/html; charset=UTF-8',
+        ...catalogErrorHeaders(error)
+      },
+      status: error.retryAfter ? 503 : 500
+    });
+  }
+}
+
+function generateFilmPageHTML({ video, category, categories, related, baseUrl }) {
+  const pageUrl = `${baseUrl}/${video.category}/${video.slug}`;
+  const categoryUrl = `${baseUrl}/?category=${encodeURIComponent(video.category)}`;
+  const posterUrl = video.posterUrl || `${baseUrl}/images/default-poster.jpg`;
+  const description = video.metaDescription || video.description || `Watch ${video.title} online on Rwanda Cinema`;
+  const contentUrl = getContentUrl(video);
+  const embedUrl = getEmbedUrl(video.videoUrl) || contentUrl;
+  const year = video.releaseYear || (video.publishedAt ? new Date(video.publishedAt).getFullYear() : '');
+  const pageTitle = `${video.title}${year ? ` (${year})` : ''} - Watch ${category.name} Online | Rwanda Cinema`;
+
+  const breadcrumbs = [
+    { name: 'Home', url: `${baseUrl}/` },
+    { name: category.name, url: categoryUrl },
+    { name: video.title, url: pageUrl }
+  ];
+
+  const videoObject = {
+    "@type": "VideoObject",
+    "@id": `${pageUrl}#video`,
+    "name": video.title,
+    "description": description,
+    "thumbnailUrl": [posterUrl],
+    "uploadDate": video.publishedAt || video.date,
+    "contentUrl": contentUrl || undefined,
+    "embedUrl": embedUrl || undefined,
+    "duration": video.isoDuration || undefined,
+    "inLanguage": "rw",
+    "genre": category.name,
+    "keywords": video.tags.length ? video.tags.join(', ') : undefined,
+    "url": pageUrl
+  };
+
+  const movie = {
+    "@type": "Movie",
+    "@id": `${pageUrl}#movie`,
+    "name": video.title,
+    "description": description,
+    "image": posterUrl,
+    "url": pageUrl,
+    "genre": category.name,
+    "inLanguage": "rw",
+    "countryOfOrigin": { "@type": "Country", "name": "Rwanda" },
+    "dateCreated": video.releaseYear ? String(video.releaseYear) : undefined,
+    "datePublished": video.publishedAt || undefined,
+    "duration": video.isoDuration || undefined,
+    "keywords": video.tags.length ? video.tags.join(', ') : undefined,
+    "director": people(video.crew, 'Director'),
+    "author": people(video.crew, 'Writer'),
+    "producer": people(video.crew, 'Producer'),
+    "actor": video.cast.length
+      ? video.cast.map(credit => ({ "@type": "Person", "name": credit.name }))
+      : undefined,
+    "video": { "@id": `${pageUrl}#video` }
+  };
+
+  const breadcrumbList = {
+    "@type": "BreadcrumbList",
+    "itemListElement": breadcrumbs.map((item, index) => ({
+      "@type": "ListItem",
+      "position": index + 1,
+      "name": item.name,
+      "item": item.url
+    }))
+  };
+
+  const structuredData = {
+    "@context": "https://schema.org",
+    "@graph": [movie, videoObject, breadcrumbList]
+  };
+
+  return `<!DOCTYPE html>
+<html lang="rw">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+
+    <!-- Essential Meta Tags -->
+    <link rel="canonical" href="${escapeHTML(pageUrl)}" />
+    ${feedLinks(baseUrl, '', 'New films - Rwanda Cinema')}
+    ${feedLinks(baseUrl, '', `${category.name} - Rwanda Cinema`, { category: category.slug })}
+    ${oembedLinks(baseUrl, pageUrl, video.title)}
+    <meta name="theme-color" content="#008753">
+    <meta name="language" content="rw">
+    <link rel="icon" type="image/x-icon" href="/favicon.ico">
+
+    <!-- Primary Meta Tags -->
+    <title>${escapeHTML(pageTitle)}</title>
+    <meta name="description" content="${escapeHTML(truncate(description, 160))}">
+    <meta name="keywords" content="${escapeHTML([video.title, category.name, ...video.tags, 'Rwandan movies', 'Kinyarwanda films', 'watch online'].join(', '))}">
+    <meta name="author" content="Rwanda Cinema">
+    <meta name="robots" content="index, follow, max-image-preview:large, max-snippet:-1, max-video-preview:-1">
+    <script async src="https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=ca-pub-7959421921456132"
+     crossorigin="anonymous"></script>
+
+    <!-- Open Graph / Facebook -->
+    <meta property="og:type" content="video.movie">
+    <meta property="og:url" content="${escapeHTML(pageUrl)}">
+    <meta property="og:title" content="${escapeHTML(`${video.title}${year ? ` (${year})` : ''}`)}">
+    <meta property="og:description" content="${escapeHTML(truncate(description, 200))}">
+    <meta property="og:image" content="${escapeHTML(posterUrl)}">
+    <meta property="og:image:alt" content="${escapeHTML(video.title)} poster">
+    ${/^https:/.test(embedUrl) ? `<meta property="og:video" content="${escapeHTML(embedUrl)}">
+    <meta property="og:video:secure_url" content="${escapeHTML(embedUrl)}">
+    <meta property="og:video:type" content="text/html">` : ''}
+    ${video.durationSeconds ? `<meta property="video:duration" content="${video.durationSeconds}">` : ''}
+    ${video.publishedAt ? `<meta property="video:release_date" content="${escapeHTML(video.publishedAt)}">` : ''}
+    ${video.crew.filter(credit => credit.role === 'Director').map(credit => `<meta property="video:director" content="${escapeHTML(credit.name)}">`).join('\n    ')}
+    ${video.cast.map(credit => `<meta property="video:actor" content="${escapeHTML(credit.name)}">`).join('\n    ')}
+    ${video.tags.map(tag => `<meta property="video:tag" content="${escapeHTML(tag)}">`).join('\n    ')}
+    <meta property="og:locale" content="rw_RW">
+    <meta property="og:site_name" content="Rwanda Cinema">
+
+    <!-- Twitter -->
+    <meta property="twitter:card" content="summary_large_image">
+    <meta property="twitter:url" content="${escapeHTML(pageUrl)}">
+    <meta property="twitter:title" content="${escapeHTML(video.title)}">
+    <meta property="twitter:description" content="${escapeHTML(truncate(description, 200))}">
+    <meta property="twitter:image" content="${escapeHTML(posterUrl)}">
+
+    <!-- Schema.org Structured Data -->
+    <script type="application/ld+json">${jsonLd(structuredData)}</script>
+
+    <style>
+        :root {
+            --primary: #008753;
+            --secondary: #FAD201;
+            --accent: #00A1DE;
+            --dark: #0a0a0a;
+            --card-bg: #1a1a1a;
+            --text-light: #e0e0e0;
+            --border: #333;
+        }
+
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+            font-family: 'Segoe UI', system-ui, sans-serif;
+        }
+
+        body {
+            background: var(--dark);
+            color: white;
+            line-height: 1.6;
+            min-height: 100vh;
+        }
+
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 0 1rem;
+        }
+
+        /* Header */
+        .header {
+            background: var(--primary);
+            padding: 1rem 0;
+            border-bottom: 3px solid var(--secondary);
+        }
+
+        .header-content {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 1rem;
+        }
+
+        .logo {
+            color: white;
+            text-decoration: none;
+            font-size: 1.5rem;
+            font-weight: bold;
+        }
+
+        .search-form {
+            display: flex;
+            gap: 0.5rem;
+            flex: 1;
+            max-width: 500px;
+        }
+
+        .search-input {
+            flex: 1;
+            padding: 0.75rem 1rem;
+            border: none;
+            border-radius: 8px;
+            font-size: 1rem;
+            background: rgba(255,255,255,0.9);
+        }
+
+        .search-button {
+            background: var(--secondary);
+            color: var(--dark);
+            border: none;
+            padding: 0.75rem 1.5rem;
+            border-radius: 8px;
+            cursor: pointer;
+            font-weight: bold;
+        }
+
+        .nav {
+            display: flex;
+            gap: 1rem;
+            flex-wrap: wrap;
+        }
+
+        .nav-link {
+            color: white;
+            text-decoration: none;
+            padding: 0.5rem 1rem;
+            border-radius: 6px;
+            font-weight: 500;
+        }
+
+        .nav-link:hover, .nav-link.active {
+            background: rgba(255,255,255,0.1);
+        }
+
+        /* Breadcrumb */
+        .breadcrumb {
+            background: var(--card-bg);
+            padding: 1rem;
+            border-radius: 8px;
+            margin: 1rem 0;
+            font-size: 0.9rem;
+        }
+
+        .breadcrumb a {
+            color: var(--secondary);
+            text-decoration: none;
+        }
+
+        .breadcrumb span {
+            color: var(--text-light);
+            margin: 0 0.5rem;
+        }
+
+        /* Player */
+        .player {
+            position: relative;
+            width: 100%;
+            aspect-ratio: 16 / 9;
+            background: #000;
+            border-radius: 12px;
+            overflow: hidden;
+            border: 1px solid var(--border);
+        }
+
+        .player iframe, .player video {
+            position: absolute;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+            border: 0;
+        }
+
+        .player-fallback {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            height: 100%;
+            color: var(--text-light);
+        }
+
+        /* Film details */
+        .film {
+            display: grid;
+            grid-template-columns: 220px 1fr;
+            gap: 2rem;
+            margin: 2rem 0;
+        }
+
+        .film-poster img {
+            width: 100%;
+            border-radius: 12px;
+            border: 1px solid var(--border);
+        }
+
+        .film h1 {
+            font-size: 2rem;
+            line-height: 1.2;
+            margin-bottom: 0.75rem;
+        }
+
+        .film-meta {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin-bottom: 1rem;
+        }
+
+        .film-meta span, .film-meta a {
+            background: var(--card-bg);
+            border: 1px solid var(--border);
+            color: var(--text-light);
+            padding: 0.25rem 0.75rem;
+            border-radius: 20px;
+            font-size: 0.85rem;
+            text-decoration: none;
+        }
+
+        .film-meta .quality {
+            background: var(--secondary);
+            color: var(--dark);
+            font-weight: bold;
+        }
+
+        .film-description {
+            color: var(--text-light);
+            margin-bottom: 1.5rem;
+        }
+
+        .film-section {
+            margin: 1.5rem 0;
+        }
+
+        .film-section h2 {
+            color: var(--secondary);
+            font-size: 1.25rem;
+            margin-bottom: 0.75rem;
+        }
+
+        .credits {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+            gap: 0.5rem 1.5rem;
+            list-style: none;
+        }
+
+        .credits .role {
+            color: #999;
+            font-size: 0.9rem;
+        }
+
+        .tags {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+        }
+
+        .tags a {
+            color: var(--secondary);
+            border: 1px solid var(--secondary);
+            padding: 0.2rem 0.75rem;
+            border-radius: 20px;
+            text-decoration: none;
+            font-size: 0.85rem;
+        }
+
+        .film-body {
+            color: var(--text-light);
+        }
+
+        .film-body h2, .film-body h3, .film-body h4 {
+            color: white;
+            margin: 1.25rem 0 0.5rem;
+        }
+
+        .film-body p, .film-body ul, .film-body ol, .film-body blockquote, .film-body pre {
+            margin-bottom: 1rem;
+        }
+
+        .film-body ul, .film-body ol {
+            padding-left: 1.5rem;
+        }
+
+        .film-body a {
+            color: var(--secondary);
+        }
+
+        .film-body img {
+            max-width: 100%;
+            border-radius: 8px;
+        }
+
+        .film-body blockquote {
+            border-left: 3px solid var(--primary);
+            padding-left: 1rem;
+            color: #bbb;
+        }
+
+        .film-body .video-embed {
+            position: relative;
+            aspect-ratio: 16 / 9;
+            margin-bottom: 1rem;
+        }
+
+        .film-body .video-embed iframe {
+            position: absolute;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+        }
+
+        /* Related */
+        .videos-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+            gap: 1.5rem;
+        }
+
+        .video-card {
+            background: var(--card-bg);
+            border-radius: 12px;
+            overflow: hidden;
+            border: 1px solid var(--border);
+            transition: transform 0.3s;
+        }
+
+        .video-card:hover {
+            transform: translateY(-4px);
+        }
+
+        .video-card a {
+            color: inherit;
+            text-decoration: none;
+        }
+
+        .video-card img {
+            width: 100%;
+            aspect-ratio: 16 / 9;
+            object-fit: cover;
+            display: block;
+        }
+
+        .video-card h3 {
+            font-size: 0.95rem;
+            padding: 0.75rem;
+        }
+
+        /* Footer */
+        .footer {
+            background: var(--card-bg);
+            border-top: 3px solid var(--primary);
+            margin-top: 3rem;
+            padding: 2rem 0;
+            text-align: center;
+            color: var(--text-light);
+        }
+
+        .footer a {
+            color: var(--secondary);
+            text-decoration: none;
+            margin: 0 0.5rem;
+        }
+
+        @media (max-width: 768px) {
+            .film {
+                grid-template-columns: 1fr;
+            }
+
+            .film-poster {
+                max-width: 220px;
+            }
+
+            .film h1 {
+                font-size: 1.5rem;
+            }
+        }
+    </style>
+</head>
+<body>
+    <!-- Header -->
+    <header class="header" role="banner">
+        <div class="container">
+            <div class="header-content">
+                <a href="${baseUrl}/" class="logo" aria-label="Rwanda Cinema Home">🎬 Rwanda Cinema</a>
+                <form class="search-form" action="${baseUrl}/" method="GET" role="search">
+                    <input type="text" name="search" class="search-input" placeholder="Search videos..." aria-label="Search videos">
+                    <button type="submit" class="search-button">Search</button>
+                </form>
+                <nav class="nav" role="navigation" aria-label="Main navigation">
+                    <a href="${baseUrl}/" class="nav-link">All Videos</a>
+                    ${categories.map(item => `
+                        <a href="${baseUrl}/?category=${encodeURIComponent(item.slug)}" class="nav-link ${item.slug === video.category ? 'active' : ''}">${item.icon} ${escapeHTML(item.name)}</a>
+                    `).join('')}
+                </nav>
+            </div>
+        </div>
+    </header>
+
+    <main class="container" role="main">
+        <!-- Breadcrumb -->
+        <nav class="breadcrumb" aria-label="Breadcrumb">
+            <a href="${baseUrl}/">Home</a>
+            <span>></span>
+            <a href="${escapeHTML(categoryUrl)}">${escapeHTML(category.name)}</a>
+            <span>></span>
+            <span aria-current="page">${escapeHTML(video.title)}</span>
+        </nav>
+
+        <!-- Player -->
+        <div class="player">
+            ${generatePlayer(video, embedUrl, posterUrl)}
+        </div>
+
+        <article class="film">
+            <div class="film-poster">
+                <img src="${escapeHTML(posterUrl)}" alt="${escapeHTML(video.title)} poster" onerror="this.src='${baseUrl}/images/default-poster.jpg'">
+            </div>
+
+            <div class="film-details">
+                <h1>${escapeHTML(video.title)}</h1>
+
+                <div class="film-meta">
+                    ${year ? `<span>${year}</span>` : ''}
+                    ${video.formattedDuration ? `<span>${escapeHTML(video.formattedDuration)}</span>` : ''}
+                    <a href="${escapeHTML(categoryUrl)}">${category.icon} ${escapeHTML(category.name)}</a>
+                    <span class="quality">${escapeHTML(video.quality || 'HD')}</span>
+                </div>
+
+                ${video.description ? `<p class="film-description">${escapeHTML(video.description)}</p>` : ''}
+
+                ${video.cast.length ? `
+                <section class="film-section">
+                    <h2>Cast</h2>
+                    <ul class="credits">
+                        ${video.cast.map(credit => `
+                            <li><strong>${escapeHTML(credit.name)}</strong>${credit.role ? ` <span class="role">as ${escapeHTML(credit.role)}</span>` : ''}</li>
+                        `).join('')}
+                    </ul>
+                </section>
+                ` : ''}
+
+                ${video.crew.length ? `
+                <section class="film-section">
+                    <h2>Crew</h2>
+                    <ul class="credits">
+                        ${video.crew.map(credit => `
+                            <li><strong>${escapeHTML(credit.name)}</strong>${credit.role ? ` <span class="role">${escapeHTML(credit.role)}</span>` : ''}</li>
+                        `).join('')}
+                    </ul>
+                </section>
+                ` : ''}
+
+                ${video.tags.length ? `
+                <section class="film-section">
+                    <h2>Tags</h2>
+                    <div class="tags">
+                        ${video.tags.map(tag => `<a href="${baseUrl}/?search=${encodeURIComponent(tag)}">#${escapeHTML(tag)}</a>`).join('')}
+                    </div>
+                </section>
+                ` : ''}
+
+                ${video.bodyHtml ? `
+                <section class="film-section film-body">
+                    ${video.bodyHtml}
+                </section>
+                ` : ''}
+            </div>
+        </article>
+
+        ${related.length ? `
+        <section class="film-section">
+            <h2>More like ${escapeHTML(video.title)}</h2>
+            <div class="videos-grid">
+                ${related.map(item => generateRelatedCard(item, baseUrl)).join('')}
+            </div>
+        </section>
+        ` : ''}
+    </main>
+
+    <!-- Footer -->
+    <footer class="footer" role="contentinfo">
+        <div class="container">
+            <p>
+                <a href="${baseUrl}/about">About</a>
+                <a href="${baseUrl}/contact">Contact</a>
+                <a href="${baseUrl}/privacy">Privacy Policy</a>
+                <a href="${baseUrl}/terms">Terms of Service</a>
+            </p>
+            <p>&copy; ${new Date().getFullYear()} Inyarwanda Films. All rights reserved.</p>
+        </div>
+    </footer>
+</body>
+</html>`;
+}
+
+// YouTube/Odysee and other hosted players are iframes; direct video files play natively
+function generatePlayer(video, embedUrl, posterUrl) {
+  if (!embedUrl) {
+    return `<div class="player-fallback">This video is not available right now.</div>`;
+  }
+  if (/\.(mp4|webm|m3u8)(\?|$)/i.test(embedUrl)) {
+    return `<video controls preload="metadata" poster="${escapeHTML(posterUrl)}" src="${escapeHTML(embedUrl)}"></video>`;
+  }
+  return `<iframe src="${escapeHTML(embedUrl)}" title="${escapeHTML(video.title)}" loading="lazy"
+                allow="accelerometer; autoplay; encrypted-media; gyroscope; picture-in-picture; fullscreen" allowfullscreen></iframe>`;
+}
+
+function generateRelatedCard(video, baseUrl) {
+  const posterUrl = video.posterUrl || `${baseUrl}/images/default-poster.jpg`;
+  return `
+                <div class="video-card">
+                    <a href="${baseUrl}/${video.category}/${video.slug}">
+                        <img src="${escapeHTML(posterUrl)}" alt="${escapeHTML(video.title)}" loading="lazy" onerror="this.src='${baseUrl}/images/default-poster.jpg'">
+                        <h3>${escapeHTML(truncate(video.title, 60))}</h3>
+                    </a>
+                </div>`;
+}
+
+// Schema.org Person list for one crew job, or undefined when nobody has it
+function people(credits, role) {
+  const names = credits.filter(credit => credit.role === role);
+  if (names.length === 0) return undefined;
+  return names.map(credit => ({ "@type": "Person", "name": credit.name }));
+}
+
+function generateNotFoundHTML(baseUrl, category, allVideos) {
+  const suggestions = allVideos.filter(v => v.category === category.slug).slice(0, 6);
+  return `<!DOCTYPE html>
+<html lang="rw">
+<head>
+    <meta charset="UTF-8">
+    <title>Film not found - Rwanda Cinema</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <style>
+        body { background: #0a0a0a; color: white; text-align: center; padding: 4rem 2rem; font-family: system-ui; }
+        h1 { color: #FAD201; margin-bottom: 1rem; }
+        ul { list-style: none; padding: 0; margin: 2rem 0; }
+        li { margin: 0.5rem 0; }
+        li a { color: #e0e0e0; }
+        .button { background: #008753; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block; margin-top: 1rem; }
+    </style>
+</head>
+<body>
+    <h1>Film Not Found</h1>
+    <p>We couldn't find that ${escapeHTML(category.name.toLowerCase())} film. It may have been renamed or removed.</p>
+    ${suggestions.length ? `
+    <ul>
+        ${suggestions.map(v => `<li><a href="${baseUrl}/${v.category}/${v.slug}">${escapeHTML(v.title)}</a></li>`).join('')}
+    </ul>
+    ` : ''}
+    <a class="button" href="${baseUrl}/?category=${encodeURIComponent(category.slug)}">Browse ${escapeHTML(category.name)}</a>
+</body>
+</html>`;
+}
+
+function generateErrorHTML(baseUrl) {
+  return `<!DOCTYPE html>
+<html lang="rw">
+<head>
+    <title>Error - Rwanda Cinema</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { background: #0a0a0a; color: white; text-align: center; padding: 4rem 2rem; font-family: system-ui; }
+        h1 { color: #FAD201; margin-bottom: 1rem; }
+        a { background: #008753; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block; margin-top: 1rem; }
+    </style>
+</head>
+<body>
+    <h1>Something Went Wrong</h1>
+    <p>We're having trouble loading this film. Please try again later.</p>
+    <a href="${baseUrl}/">Go Back Home</a>
+</body>
+</html>`;
+}
@@ -0,0 +1,151 @@
+// functions/_lib/api.js
+// Shared plumbing for the public read-only catalog API (/api/videos,
+// /api/translated): paging, ?fields= selection, ETags and CORS. Filtering and
+// sorting come from queryMovies/queryTranslated, the same code the HTML
+// listings use, so the API and the site always agree.
+import { catalogErrorHeaders, withCatalogStatus } from './catalog-cache.js';
+import { getPageSize, parsePage, paginate } from './pagination.js';
+import { getEmbedUrl } from './format.js';
+import { jsonResponse } from './http.js';
+
+const MAX_LIMIT = 100;
+
+export const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': 'If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag, X-Catalog-Status'
+};
+
+// Bookkeeping about where an entry came from, not part of the public shape
+const PRIVATE_FIELDS = ['sourcePath', 'downloadUrl', 'htmlUrl', 'filename'];
+
+// Answer a CORS preflight or reject other methods; null for GET/HEAD
+export function checkMethod(request) {
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: { ...CORS_HEADERS, 'Access-Control-Max-Age': '86400' } });
+  }
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return jsonResponse({ error: 'Method not allowed' }, 405, { ...CORS_HEADERS, 'Allow': 'GET, HEAD, OPTIONS' });
+  }
+  return null;
+}
+
+/**
+ * One page of a listing in the API's envelope. ?page= and ?limit= (default
+ * LISTING_PAGE_SIZE, at most 100) pick the page; a page past the end is empty.
+ * @param {Object[]} items the full, filtered and sorted listing
+ * @param {URL} url request URL (page, limit and fields are read from it)
+ * @param {Object} env
+ * @param {(item: Object) => Object} serialize public shape of one item
+ */
+export function listBody(items, url, env, serialize) {
+  const limit = parseInt(url.searchParams.get('limit'));
+  const pagination = paginate(
+    items,
+    parsePage(url.searchParams.get('page')),
+    limit > 0 ? Math.min(limit, MAX_LIMIT) : getPageSize(env)
+  );
+  const fields = readFields(url);
+
+  return {
+    total: pagination.total,
+    page: pagination.page,
+    limit: pagination.pageSize,
+    totalPages: pagination.totalPages,
+    items: pagination.items.map(item => selectFields(serialize(item), fields))
+  };
+}
+
+// ?fields=slug,title,posterUrl -> ['slug', 'title', 'posterUrl']; null for all
+export function readFields(url) {
+  const fields = (url.searchParams.get('fields') || '').split(',').map(field => field.trim()).filter(Boolean);
+  return fields.length ? fields : null;
+}
+
+export function selectFields(item, fields) {
+  if (!fields) return item;
+  return Object.fromEntries(fields.filter(field => field in item).map(field => [field, item[field]]));
+}
+
+// A catalog entry without its content source bookkeeping
+export function publicFields(video) {
+  const entry = { ...video };
+  PRIVATE_FIELDS.forEach(field => delete entry[field]);
+  return entry;
+}
+
+// Public shape of a film, with its page and embed URLs
+export function serializeFilm(video, baseUrl) {
+  return {
+    ...publicFields(video),
+    url: `${baseUrl}/${video.category}/${video.slug}`,
+    embedUrl: getEmbedUrl(video.videoUrl)
+  };
+}
+
+// Public shape of an agasobanuye entry. Series cards (see collapseSeries)
+// point at their latest episode instead of embedding it.
+export function serializeTranslated(video, baseUrl) {
+  const entry = {
+    ...publicFields(video),
+    url: watchUrl(video, baseUrl),
+    embedUrl: getEmbedUrl(video.videoUrl)
+  };
+  if (video.latestEpisode) {
+    entry.latestEpisode = {
+      slug: video.latestEpisode.slug,
+      title: video.latestEpisode.episodeTitle || video.latestEpisode.title,
+      seasonNumber: video.latestEpisode.seasonNumber,
+      episodeNumber: video.latestEpisode.episodeNumber,
+      url: watchUrl(video.latestEpisode, baseUrl)
+    };
+  }
+  return entry;
+}
+
+function watchUrl(video, baseUrl) {
+  return `${baseUrl}/watch/${video.contentType === 'TV-SERIES' ? 'tv-series' : 'movie'}/${video.slug}`;
+}
+
+/**
+ * JSON response with a strong ETag over the body; a matching If-None-Match
+ * gets 304. Cached like the category registry (five minutes) and downgraded by
+ * withCatalogStatus when the catalogs are degraded.
+ */
+export async function apiResponse(context, data) {
+  const body = JSON.stringify(data);
+  const etag = `"${await sha1(body)}"`;
+  const headers = {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'public, max-age=300',
+    'ETag': etag,
+    ...CORS_HEADERS
+  };
+
+  if (matchesETag(context.request.headers.get('If-None-Match'), etag)) {
+    return withCatalogStatus(context, new Response(null, { status: 304, headers }));
+  }
+  return withCatalogStatus(context, new Response(context.request.method === 'HEAD' ? null : body, { headers }));
+}
+
+export function apiNotFound(message) {
+  return jsonResponse({ error: message }, 404, { ...CORS_HEADERS, 'Cache-Control': 'public, max-age=60' });
+}
+
+export function apiError(error, message) {
+  return jsonResponse({ error: message }, error.retryAfter ? 503 : 500, {
+    ...CORS_HEADERS,
+    ...catalogErrorHeaders(error)
+  });
+}
+
+function matchesETag(header, etag) {
+  if (!header) return false;
+  return header.trim() === '*' || header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+async function sha1(text) {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,29 @@
+// functions/_lib/auth.js
+// Admin-only endpoints authenticate with "Authorization: Bearer <ADMIN_TOKEN>".
+import { jsonResponse } from './http.js';
+
+// null when the request may continue, otherwise the response to send back
+export function requireAdmin(request, env) {
+  if (!env.ADMIN_TOKEN) {
+    console.error('ADMIN_TOKEN is not configured');
+    return jsonResponse({ error: 'Admin access not configured' }, 503);
+  }
+
+  const header = request.headers.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token || !timingSafeEqual(token, env.ADMIN_TOKEN)) {
+    return jsonResponse({ error: 'Unauthorized' }, 401, { 'WWW-Authenticate': 'Bearer' });
+  }
+
+  return null;
+}
+
+// Compare without bailing out early so response timing doesn't leak the secret
+export function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
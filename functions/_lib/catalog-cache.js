@@ -0,0 +1,280 @@
+// functions/_lib/catalog-cache.js
+// Shared cache for the parsed catalogs (films, agasobanuye) so page requests
+// don't have to walk the GitHub content tree on every hit.
+
+const DEFAULT_TTL = 600;          // 10 minutes fresh
+const DEFAULT_STALE_TTL = 86400;  // serve stale for up to a day while revalidating
+const KEEP_TTL = 30 * 86400;      // keep the last good copy around for when the source is down
+const MIN_BACKOFF = 30;           // seconds before retrying a failed load, doubling per failure
+const MAX_BACKOFF = 900;
+const CACHE_KEY_PREFIX = 'catalog:';
+
+// One in-memory store per isolate; used when no KV/Cache API is available (local dev, tests)
+const memoryStore = createMemoryStore();
+
+// Refreshes already running in this isolate, keyed by catalog key
+const inflight = new Map();
+
+// Requests that were answered from a catalog whose last refresh failed
+const degradedRequests = new WeakMap();
+
+// Cache entries are { storedAt, value, failure? }. `failure` records the last
+// failed refresh ({ count, at, retryAt, message }); while it is set and retryAt
+// hasn't passed, nothing hits the content source and the last good value (if
+// any) is served as degraded. An entry with storedAt 0 only tracks a failure.
+export async function getCachedCatalog(context, key, loader) {
+  const { env } = context;
+  const store = getCatalogStore(env);
+  const settings = getCacheSettings(env);
+  const now = Date.now();
+
+  let entry = null;
+  try {
+    entry = await store.get(CACHE_KEY_PREFIX + key);
+  } catch (error) {
+    console.warn(`Catalog cache read failed for ${key}:`, error.message);
+  }
+
+  const failure = entry && entry.failure;
+  const backingOff = Boolean(failure && failure.retryAt > now);
+
+  if (entry && entry.storedAt) {
+    const age = (now - entry.storedAt) / 1000;
+
+    // Fresh: serve straight from cache
+    if (age < settings.ttl) return entry.value;
+
+    // Stale, or the source is failing: serve what we have and refresh in the background
+    if (age < settings.ttl + settings.staleTtl || backingOff) {
+      if (!backingOff) {
+        const refresh = refreshCatalog(store, key, loader, settings, entry);
+        if (typeof context.waitUntil === 'function') {
+          context.waitUntil(refresh.catch(() => {}));
+        } else {
+          refresh.catch(() => {});
+        }
+      }
+      if (failure) markDegraded(context, key, failure);
+      return entry.value;
+    }
+
+    // Expired: reload, but fall back to the last good copy if that fails
+    try {
+      return await refreshCatalog(store, key, loader, settings, entry);
+    } catch (error) {
+      markDegraded(context, key, error.failure || failure);
+      return entry.value;
+    }
+  }
+
+  // Nothing cached yet
+  if (backingOff) throw unavailableError(key, failure);
+  return refreshCatalog(store, key, loader, settings, entry);
+}
+
+// { degraded, catalogs, retryAfter } for a request: degraded when any catalog it
+// used came from the last good copy because the content source is failing
+export function catalogStatus(context) {
+  const status = degradedRequests.get(context);
+  if (!status) return { degraded: false, catalogs: [], retryAfter: 0 };
+  return {
+    degraded: true,
+    catalogs: [...status.catalogs],
+    retryAfter: Math.max(0, Math.ceil((status.retryAt - Date.now()) / 1000))
+  };
+}
+
+// Downgrade a page rendered from degraded catalogs: a short browser-only
+// Cache-Control so the edge doesn't keep it for hours, and X-Catalog-Status
+export function withCatalogStatus(context, response) {
+  if (catalogStatus(context).degraded) {
+    response.headers.set('Cache-Control', 'public, max-age=60');
+    response.headers.set('X-Catalog-Status', 'degraded');
+  }
+  return response;
+}
+
+// Headers for the error page when no catalog could be loaded at all
+export function catalogErrorHeaders(error) {
+  const headers = { 'Cache-Control': 'no-store' };
+  if (error && error.retryAfter) headers['Retry-After'] = String(error.retryAfter);
+  return headers;
+}
+
+function markDegraded(context, key, failure) {
+  const status = degradedRequests.get(context) || { catalogs: new Set(), retryAt: 0 };
+  status.catalogs.add(key);
+  status.retryAt = Math.max(status.retryAt, failure ? failure.retryAt : 0);
+  degradedRequests.set(context, status);
+}
+
+function unavailableError(key, failure) {
+  const error = new Error(`The ${key} catalog is unavailable: ${failure.message}`);
+  error.failure = failure;
+  error.retryAfter = Math.max(1, Math.ceil((failure.retryAt - Date.now()) / 1000));
+  return error;
+}
+
+export async function readCatalog(env, key) {
+  const entry = await getCatalogStore(env).get(CACHE_KEY_PREFIX + key);
+  return entry ? entry.value : null;
+}
+
+export async function invalidateCatalog(env, key) {
+  const store = getCatalogStore(env);
+  await store.delete(CACHE_KEY_PREFIX + key);
+}
+
+export async function writeCatalog(env, key, value) {
+  const store = getCatalogStore(env);
+  await store.put(CACHE_KEY_PREFIX + key, { storedAt: Date.now(), value }, getCacheSettings(env).keepTtl);
+}
+
+// Replace or drop individual entries of a cached catalog without a full reload.
+// Returns false when there is nothing cached to patch (the next request rebuilds it).
+export async function patchCatalog(env, key, { upserts = [], removals = [], sort }) {
+  const current = await readCatalog(env, key);
+  if (!current) return false;
+
+  // Entries cached before sourcePath existed can't be matched reliably
+  if (current.some(item => !item.sourcePath)) {
+    await invalidateCatalog(env, key);
+    return false;
+  }
+
+  const replaced = new Set([...removals, ...upserts.map(item => item.sourcePath)]);
+  const next = current.filter(item => !replaced.has(item.sourcePath)).concat(upserts);
+  await writeCatalog(env, key, sort ? sort(next) : next);
+  return true;
+}
+
+function refreshCatalog(store, key, loader, settings, previous) {
+  // Collapse concurrent refreshes of the same catalog into one load
+  if (inflight.has(key)) return inflight.get(key);
+
+  const promise = (async () => {
+    try {
+      let value;
+      try {
+        value = await loader();
+      } catch (error) {
+        throw await recordFailure(store, key, settings, previous, error);
+      }
+      try {
+        await store.put(CACHE_KEY_PREFIX + key, { storedAt: Date.now(), value }, settings.keepTtl);
+      } catch (error) {
+        console.warn(`Catalog cache write failed for ${key}:`, error.message);
+      }
+      return value;
+    } finally {
+      inflight.delete(key);
+    }
+  })();
+
+  inflight.set(key, promise);
+  return promise;
+}
+
+// Remember a failed load next to the last good value and work out when to try
+// again: whatever the source asked for (error.retryAt), or exponential backoff
+async function recordFailure(store, key, settings, previous, error) {
+  const now = Date.now();
+  const count = ((previous && previous.failure && previous.failure.count) || 0) + 1;
+  const backoff = Math.min(MIN_BACKOFF * 2 ** (count - 1), MAX_BACKOFF) * 1000;
+  const failure = {
+    count,
+    at: now,
+    retryAt: Math.max(now + backoff, error.retryAt || 0),
+    message: error.message
+  };
+
+  console.error(`Loading the ${key} catalog failed (attempt ${count}), retrying after ${new Date(failure.retryAt).toISOString()}:`, error.message);
+
+  try {
+    const entry = previous && previous.storedAt
+      ? { storedAt: previous.storedAt, value: previous.value, failure }
+      : { storedAt: 0, value: null, failure };
+    await store.put(CACHE_KEY_PREFIX + key, entry, settings.keepTtl);
+  } catch (writeError) {
+    console.warn(`Catalog cache write failed for ${key}:`, writeError.message);
+  }
+
+  error.failure = failure;
+  error.retryAfter = Math.max(1, Math.ceil((failure.retryAt - now) / 1000));
+  return error;
+}
+
+function getCacheSettings(env) {
+  const ttl = parseInt(env.CATALOG_CACHE_TTL) || DEFAULT_TTL;
+  const staleTtl = parseInt(env.CATALOG_STALE_TTL) || DEFAULT_STALE_TTL;
+  return { ttl, staleTtl, keepTtl: Math.max(ttl + staleTtl, KEEP_TTL) };
+}
+
+// Pick the best available backend: Workers KV, then the Cache API, then memory
+export function getCatalogStore(env) {
+  if (env.CATALOG_KV) return createKVStore(env.CATALOG_KV);
+  if (typeof caches !== 'undefined' && caches.default) return createCacheApiStore(caches.default);
+  return memoryStore;
+}
+
+export function createKVStore(namespace) {
+  return {
+    async get(key) {
+      return namespace.get(key, { type: 'json' });
+    },
+    async put(key, entry, expirationTtl) {
+      await namespace.put(key, JSON.stringify(entry), { expirationTtl });
+    },
+    async delete(key) {
+      await namespace.delete(key);
+    }
+  };
+}
+
+export function createCacheApiStore(cache) {
+  // The Cache API is keyed by URL, so catalog keys get a synthetic internal URL
+  const toRequest = key => new Request(`https://catalog-cache.internal/${encodeURIComponent(key)}`);
+
+  return {
+    async get(key) {
+      const response = await cache.match(toRequest(key));
+      return response ? response.json() : null;
+    },
+    async put(key, entry, expirationTtl) {
+      await cache.put(toRequest(key), new Response(JSON.stringify(entry), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': `max-age=${expirationTtl}`
+        }
+      }));
+    },
+    async delete(key) {
+      await cache.delete(toRequest(key));
+    }
+  };
+}
+
+export function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return null;
+      if (item.expiresAt < Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return item.entry;
+    },
+    async put(key, entry, expirationTtl) {
+      entries.set(key, { entry, expiresAt: Date.now() + expirationTtl * 1000 });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
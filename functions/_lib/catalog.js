@@ -0,0 +1,523 @@
+// functions/_lib/catalog.js
+// Catalog models shared by the films and agasobanuye pages: normalization turns
+// raw frontmatter into the shapes below so every page sees the same fields.
+import { generateSlug, convertDurationToISO, formatDurationForDisplay, parseDuration, formatDate } from './format.js';
+import { renderMarkdown } from './markdown.js';
+
+/**
+ * Fields both catalogs share after normalization.
+ * @typedef {Object} CatalogEntry
+ * @property {string} slug
+ * @property {string} title
+ * @property {string} description
+ * @property {string} videoUrl
+ * @property {string} duration          Duration as written in the frontmatter
+ * @property {number|null} durationSeconds
+ * @property {string} isoDuration       ISO 8601, '' when unknown
+ * @property {string} formattedDuration "1h 30m" style label, '' when unknown
+ * @property {number|null} releaseYear
+ * @property {number|null} score       Viewer score out of 10, null when unscored
+ * @property {string} publishedAt       ISO date used for "newest first" ordering
+ * @property {string} bodyHtml          Sanitized HTML of the markdown after the frontmatter
+ * @property {string} sourcePath        Path of the markdown file in the content source
+ */
+
+/**
+ * A film from content/movies/<category>/<slug>.md
+ * @typedef {CatalogEntry & {
+ *   category: string,
+ *   date: string,
+ *   posterUrl: string,
+ *   metaDescription: string,
+ *   tags: string[],
+ *   quality: string,
+ *   views: number,
+ *   likes: number,
+ *   cast: Credit[],
+ *   crew: Credit[]
+ * }} Video
+ */
+
+/**
+ * A person credited on a film. `role` is the character for cast members and
+ * the job ("Director", "Writer", "Producer") for crew.
+ * @typedef {{ name: string, role: string }} Credit
+ */
+
+/**
+ * An agasobanuye entry from content/translated/[Title][TYPE][Translator].md
+ * @typedef {CatalogEntry & {
+ *   filename: string,
+ *   contentType: 'MOVIE'|'TV-SERIES',
+ *   translator: string,
+ *   translatorSlug: string,
+ *   uploadDate: string,
+ *   formattedDate: string,
+ *   poster: string,
+ *   genre: string[],
+ *   quality: string,
+ *   views: number,
+ *   likes: number,
+ *   tagline: string,
+ *   plot: string,
+ *   trailerUrl: string,
+ *   cast: Credit[],
+ *   voiceCast: Credit[],
+ *   crew: Credit[],
+ *   subtitleLanguages: string[],
+ *   ageRestriction: number|null,
+ *   contentWarnings: string[],
+ *   awards: string[],
+ *   nominations: string[],
+ *   productionCompanies: string[],
+ *   distributors: string[],
+ *   filmingLocations: string[],
+ *   metaKeywords: string[],
+ *   seriesTitle?: string,
+ *   seriesSlug?: string,
+ *   seasonNumber?: number,
+ *   episodeNumber?: number,
+ *   episodeTitle?: string
+ * }} TranslatedVideo
+ *
+ * TV-SERIES files are single episodes; the series* and *Number fields place
+ * them in their series (see groupSeries).
+ */
+
+/**
+ * A translated TV series assembled from its episode files.
+ * @typedef {Object} Series
+ * @property {string} slug                 Shared seriesSlug of the episodes
+ * @property {string} title
+ * @property {string[]} translators
+ * @property {{ number: number, episodes: TranslatedVideo[] }[]} seasons  In order
+ * @property {TranslatedVideo[]} episodes  Every episode, season by season
+ * @property {TranslatedVideo} latestEpisode  Highest season and episode number
+ * @property {string} publishedAt          Newest episode's publishedAt
+ */
+
+/**
+ * @param {Object} data frontmatter
+ * @param {{ category: string, slug: string, sourcePath: string, body?: string }} file
+ * @returns {Video}
+ */
+export function normalizeVideo(data, { category, slug, sourcePath, body }) {
+  const video = {
+    ...data,
+    category: String(data.category || category),
+    slug: String(data.slug || slug),
+    title: String(data.title || slug),
+    description: data.description || '',
+    metaDescription: data.metaDescription || '',
+    posterUrl: data.posterUrl || data.youtubeThumbnail || '',
+    videoUrl: data.videoUrl || '',
+    date: data.date || data.createdAt || '',
+    tags: toList(data.tags),
+    releaseYear: toYear(data.releaseYear),
+    views: Number(data.views) || 0,
+    likes: Number(data.likes) || 0,
+    cast: [...toCredits(data.cast || data.mainCast, ''), ...toCredits(data.supportingCast, '')],
+    crew: [
+      ...toCredits(data.director || data.directors, 'Director'),
+      ...toCredits(data.writer || data.writers, 'Writer'),
+      ...toCredits(data.producer || data.producers, 'Producer'),
+      ...toCredits(data.crew, '')
+    ],
+    sourcePath
+  };
+
+  return withCommonFields(video, video.date, body);
+}
+
+/**
+ * @param {Object} data frontmatter
+ * @param {{ filename: string, title: string, contentType: string, translator: string,
+ *           downloadUrl?: string, htmlUrl?: string, sourcePath: string, body?: string }} file
+ * @returns {TranslatedVideo}
+ */
+export function normalizeTranslatedVideo(data, file) {
+  const translator = String(data.translator || file.translator).trim();
+  // Undated uploads keep an empty publishedAt and sort after every dated one
+  const uploadDate = data.dateAdded || data.uploadDate || '';
+
+  const video = {
+    ...data,
+    filename: file.filename,
+    title: String(data.title || file.title.replace(/-/g, ' ').trim()),
+    slug: String(data.slug || generateSlug(file.title)),
+    contentType: normalizeContentType(data.contentType || file.contentType),
+    translator,
+    translatorSlug: generateSlug(translator),
+    downloadUrl: file.downloadUrl,
+    htmlUrl: file.htmlUrl,
+    duration: data.runtime || data.duration,
+    quality: data.quality || data.videoQuality || 'HD',
+    uploadDate,
+    poster: data.posterUrl || data.thumbnailUrl || '',
+    videoUrl: data.videoUrl || '',
+    description: data.description || data.shortDescription || '',
+    releaseYear: toYear(data.releaseYear),
+    genre: toList(data.genre || data.genres),
+    views: Number(data.views) || 0,
+    likes: Number(data.likes) || 0,
+    // AddAgas.html writes the IMDb rating; `score` wins when set by hand
+    score: data.score ?? data.imdbRating,
+    // Detail fields collected by AddAgas.html
+    tagline: String(data.tagline || ''),
+    plot: String(data.plot || ''),
+    trailerUrl: data.trailerUrl || '',
+    cast: [...toCredits(data.mainCast || data.cast, ''), ...toCredits(data.supportingCast, '')],
+    voiceCast: toCredits(data.voiceCast, ''),
+    crew: [
+      ...toCredits(data.director, 'Director'),
+      ...toCredits(data.writer, 'Writer'),
+      ...toCredits(data.producer, 'Producer'),
+      ...toCredits(data.cinematographer, 'Cinematographer'),
+      ...toCredits(data.composer, 'Composer'),
+      ...toCredits(data.editor, 'Editor')
+    ],
+    subtitleLanguages: toList(data.subtitleLanguages),
+    ageRestriction: toAge(data.ageRestriction),
+    contentWarnings: toList(data.contentWarnings),
+    awards: toList(data.awards),
+    nominations: toList(data.nominations),
+    productionCompanies: toList(data.productionCompanies),
+    distributors: toList(data.distributors),
+    filmingLocations: toList(data.filmingLocations),
+    metaKeywords: toList(data.metaKeywords),
+    sourcePath: file.sourcePath
+  };
+
+  if (video.contentType === 'TV-SERIES') {
+    Object.assign(video, episodeFields(data, video));
+  }
+
+  const date = new Date(uploadDate);
+  if (!isNaN(date)) {
+    video.formattedDate = formatDate(date);
+  }
+
+  return withCommonFields(video, uploadDate, file.body);
+}
+
+// Series and position of an episode. AddAgas.html gives every episode the
+// series title (and so the same slug), so episodes get their own slug
+// "<series>-s01e02" unless the file sets a distinct one. Older files that put
+// the episode in the title ("Prison Break S01E02") are understood too.
+function episodeFields(data, video) {
+  const fromTitle = parseEpisodeTitle(video.title);
+  const seriesTitle = String(data.seriesTitle || data.series || fromTitle.seriesTitle).trim();
+  const seriesSlug = String(data.seriesSlug || generateSlug(seriesTitle));
+  const seasonNumber = toPositive(data.seasonNumber ?? data.season) || fromTitle.season || 1;
+  const episodeNumber = toPositive(data.episodeNumber ?? data.episode) || fromTitle.episode || 1;
+  const pad = number => String(number).padStart(2, '0');
+
+  return {
+    seriesTitle,
+    seriesSlug,
+    seasonNumber,
+    episodeNumber,
+    episodeTitle: String(data.episodeTitle || ''),
+    slug: data.slug && String(data.slug) !== seriesSlug
+      ? String(data.slug)
+      : `${seriesSlug}-s${pad(seasonNumber)}e${pad(episodeNumber)}`
+  };
+}
+
+// "Prison Break S01E02" for an episode, the title for anything else
+export function episodeTitle(video) {
+  if (video.contentType !== 'TV-SERIES' || !video.episodeNumber) return video.title;
+  const pad = number => String(number).padStart(2, '0');
+  return `${video.seriesTitle || video.title} S${pad(video.seasonNumber)}E${pad(video.episodeNumber)}`;
+}
+
+const EPISODE_TITLE_PATTERN = /^(.*?)[\s:|–-]*(?:S(\d{1,2})\s*E(\d{1,3})|Season\s*(\d{1,2})\s*Episode\s*(\d{1,3})|(?:Episode|Ep\.?|Igice)\s*(\d{1,3}))$/i;
+
+function parseEpisodeTitle(title) {
+  const match = title.trim().match(EPISODE_TITLE_PATTERN);
+  if (!match || !match[1].trim()) return { seriesTitle: title };
+  return {
+    seriesTitle: match[1].trim(),
+    season: Number(match[2] || match[4]) || null,
+    episode: Number(match[3] || match[5] || match[6]) || null
+  };
+}
+
+function withCommonFields(video, dateValue, body) {
+  // YAML may hand us a bare number ("duration: 90"); keep it as written
+  const duration = video.duration === null || video.duration === undefined ? '' : String(video.duration);
+  const date = new Date(dateValue || NaN);
+
+  video.duration = duration;
+  video.durationSeconds = parseDuration(duration);
+  video.isoDuration = video.isoDuration || convertDurationToISO(duration);
+  video.formattedDuration = formatDurationForDisplay(duration);
+  video.score = toScore(video.score);
+  video.publishedAt = isNaN(date) ? '' : date.toISOString();
+  video.bodyHtml = renderMarkdown(body);
+  return video;
+}
+
+export function normalizeContentType(type) {
+  const value = String(type || '').trim().toUpperCase().replace(/[\s_]+/g, '-');
+  if (value === 'TV-SERIES' || value === 'TV-SHOW' || value === 'SERIES' || value === 'TV') return 'TV-SERIES';
+  return value || 'MOVIE';
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  if (typeof value === 'string' && value.trim()) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+// "Name", ["Name", ...], [{ name, role|character|job }, ...] or { Name: role } -> Credit[]
+function toCredits(value, defaultRole) {
+  if (!value) return [];
+  if (typeof value === 'string') {
+    return toList(value).map(name => ({ name, role: defaultRole }));
+  }
+  if (Array.isArray(value)) {
+    return value
+      .map(item => item && typeof item === 'object'
+        ? { name: String(item.name || '').trim(), role: String(item.role || item.character || item.job || defaultRole).trim() }
+        : { name: String(item).trim(), role: defaultRole })
+      .filter(credit => credit.name);
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value).map(([name, role]) => ({ name, role: String(role || defaultRole) }));
+  }
+  return [];
+}
+
+function toYear(value) {
+  const year = parseInt(value);
+  return year > 0 ? year : null;
+}
+
+function toPositive(value) {
+  const number = parseInt(value);
+  return number > 0 ? number : null;
+}
+
+// Minimum viewer age; 0 means suitable for all ages
+function toAge(value) {
+  const age = parseInt(value);
+  return age >= 0 ? age : null;
+}
+
+// `score` rather than `rating`: films use `rating` for G/PG/PG-13/R. Agasobanuye
+// fall back to imdbRating (see normalizeTranslatedVideo).
+function toScore(value) {
+  const score = parseFloat(value);
+  return score >= 0 && score <= 10 ? score : null;
+}
+
+// Newest first by publishedAt
+export function sortByPublished(videos) {
+  return videos.sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+}
+
+// ?sort= values for listings, in dropdown order; the first is the default
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'views', label: 'Most viewed' },
+  { value: 'rating', label: 'Top rated' },
+  { value: 'title', label: 'A–Z' },
+  { value: 'year', label: 'Release year' },
+  { value: 'longest', label: 'Longest' },
+  { value: 'shortest', label: 'Shortest' }
+];
+
+// Film listings have no "Top rated": AddVideo.html only writes `rating`, the
+// G/PG content rating, so films carry no score to rank by
+export const FILM_SORT_OPTIONS = SORT_OPTIONS.filter(option => option.value !== 'rating');
+
+// Each sort is a list of [value, direction] keys tried in turn
+const SORT_KEYS = {
+  newest: [],
+  views: [[video => video.views, -1]],
+  rating: [[video => video.score, -1], [video => video.likes, -1]],
+  title: [[video => video.title.toLowerCase(), 1]],
+  year: [[video => video.releaseYear, -1]],
+  longest: [[video => video.durationSeconds, -1]],
+  shortest: [[video => video.durationSeconds, 1]]
+};
+
+// One of `options` (SORT_OPTIONS or FILM_SORT_OPTIONS), otherwise the default
+export function parseSort(value, options = SORT_OPTIONS) {
+  return options.some(option => option.value === value) ? value : options[0].value;
+}
+
+/**
+ * Sorted copy of `videos` (the cached catalog is never reordered in place).
+ * Entries missing the sorted field go last whatever the direction; ties fall
+ * back to newest first, then title, so every order is deterministic.
+ * @param {CatalogEntry[]} videos
+ * @param {string} sort one of SORT_OPTIONS
+ */
+export function sortVideos(videos, sort) {
+  const keys = [
+    ...(SORT_KEYS[sort] || []),
+    [video => video.publishedAt || null, -1],
+    [video => video.title.toLowerCase(), 1],
+    [video => video.slug, 1]
+  ];
+
+  return [...videos].sort((a, b) => {
+    for (const [valueOf, direction] of keys) {
+      const order = compareValues(valueOf(a), valueOf(b), direction);
+      if (order) return order;
+    }
+    return 0;
+  });
+}
+
+function compareValues(a, b, direction) {
+  const missingA = a === null || a === undefined || a === '';
+  const missingB = b === null || b === undefined || b === '';
+  if (missingA || missingB) return missingA - missingB;
+  if (typeof a === 'string') return direction * a.localeCompare(b);
+  return direction * (a - b);
+}
+
+export function searchVideos(videos, query) {
+  if (!query) return videos;
+
+  const searchTerm = query.toLowerCase();
+  const matches = value => typeof value === 'string' && value.toLowerCase().includes(searchTerm);
+  const listMatches = list => Array.isArray(list) && list.some(matches);
+
+  return videos.filter(video =>
+    matches(video.title) ||
+    matches(video.originalTitle) ||
+    matches(video.description) ||
+    matches(video.metaDescription) ||
+    matches(video.translator) ||
+    matches(video.category) ||
+    listMatches(video.tags) ||
+    listMatches(video.genre) ||
+    listMatches(video.metaKeywords)
+  );
+}
+
+// Latest `limit` videos per group, newest first
+function groupLatest(videos, keyOf, limit, groups = {}) {
+  videos.forEach(video => {
+    const key = keyOf(video);
+    if (!key) return;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(video);
+  });
+
+  Object.keys(groups).forEach(key => {
+    groups[key] = sortByPublished([...groups[key]]).slice(0, limit);
+  });
+
+  return groups;
+}
+
+// Films to suggest next to `video`: same category first, then shared tags,
+// newest first within each group
+export function getRelatedVideos(videos, video, limit = 8) {
+  const tags = new Set((video.tags || []).map(tag => tag.toLowerCase()));
+  const score = other =>
+    (other.category === video.category ? 2 : 0) +
+    (other.tags || []).filter(tag => tags.has(tag.toLowerCase())).length;
+
+  return videos
+    .filter(other => other !== video && !(other.category === video.category && other.slug === video.slug))
+    .map(other => ({ other, score: score(other) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || new Date(b.other.publishedAt || 0) - new Date(a.other.publishedAt || 0))
+    .slice(0, limit)
+    .map(({ other }) => other);
+}
+
+/**
+ * Group TV-SERIES episodes by seriesSlug.
+ * @param {TranslatedVideo[]} videos
+ * @returns {Map<string, Series>}
+ */
+export function groupSeries(videos) {
+  const bySlug = new Map();
+  videos.forEach(video => {
+    if (video.contentType !== 'TV-SERIES') return;
+    if (!bySlug.has(video.seriesSlug)) bySlug.set(video.seriesSlug, []);
+    bySlug.get(video.seriesSlug).push(video);
+  });
+
+  const series = new Map();
+  bySlug.forEach((episodes, slug) => {
+    episodes.sort((a, b) =>
+      a.seasonNumber - b.seasonNumber ||
+      a.episodeNumber - b.episodeNumber ||
+      new Date(a.publishedAt || 0) - new Date(b.publishedAt || 0));
+
+    const seasons = [];
+    episodes.forEach(episode => {
+      const last = seasons[seasons.length - 1];
+      if (last && last.number === episode.seasonNumber) last.episodes.push(episode);
+      else seasons.push({ number: episode.seasonNumber, episodes: [episode] });
+    });
+
+    const latestEpisode = episodes[episodes.length - 1];
+    series.set(slug, {
+      slug,
+      title: latestEpisode.seriesTitle,
+      translators: [...new Set(episodes.map(episode => episode.translator))],
+      seasons,
+      episodes,
+      latestEpisode,
+      publishedAt: episodes.reduce((newest, episode) =>
+        (episode.publishedAt || '') > newest ? episode.publishedAt : newest, '')
+    });
+  });
+
+  return series;
+}
+
+/**
+ * Replace the episodes in a listing with one card per series, placed where
+ * its newest listed episode was. Cards carry the latest episode's fields plus
+ * isSeries, episodeCount, seasonCount and latestEpisode; views and likes are
+ * totals over all episodes.
+ * @param {TranslatedVideo[]} videos  listing to collapse (may be filtered)
+ * @param {Map<string, Series>} [series]  groups built from the full catalog
+ */
+export function collapseSeries(videos, series = groupSeries(videos)) {
+  const seen = new Set();
+  return videos.flatMap(video => {
+    if (video.contentType !== 'TV-SERIES') return [video];
+    if (seen.has(video.seriesSlug)) return [];
+    seen.add(video.seriesSlug);
+
+    const group = series.get(video.seriesSlug);
+    if (!group) return [video];
+    return [{
+      ...group.latestEpisode,
+      slug: group.slug,
+      title: group.title,
+      isSeries: true,
+      episodeCount: group.episodes.length,
+      seasonCount: group.seasons.length,
+      latestEpisode: group.latestEpisode,
+      views: group.episodes.reduce((total, episode) => total + episode.views, 0),
+      likes: group.episodes.reduce((total, episode) => total + episode.likes, 0)
+    }];
+  });
+}
+
+export function getLatestVideosByCategory(videos, limit = 8) {
+  return groupLatest(videos, video => video.category, limit);
+}
+
+export function getLatestVideosByType(videos, limit = 8) {
+  return groupLatest(
+    videos.filter(video => video.contentType === 'MOVIE' || video.contentType === 'TV-SERIES'),
+    video => video.contentType,
+    limit,
+    { 'MOVIE': [], 'TV-SERIES': [] }
+  );
+}
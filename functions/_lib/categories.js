@@ -0,0 +1,78 @@
+// functions/_lib/categories.js
+// Film category registry: every folder under content/movies is a category, and
+// content/categories.json (optional) supplies display names, Kinyarwanda labels,
+// icons and sort order, e.g.
+//   [{ "slug": "kids", "name": "Kids", "nameRw": "Abana", "icon": "🧸", "order": 6 }]
+import { getCachedCatalog } from './catalog-cache.js';
+import { createContentSource } from './content-source.js';
+
+export const CATEGORIES_FILE = 'content/categories.json';
+export const MOVIES_DIR = 'content/movies';
+
+// Labels for the original categories when categories.json doesn't describe them
+const DEFAULT_CATEGORIES = [
+  { slug: 'comedy', name: 'Comedy', nameRw: 'Urwenya', icon: '😂', order: 1 },
+  { slug: 'drama', name: 'Drama', nameRw: 'Ikinamico', icon: '🎭', order: 2 },
+  { slug: 'action', name: 'Action', nameRw: 'Imirwano', icon: '💥', order: 3 },
+  { slug: 'music', name: 'Music', nameRw: 'Umuziki', icon: '🎶', order: 4 },
+  { slug: 'documentary', name: 'Documentary', nameRw: 'Filime mbarankuru', icon: '🎥', order: 5 }
+];
+
+export async function loadCategoryRegistry(context) {
+  return getCachedCatalog(context, 'categories', () => discoverCategories(createContentSource(context.env)));
+}
+
+export async function discoverCategories(source) {
+  const [folders, configured] = await Promise.all([
+    source.listDirectories(MOVIES_DIR),
+    readCategoriesFile(source)
+  ]);
+
+  // Categories exist if they have a folder or are declared; defaults only supply labels
+  let slugs = [...new Set([...folders, ...configured.map(category => category.slug)])];
+  if (slugs.length === 0) {
+    slugs = DEFAULT_CATEGORIES.map(category => category.slug);
+  }
+
+  return slugs
+    .map((slug, index) => normalizeCategory({
+      slug,
+      order: 100 + index,
+      ...DEFAULT_CATEGORIES.find(category => category.slug === slug),
+      ...configured.find(category => category.slug === slug)
+    }))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+export function findCategory(categories, slug) {
+  return categories.find(category => category.slug === slug) ||
+    normalizeCategory({ slug });
+}
+
+async function readCategoriesFile(source) {
+  // A missing file means "no labels"; a failed read propagates so the registry
+  // isn't cached without them
+  const content = await source.read(CATEGORIES_FILE);
+  if (!content) return [];
+
+  try {
+    const parsed = JSON.parse(content);
+    const list = Array.isArray(parsed) ? parsed : parsed.categories;
+    return Array.isArray(list) ? list.filter(category => category && category.slug) : [];
+  } catch (error) {
+    console.warn(`Invalid ${CATEGORIES_FILE}:`, error.message);
+    return [];
+  }
+}
+
+function normalizeCategory(category) {
+  const slug = String(category.slug).toLowerCase().trim();
+  const name = category.name || slug.charAt(0).toUpperCase() + slug.slice(1);
+  return {
+    slug,
+    name,
+    nameRw: category.nameRw || name,
+    icon: category.icon || '🎬',
+    order: Number.isFinite(Number(category.order)) ? Number(category.order) : 999
+  };
+}
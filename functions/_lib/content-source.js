@@ -0,0 +1,164 @@
+// functions/_lib/content-source.js
+// Where the markdown content lives. Every source exposes the same methods:
+//   listMarkdown(dir)   -> [{ path, name, ... }] markdown files directly inside dir
+//   listDirectories(dir) -> [name] folders directly inside dir
+//   readAll(files)      -> [content | null] in the same order
+//   read(path, ref)     -> content | null
+//   describe(path)      -> file descriptor for a single path
+// Selected with env.CONTENT_SOURCE = 'github' (default) | 'local' | 'r2'.
+import { fetchRepoTree, filesInDirectory, directoriesIn, fetchBlobContents, fetchFileContent, repoFile, mapWithConcurrency } from './github.js';
+
+const DEFAULT_REPO = 'burnac321/Inyarwanda-Films';
+
+export function createContentSource(env) {
+  const type = (env.CONTENT_SOURCE || 'github').toLowerCase();
+
+  switch (type) {
+    case 'github':
+      return createGitHubSource({
+        token: env.GITHUB_TOKEN,
+        repo: contentRepo(env),
+        ref: env.GITHUB_BRANCH || 'HEAD'
+      });
+    case 'local':
+      return createLocalSource({ root: env.CONTENT_DIR || '.' });
+    case 'r2':
+      if (!env.CONTENT_BUCKET) throw new Error('CONTENT_SOURCE is "r2" but no CONTENT_BUCKET binding is configured');
+      return createBucketSource({ bucket: env.CONTENT_BUCKET, prefix: env.CONTENT_PREFIX || '' });
+    default:
+      throw new Error(`Unknown CONTENT_SOURCE: ${env.CONTENT_SOURCE}`);
+  }
+}
+
+// owner/repo holding the content when it comes from GitHub
+export function contentRepo(env) {
+  return env.CONTENT_REPO || env.GITHUB_REPO || DEFAULT_REPO;
+}
+
+export function createGitHubSource({ token, repo, ref = 'HEAD' }) {
+  // The tree is listed once per source and shared by every listing call
+  let treePromise = null;
+  const getTree = () => {
+    if (!treePromise) treePromise = fetchRepoTree(token, repo, ref);
+    return treePromise;
+  };
+
+  return {
+    type: 'github',
+    repo,
+    async listMarkdown(dir) {
+      return filesInDirectory(await getTree(), dir);
+    },
+    async listDirectories(dir) {
+      return directoriesIn(await getTree(), dir);
+    },
+    async readAll(files) {
+      return fetchBlobContents(token, repo, files);
+    },
+    async read(path, atRef = ref) {
+      return fetchFileContent(token, repo, path, atRef);
+    },
+    describe(path) {
+      return repoFile(repo, ref, path);
+    }
+  };
+}
+
+// Reads a checkout of the content repo from disk (wrangler dev with nodejs_compat, scripts, tests)
+export function createLocalSource({ root }) {
+  const loadFs = async () => {
+    const [fs, nodePath] = await Promise.all([import('node:fs/promises'), import('node:path')]);
+    return { fs, nodePath };
+  };
+
+  const describe = path => ({ path, name: path.split('/').pop() });
+
+  return {
+    type: 'local',
+    root,
+    async listMarkdown(dir) {
+      const { fs, nodePath } = await loadFs();
+      let entries;
+      try {
+        entries = await fs.readdir(nodePath.join(root, dir), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      return entries
+        .filter(entry => entry.isFile() && entry.name.endsWith('.md'))
+        .map(entry => describe(`${dir.replace(/\/$/, '')}/${entry.name}`));
+    },
+    async listDirectories(dir) {
+      const { fs, nodePath } = await loadFs();
+      try {
+        const entries = await fs.readdir(nodePath.join(root, dir), { withFileTypes: true });
+        return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+    async readAll(files) {
+      return Promise.all(files.map(file => this.read(file.path)));
+    },
+    async read(path) {
+      const { fs, nodePath } = await loadFs();
+      try {
+        return await fs.readFile(nodePath.join(root, path), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    describe
+  };
+}
+
+// R2 (or any binding with the same list/get API) holding the content tree under `prefix`
+export function createBucketSource({ bucket, prefix = '' }) {
+  const keyFor = path => prefix ? `${prefix.replace(/\/$/, '')}/${path}` : path;
+  const describe = path => ({ path, name: path.split('/').pop() });
+
+  return {
+    type: 'r2',
+    async listMarkdown(dir) {
+      const listPrefix = keyFor(dir.replace(/\/$/, '') + '/');
+      const files = [];
+      let cursor;
+
+      do {
+        const page = await bucket.list({ prefix: listPrefix, delimiter: '/', cursor });
+        page.objects
+          .filter(object => object.key.endsWith('.md'))
+          .forEach(object => files.push(describe(object.key.slice(keyFor('').length))));
+        cursor = page.truncated ? page.cursor : undefined;
+      } while (cursor);
+
+      return files;
+    },
+    async listDirectories(dir) {
+      const listPrefix = keyFor(dir.replace(/\/$/, '') + '/');
+      const names = [];
+      let cursor;
+
+      do {
+        const page = await bucket.list({ prefix: listPrefix, delimiter: '/', cursor });
+        (page.delimitedPrefixes || []).forEach(prefix => {
+          names.push(prefix.slice(listPrefix.length).replace(/\/$/, ''));
+        });
+        cursor = page.truncated ? page.cursor : undefined;
+      } while (cursor);
+
+      return names;
+    },
+    async readAll(files) {
+      return mapWithConcurrency(files, 6, file => this.read(file.path));
+    },
+    async read(path) {
+      const object = await bucket.get(keyFor(path));
+      return object ? object.text() : null;
+    },
+    describe
+  };
+}
@@ -0,0 +1,35 @@
+// functions/_lib/edge-cache.js
+// Drops rendered pages from Cloudflare's cache so catalog updates show up right away.
+
+const PURGE_BATCH_SIZE = 30; // Cloudflare purge_cache accepts up to 30 files per call
+
+export async function purgePages(env, urls) {
+  const unique = [...new Set(urls)];
+  if (unique.length === 0) return;
+
+  // Cache API entries in this data center
+  if (typeof caches !== 'undefined' && caches.default) {
+    await Promise.all(unique.map(url => caches.default.delete(url).catch(() => false)));
+  }
+
+  // Zone-wide purge, only when API credentials are configured
+  if (!env.CLOUDFLARE_ZONE_ID || !env.CLOUDFLARE_API_TOKEN) return;
+
+  for (let i = 0; i < unique.length; i += PURGE_BATCH_SIZE) {
+    try {
+      const response = await fetch(`https://api.cloudflare.com/client/v4/zones/${env.CLOUDFLARE_ZONE_ID}/purge_cache`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${env.CLOUDFLARE_API_TOKEN}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ files: unique.slice(i, i + PURGE_BATCH_SIZE) })
+      });
+      if (!response.ok) {
+        console.warn('Cloudflare cache purge failed:', response.status);
+      }
+    } catch (error) {
+      console.warn('Cloudflare cache purge failed:', error.message);
+    }
+  }
+}
@@ -0,0 +1,263 @@
+// functions/_lib/embed.js
+// Embeddable players for other sites: /embed/<category>/<slug> for films and
+// /embed/watch/<slug> for agasobanuye (a series slug plays its latest
+// episode), plus the lookups /oembed uses to turn a page URL into one.
+import { loadMovieCatalog } from './movies.js';
+import { loadTranslatedCatalog } from './translated.js';
+import { loadCategoryRegistry } from './categories.js';
+import { withCatalogStatus, catalogErrorHeaders } from './catalog-cache.js';
+import { groupSeries, episodeTitle } from './catalog.js';
+import { escapeHTML, getEmbedUrl } from './format.js';
+
+export const SITE_NAME = 'Rwanda Cinema';
+// Default player size; oEmbed consumers may ask for a smaller one
+export const EMBED_WIDTH = 640;
+export const EMBED_HEIGHT = 360;
+
+const CONTENT_TYPES = { 'movie': 'MOVIE', 'tv-series': 'TV-SERIES' };
+
+/**
+ * @typedef {Object} EmbedTarget
+ * @property {Object} video the film or agasobanuye entry that plays
+ * @property {string} title
+ * @property {string} author translator, or '' for films
+ * @property {string} posterUrl
+ * @property {string} pageUrl page on the site the player links back to
+ * @property {string} embedUrl /embed/... URL of the player page
+ */
+
+// Film at /<category>/<slug>; null when there is no such film
+export async function findFilmTarget(context, categorySlug, slug, baseUrl) {
+  const [videos, categories] = await Promise.all([
+    loadMovieCatalog(context),
+    loadCategoryRegistry(context)
+  ]);
+  const category = String(categorySlug).toLowerCase();
+  if (!categories.some(c => c.slug === category)) return null;
+
+  const video = videos.find(v => v.category === category && v.slug === slug);
+  if (!video) return null;
+
+  return {
+    video,
+    title: video.title,
+    author: '',
+    posterUrl: video.posterUrl || '',
+    pageUrl: `${baseUrl}/${video.category}/${video.slug}`,
+    embedUrl: `${baseUrl}/embed/${video.category}/${video.slug}`
+  };
+}
+
+/**
+ * Agasobanuye entry for a slug: a film, an episode or a series (its latest
+ * episode plays, the series page is linked). `typeSlug` ('movie' or
+ * 'tv-series', from a /watch/ URL) limits the match; without it films are
+ * tried before episodes, as in /api/translated/<slug>.
+ */
+export async function findTranslatedTarget(context, slug, baseUrl, typeSlug) {
+  const videos = await loadTranslatedCatalog(context);
+  const contentType = typeSlug ? CONTENT_TYPES[typeSlug] : null;
+  if (typeSlug && !contentType) return null;
+
+  const matches = videos.filter(v => v.slug === slug && (!contentType || v.contentType === contentType));
+  const video = matches.find(v => v.contentType === 'MOVIE') || matches[0];
+  if (video) {
+    const type = video.contentType === 'MOVIE' ? 'movie' : 'tv-series';
+    return {
+      video,
+      title: episodeTitle(video),
+      author: video.translator,
+      posterUrl: video.poster || '',
+      pageUrl: `${baseUrl}/watch/${type}/${video.slug}`,
+      embedUrl: `${baseUrl}/embed/watch/${video.slug}`
+    };
+  }
+
+  const series = contentType !== 'MOVIE' ? groupSeries(videos).get(slug) : null;
+  if (!series) return null;
+
+  return {
+    video: series.latestEpisode,
+    title: series.title,
+    author: series.translators.join(', '),
+    posterUrl: series.latestEpisode.poster || '',
+    pageUrl: `${baseUrl}/watch/tv-series/${series.slug}`,
+    embedUrl: `${baseUrl}/embed/watch/${series.slug}`
+  };
+}
+
+/**
+ * The target behind a URL on this site: a film or watch page, or one of the
+ * embed pages themselves. null for other URLs.
+ * @param {URL} target
+ */
+export async function findTargetByUrl(context, target, baseUrl) {
+  let segments;
+  try {
+    segments = target.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    // Malformed percent-encoding: no page of ours has that path
+    return null;
+  }
+
+  if (segments[0] === 'embed') {
+    if (segments.length !== 3) return null;
+    return segments[1] === 'watch'
+      ? findTranslatedTarget(context, segments[2], baseUrl)
+      : findFilmTarget(context, segments[1], segments[2], baseUrl);
+  }
+  if (segments.length === 3 && segments[0] === 'watch') {
+    return findTranslatedTarget(context, segments[2], baseUrl, segments[1]);
+  }
+  if (segments.length === 2) {
+    return findFilmTarget(context, segments[0], segments[1], baseUrl);
+  }
+  return null;
+}
+
+// oEmbed discovery tags for a film or watch page head
+export function oembedLinks(baseUrl, pageUrl, title) {
+  const href = format => `${baseUrl}/oembed?url=${encodeURIComponent(pageUrl)}&format=${format}`;
+  return [
+    `<link rel="alternate" type="application/json+oembed" href="${escapeHTML(href('json'))}" title="${escapeHTML(title)}">`,
+    `<link rel="alternate" type="text/xml+oembed" href="${escapeHTML(href('xml'))}" title="${escapeHTML(title)}">`
+  ].join('\n    ');
+}
+
+// <iframe> markup other sites paste (or get from /oembed)
+export function embedIframe(target, width = EMBED_WIDTH, height = EMBED_HEIGHT) {
+  return `<iframe src="${escapeHTML(target.embedUrl)}" width="${width}" height="${height}" title="${escapeHTML(target.title)}" frameborder="0" allow="autoplay; encrypted-media; picture-in-picture; fullscreen" allowfullscreen></iframe>`;
+}
+
+/**
+ * Response for an embed route: the player page, or a small not-found page.
+ * `find` resolves the target and may throw catalog errors.
+ * @param {() => Promise<EmbedTarget|null>} find
+ */
+export async function embedResponse(context, find) {
+  const baseUrl = new URL(context.request.url).origin;
+
+  try {
+    const target = await find();
+    if (!target) {
+      return withCatalogStatus(context, new Response(generateEmbedMessageHTML('This video is not available.', baseUrl), {
+        status: 404,
+        headers: { 'Content-Type': 'text/html; charset=UTF-8', 'Cache-Control': 'public, max-age=60' }
+      }));
+    }
+
+    return withCatalogStatus(context, new Response(generateEmbedHTML(target, baseUrl), {
+      headers: {
+        'Content-Type': 'text/html; charset=UTF-8',
+        'Cache-Control': 'public, max-age=300, s-maxage=14400', // edge copy is purged by the GitHub webhook
+        'X-Content-Type-Options': 'nosniff',
+        // Shown inside other sites; the page it links to is the one to index
+        'X-Robots-Tag': 'noindex'
+      }
+    }));
+  } catch (error) {
+    console.error('Error generating embed page:', error);
+    return new Response(generateEmbedMessageHTML('This video could not be loaded. Please try again later.', baseUrl), {
+      status: error.retryAfter ? 503 : 500,
+      headers: { 'Content-Type': 'text/html; charset=UTF-8', ...catalogErrorHeaders(error) }
+    });
+  }
+}
+
+// The source's own player starts on the first click on the poster, so the
+// embedding page doesn't load YouTube or Odysee until someone wants to watch
+function generateEmbedHTML(target, baseUrl) {
+  const embedUrl = getEmbedUrl(target.video.videoUrl);
+  const posterUrl = target.posterUrl || `${baseUrl}/images/default-poster.jpg`;
+  const isFile = /\.(mp4|webm|m3u8)(\?|$)/i.test(embedUrl);
+  const player = autoplay => isFile
+    ? `<video controls${autoplay ? ' autoplay' : ''} playsinline poster="${escapeHTML(posterUrl)}" src="${escapeHTML(embedUrl)}"></video>`
+    : `<iframe src="${escapeHTML(autoplay ? autoplayUrl(embedUrl) : embedUrl)}" title="${escapeHTML(target.title)}" allow="autoplay; encrypted-media; picture-in-picture; fullscreen" allowfullscreen></iframe>`;
+
+  return `<!DOCTYPE html>
+<html lang="rw">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(`${target.title} | ${SITE_NAME}`)}</title>
+    <meta name="robots" content="noindex">
+    <link rel="canonical" href="${escapeHTML(target.pageUrl)}">
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        html, body { height: 100%; background: #000; overflow: hidden; font-family: 'Segoe UI', system-ui, sans-serif; }
+        .embed { position: relative; width: 100%; height: 100%; }
+        .embed iframe, .embed video { position: absolute; inset: 0; width: 100%; height: 100%; border: 0; background: #000; }
+        .poster { position: absolute; inset: 0; width: 100%; height: 100%; border: 0; padding: 0; cursor: pointer; background: #000; color: white; }
+        .poster img { width: 100%; height: 100%; object-fit: cover; display: block; }
+        .poster::after { content: ''; position: absolute; inset: 0; background: linear-gradient(to bottom, rgba(0,0,0,0.75), transparent 35%, transparent 70%, rgba(0,0,0,0.6)); }
+        .play { position: absolute; top: 50%; left: 50%; z-index: 1; width: 72px; height: 72px; margin: -36px 0 0 -36px;
+            border-radius: 50%; background: rgba(0,135,83,0.9); font-size: 1.75rem; line-height: 72px; text-align: center; transition: transform 0.2s; }
+        .poster:hover .play, .poster:focus-visible .play { transform: scale(1.1); }
+        .overlay-title { position: absolute; top: 0; left: 0; right: 0; z-index: 2; padding: 0.75rem 1rem;
+            color: white; font-size: 1.05rem; font-weight: 600; text-decoration: none; text-shadow: 0 1px 3px rgba(0,0,0,0.8);
+            white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .overlay-title small { display: block; font-weight: 400; font-size: 0.8rem; opacity: 0.85; }
+        .brand { position: absolute; right: 0.75rem; bottom: 0.75rem; z-index: 2; padding: 0.3rem 0.6rem; border-radius: 4px;
+            background: rgba(0,0,0,0.7); color: #FFD700; font-size: 0.8rem; font-weight: 600; text-decoration: none; }
+        .embed.playing .poster, .embed.playing .overlay-title { display: none; }
+        .embed noscript iframe, .embed noscript video { z-index: 3; }
+        .unavailable { position: absolute; inset: auto 0 3rem; z-index: 1; text-align: center; color: white; }
+    </style>
+</head>
+<body>
+    <div class="embed" id="embed">
+        <a class="overlay-title" href="${escapeHTML(target.pageUrl)}" target="_blank" rel="noopener">
+            ${escapeHTML(target.title)}
+            ${target.author ? `<small>Agasobanuye by ${escapeHTML(target.author)}</small>` : ''}
+        </a>
+        ${embedUrl ? `
+        <button type="button" class="poster" id="play" aria-label="Play ${escapeHTML(target.title)}">
+            <img src="${escapeHTML(posterUrl)}" alt="">
+            <span class="play" aria-hidden="true">▶</span>
+        </button>
+        <template id="player">${player(true)}</template>
+        <noscript>${player(false)}</noscript>` : `
+        <div class="poster"><img src="${escapeHTML(posterUrl)}" alt=""></div>
+        <p class="unavailable">This video is not available right now.</p>`}
+        <a class="brand" href="${escapeHTML(target.pageUrl)}" target="_blank" rel="noopener">Watch on ${SITE_NAME}</a>
+    </div>
+    ${embedUrl ? `
+    <script>
+    document.getElementById('play').addEventListener('click', function () {
+        var embed = document.getElementById('embed');
+        embed.appendChild(document.getElementById('player').content.cloneNode(true));
+        embed.classList.add('playing');
+    });
+    </script>` : ''}
+</body>
+</html>`;
+}
+
+function generateEmbedMessageHTML(message, baseUrl) {
+  return `<!DOCTYPE html>
+<html lang="rw">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${SITE_NAME}</title>
+    <meta name="robots" content="noindex">
+    <style>
+        html, body { height: 100%; margin: 0; background: #000; color: white; font-family: 'Segoe UI', system-ui, sans-serif; }
+        body { display: flex; flex-direction: column; align-items: center; justify-content: center; gap: 0.75rem; text-align: center; }
+        a { color: #FFD700; }
+    </style>
+</head>
+<body>
+    <p>${escapeHTML(message)}</p>
+    <a href="${baseUrl}/" target="_blank" rel="noopener">${SITE_NAME}</a>
+</body>
+</html>`;
+}
+
+// Hosted players start on load once the viewer has clicked the poster
+function autoplayUrl(embedUrl) {
+  const param = embedUrl.includes('youtube.com/embed/') ? 'autoplay=1'
+    : embedUrl.includes('odysee.com/$/embed/') ? 'autoplay=true'
+    : '';
+  return param ? `${embedUrl}${embedUrl.includes('?') ? '&' : '?'}${param}` : embedUrl;
+}
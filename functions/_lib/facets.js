@@ -0,0 +1,157 @@
+// functions/_lib/facets.js
+// Facet filters for the film and agasobanuye listings: ?year=2023&quality=1080p
+// &language=english&genre=action&duration=long&age=13. Facets combine with
+// each other and with search/category/type; each takes one value, matched by
+// slug so "Full HD" and "full-hd" are the same option.
+import { generateSlug, escapeHTML } from './format.js';
+
+// Length buckets, shortest first; `max` is in seconds
+const DURATIONS = [
+  { value: 'short', label: 'Under 30 min', max: 30 * 60 },
+  { value: 'medium', label: '30–90 min', max: 90 * 60 },
+  { value: 'long', label: 'Over 90 min', max: Infinity }
+];
+
+// Query parameter -> label and the { value, label } options a video files
+// under. `compare` orders options; the default is most videos first.
+const FACETS = {
+  year: {
+    label: 'Release year',
+    options: video => video.releaseYear ? [option(String(video.releaseYear))] : [],
+    compare: (a, b) => b.value - a.value
+  },
+  quality: {
+    label: 'Quality',
+    options: video => video.quality ? [option(String(video.quality))] : []
+  },
+  language: {
+    label: 'Language',
+    options: video => [video.language || video.originalLanguage].filter(Boolean).map(label => option(String(label)))
+  },
+  genre: {
+    label: 'Genre',
+    options: video => (video.genre || []).map(option)
+  },
+  duration: {
+    label: 'Length',
+    options: video => video.durationSeconds
+      ? [DURATIONS.find(bucket => video.durationSeconds < bucket.max)]
+      : [],
+    compare: (a, b) => bucketIndex(a.value) - bucketIndex(b.value)
+  },
+  age: {
+    label: 'Age rating',
+    options: video => video.ageRestriction === null || video.ageRestriction === undefined
+      ? []
+      : [video.ageRestriction ? option(`${video.ageRestriction}+`) : { value: 'all', label: 'All ages' }],
+    compare: (a, b) => (parseInt(a.value) || 0) - (parseInt(b.value) || 0)
+  }
+};
+
+// Facets each listing offers, in sidebar (and canonical URL) order
+export const FILM_FACETS = ['year', 'quality', 'language', 'duration'];
+export const TRANSLATED_FACETS = ['genre', 'year', 'quality', 'language', 'duration', 'age'];
+
+/**
+ * Active facet values from the query string, as option slugs.
+ * @param {URLSearchParams} searchParams
+ * @param {string[]} keys FILM_FACETS or TRANSLATED_FACETS
+ * @returns {Object<string, string>} e.g. { year: '2023', genre: 'action' }
+ */
+export function readFacets(searchParams, keys) {
+  const filters = {};
+  keys.forEach(key => {
+    const value = generateSlug(searchParams.get(key) || '');
+    if (value) filters[key] = value;
+  });
+  return filters;
+}
+
+export function applyFacets(videos, filters) {
+  const active = Object.entries(filters);
+  return active.length
+    ? videos.filter(video => active.every(([key, value]) => facetValues(key, video).includes(value)))
+    : videos;
+}
+
+/**
+ * Sidebar data: every option of each facet with the number of videos it
+ * would show, given the other active facets (so counts stay meaningful
+ * while filters are combined). Facets with no options are left out.
+ * @returns {{ key: string, label: string, options: { value: string, label: string, count: number, active: boolean }[] }[]}
+ */
+export function facetCounts(videos, filters, keys) {
+  return keys.map(key => {
+    const { [key]: current, ...others } = filters;
+    const options = new Map();
+
+    applyFacets(videos, others).forEach(video => {
+      FACETS[key].options(video).forEach(({ value, label }) => {
+        if (!value) return;
+        if (!options.has(value)) options.set(value, { value, label, count: 0, active: value === current });
+        options.get(value).count++;
+      });
+    });
+
+    // Keep an active value that matches nothing so it can still be removed
+    if (current && !options.has(current)) options.set(current, { value: current, label: current, count: 0, active: true });
+
+    const compare = FACETS[key].compare || ((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    return { key, label: FACETS[key].label, options: [...options.values()].sort(compare) };
+  }).filter(facet => facet.options.length);
+}
+
+// Active values as { key, label, value, name }, e.g. { key: 'year',
+// label: 'Release year', value: '2023', name: '2023' }, in facet order
+export function activeFacets(facets) {
+  return facets.flatMap(facet => facet.options
+    .filter(option => option.active)
+    .map(option => ({ key: facet.key, label: facet.label, value: option.value, name: option.label })));
+}
+
+// Active facets as query string pairs, in `keys` order
+export function facetParams(filters, keys) {
+  return keys.filter(key => filters[key]).map(key => `${key}=${encodeURIComponent(filters[key])}`);
+}
+
+function facetValues(key, video) {
+  return FACETS[key].options(video).map(({ value }) => value);
+}
+
+function option(label) {
+  return { value: generateSlug(label), label };
+}
+
+function bucketIndex(value) {
+  return DURATIONS.findIndex(bucket => bucket.value === value);
+}
+
+/**
+ * Filter sidebar. Each option links to the listing with that value set, or
+ * cleared when it is the active one; `hrefFor(key, value)` builds the link
+ * ('' removes the facet). Styled by each page's .filter-sidebar rules.
+ */
+export function renderFacetSidebar(facets, hrefFor, clearUrl) {
+  if (!facets.length) return '';
+
+  return `
+    <aside class="filter-sidebar" aria-label="Filters">
+        <div class="filter-header">
+            <h2>Filters</h2>
+            ${activeFacets(facets).length ? `<a href="${escapeHTML(clearUrl)}" class="filter-clear">Clear all</a>` : ''}
+        </div>
+        ${facets.map(facet => `
+        <div class="filter-group">
+            <h3>${escapeHTML(facet.label)}</h3>
+            <ul>
+                ${facet.options.map(option => `
+                <li>
+                    <a href="${escapeHTML(hrefFor(facet.key, option.active ? '' : option.value))}" rel="nofollow"${option.active ? ' class="active" aria-current="true"' : ''}>
+                        <span>${escapeHTML(option.label)}</span>
+                        <span class="filter-count">${option.count}</span>
+                    </a>
+                </li>`).join('')}
+            </ul>
+        </div>`).join('')}
+    </aside>`;
+}
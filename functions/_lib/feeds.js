@@ -0,0 +1,226 @@
+// functions/_lib/feeds.js
+// RSS 2.0 and Atom feeds of new uploads: /feed.xml and /atom.xml for films
+// (?category= for one category), /agasobanuye/feed.xml and /agasobanuye/atom.xml
+// for agasobanuye (?translator= for one translator). Every upload is its own
+// entry, TV episodes included, with the poster as an enclosure and a Media RSS
+// thumbnail.
+import { loadMovieCatalog } from './movies.js';
+import { loadTranslatedCatalog } from './translated.js';
+import { loadCategoryRegistry } from './categories.js';
+import { loadTranslatorRegistry, listTranslators, findTranslator, isByTranslator } from './translators.js';
+import { withCatalogStatus, catalogErrorHeaders } from './catalog-cache.js';
+import { sortVideos, episodeTitle } from './catalog.js';
+import { escapeHTML } from './format.js';
+
+export const FEED_SIZE = 50;
+
+const SITE_TITLE = 'Rwanda Cinema';
+const CONTENT_TYPES = { rss: 'application/rss+xml', atom: 'application/atom+xml' };
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', avif: 'image/avif' };
+
+/**
+ * @typedef {Object} FeedEntry
+ * @property {string} title
+ * @property {string} url page of the upload, also its id
+ * @property {string} publishedAt ISO date
+ * @property {string} summary
+ * @property {string[]} categories
+ * @property {string} author
+ * @property {string} imageUrl absolute poster URL, or ''
+ */
+
+// Films feed, `format` 'rss' or 'atom'
+export async function filmFeed(context, format) {
+  const url = new URL(context.request.url);
+  const baseUrl = url.origin;
+
+  try {
+    const [videos, categories] = await Promise.all([
+      loadMovieCatalog(context),
+      loadCategoryRegistry(context)
+    ]);
+    const categorySlug = url.searchParams.get('category') || '';
+    const category = categorySlug ? categories.find(c => c.slug === categorySlug) : null;
+    if (categorySlug && !category) return feedNotFound('Unknown category');
+
+    const entries = sortVideos(category ? videos.filter(v => v.category === category.slug) : videos, 'newest')
+      .slice(0, FEED_SIZE)
+      .map(video => ({
+        title: video.title,
+        url: `${baseUrl}/${video.category}/${video.slug}`,
+        publishedAt: video.publishedAt,
+        summary: video.metaDescription || video.description || '',
+        categories: [(categories.find(c => c.slug === video.category) || { name: video.category }).name],
+        author: '',
+        imageUrl: absoluteUrl(video.posterUrl, baseUrl)
+      }));
+
+    return feedResponse(context, format, {
+      title: category ? `${category.name} - ${SITE_TITLE}` : `New films - ${SITE_TITLE}`,
+      description: category
+        ? `New Rwandan ${category.name.toLowerCase()} videos on ${SITE_TITLE}`
+        : `New Rwandan movies, Kinyarwanda films and series on ${SITE_TITLE}`,
+      link: category ? `${baseUrl}/?category=${category.slug}` : `${baseUrl}/`,
+      selfUrl: feedUrl(baseUrl, '', format, category && { category: category.slug }),
+      entries
+    });
+  } catch (error) {
+    console.error('Error generating films feed:', error);
+    return feedError(error);
+  }
+}
+
+// Agasobanuye feed, `format` 'rss' or 'atom'
+export async function translatedFeed(context, format) {
+  const url = new URL(context.request.url);
+  const baseUrl = url.origin;
+
+  try {
+    const [videos, registry] = await Promise.all([
+      loadTranslatedCatalog(context),
+      loadTranslatorRegistry(context)
+    ]);
+    const translatorSlug = url.searchParams.get('translator') || '';
+    const translator = translatorSlug ? findTranslator(listTranslators(registry, videos), translatorSlug) : null;
+    if (translatorSlug && !translator) return feedNotFound('Unknown translator');
+
+    const entries = sortVideos(translator ? videos.filter(v => isByTranslator(v, translator)) : videos, 'newest')
+      .slice(0, FEED_SIZE)
+      .map(video => ({
+        title: `${episodeTitle(video)}${video.episodeTitle ? `: ${video.episodeTitle}` : ''}`,
+        url: `${baseUrl}/watch/${video.contentType === 'TV-SERIES' ? 'tv-series' : 'movie'}/${video.slug}`,
+        publishedAt: video.publishedAt,
+        summary: video.description || video.plot || '',
+        categories: video.genre,
+        author: video.translator,
+        imageUrl: absoluteUrl(video.poster, baseUrl)
+      }));
+
+    return feedResponse(context, format, {
+      title: translator ? `Agasobanuye by ${translator.name} - ${SITE_TITLE}` : `Agasobanuye - ${SITE_TITLE}`,
+      description: translator
+        ? `New movies and series translated to Kinyarwanda by ${translator.name}`
+        : 'New movies and series translated to Kinyarwanda',
+      link: translator ? `${baseUrl}/agasobanuye/translator/${translator.slug}` : `${baseUrl}/agasobanuye/`,
+      selfUrl: feedUrl(baseUrl, '/agasobanuye', format, translator && { translator: translator.slug }),
+      entries
+    });
+  } catch (error) {
+    console.error('Error generating agasobanuye feed:', error);
+    return feedError(error);
+  }
+}
+
+/**
+ * <link rel="alternate"> tags for a page head: the RSS and Atom feeds under
+ * `prefix` ('' for films, '/agasobanuye'), narrowed by `params` when given.
+ * @param {Object<string, string>} [params] e.g. { category: 'comedy' }
+ */
+export function feedLinks(baseUrl, prefix, title, params) {
+  return ['rss', 'atom'].map(format =>
+    `<link rel="alternate" type="${CONTENT_TYPES[format]}" title="${escapeHTML(`${title} (${format === 'rss' ? 'RSS' : 'Atom'})`)}" href="${escapeHTML(feedUrl(baseUrl, prefix, format, params))}">`
+  ).join('\n    ');
+}
+
+export function feedUrl(baseUrl, prefix, format, params) {
+  const query = params ? new URLSearchParams(params).toString() : '';
+  return `${baseUrl}${prefix}/${format === 'atom' ? 'atom' : 'feed'}.xml${query ? `?${query}` : ''}`;
+}
+
+function feedResponse(context, format, feed) {
+  return withCatalogStatus(context, new Response(format === 'atom' ? renderAtom(feed) : renderRss(feed), {
+    headers: {
+      'Content-Type': `${CONTENT_TYPES[format]}; charset=utf-8`,
+      // Browsers and readers revalidate after 5 minutes; the edge copy is purged by the GitHub webhook
+      'Cache-Control': 'public, max-age=300, s-maxage=14400',
+      'Access-Control-Allow-Origin': '*'
+    }
+  }));
+}
+
+function feedNotFound(message) {
+  return new Response(message, {
+    status: 404,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'public, max-age=60' }
+  });
+}
+
+function feedError(error) {
+  return new Response('Error generating feed', {
+    status: error.retryAfter ? 503 : 500,
+    headers: catalogErrorHeaders(error)
+  });
+}
+
+function renderRss({ title, description, link, selfUrl, entries }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+    <title>${escapeHTML(title)}</title>
+    <link>${escapeHTML(link)}</link>
+    <description>${escapeHTML(description)}</description>
+    <language>rw</language>
+    <lastBuildDate>${rfc822(lastUpdated(entries))}</lastBuildDate>
+    <atom:link href="${escapeHTML(selfUrl)}" rel="self" type="application/rss+xml"/>${entries.map(entry => `
+    <item>
+        <title>${escapeHTML(entry.title)}</title>
+        <link>${escapeHTML(entry.url)}</link>
+        <guid isPermaLink="true">${escapeHTML(entry.url)}</guid>${entry.publishedAt ? `
+        <pubDate>${rfc822(entry.publishedAt)}</pubDate>` : ''}
+        <description>${escapeHTML(entry.summary)}</description>${entry.author ? `
+        <dc:creator>${escapeHTML(entry.author)}</dc:creator>` : ''}${entry.categories.filter(Boolean).map(category => `
+        <category>${escapeHTML(category)}</category>`).join('')}${entry.imageUrl ? `
+        <enclosure url="${escapeHTML(entry.imageUrl)}" length="0" type="${imageType(entry.imageUrl)}"/>
+        <media:thumbnail url="${escapeHTML(entry.imageUrl)}"/>` : ''}
+    </item>`).join('')}
+</channel>
+</rss>`;
+}
+
+function renderAtom({ title, description, link, selfUrl, entries }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/" xml:lang="rw">
+    <title>${escapeHTML(title)}</title>
+    <subtitle>${escapeHTML(description)}</subtitle>
+    <id>${escapeHTML(selfUrl)}</id>
+    <link rel="self" type="application/atom+xml" href="${escapeHTML(selfUrl)}"/>
+    <link rel="alternate" type="text/html" href="${escapeHTML(link)}"/>
+    <updated>${lastUpdated(entries)}</updated>
+    <author><name>${SITE_TITLE}</name></author>${entries.map(entry => `
+    <entry>
+        <title>${escapeHTML(entry.title)}</title>
+        <id>${escapeHTML(entry.url)}</id>
+        <link rel="alternate" type="text/html" href="${escapeHTML(entry.url)}"/>
+        <published>${entry.publishedAt || lastUpdated(entries)}</published>
+        <updated>${entry.publishedAt || lastUpdated(entries)}</updated>${entry.author ? `
+        <author><name>${escapeHTML(entry.author)}</name></author>` : ''}
+        <summary>${escapeHTML(entry.summary)}</summary>${entry.categories.filter(Boolean).map(category => `
+        <category term="${escapeHTML(category)}"/>`).join('')}${entry.imageUrl ? `
+        <link rel="enclosure" type="${imageType(entry.imageUrl)}" href="${escapeHTML(entry.imageUrl)}"/>
+        <media:thumbnail url="${escapeHTML(entry.imageUrl)}"/>` : ''}
+    </entry>`).join('')}
+</feed>`;
+}
+
+// Entries are newest first; an empty feed was last updated now
+function lastUpdated(entries) {
+  return (entries.find(entry => entry.publishedAt) || {}).publishedAt || new Date().toISOString();
+}
+
+function rfc822(date) {
+  return new Date(date).toUTCString();
+}
+
+function absoluteUrl(value, baseUrl) {
+  if (!value) return '';
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch {
+    return '';
+  }
+}
+
+function imageType(url) {
+  const extension = new URL(url).pathname.split('.').pop().toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+}
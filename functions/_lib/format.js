@@ -0,0 +1,169 @@
+// functions/_lib/format.js
+// Text, date, duration and URL helpers shared by every page generator.
+
+export function escapeHTML(str) {
+  if (str === null || str === undefined || str === '') return '';
+  return String(str).replace(/[&<>"']/g,
+    tag => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;',
+      '"': '&quot;', "'": '&#39;'
+    }[tag]));
+}
+
+export function truncate(str, maxLength) {
+  if (!str) return '';
+  if (str.length <= maxLength) return str;
+  return str.substring(0, maxLength) + '...';
+}
+
+export function capitalizeFirst(str) {
+  if (!str) return '';
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+export function generateSlug(text) {
+  return String(text || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/[\s_-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export function formatDate(date) {
+  const options = { year: 'numeric', month: 'long', day: 'numeric' };
+  return date.toLocaleDateString('en-US', options);
+}
+
+export function formatShortDate(date) {
+  const now = new Date();
+  const diffTime = Math.abs(now - date);
+  const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+
+  if (diffDays === 0) {
+    return 'Today';
+  } else if (diffDays === 1) {
+    return 'Yesterday';
+  } else if (diffDays < 7) {
+    return `${diffDays}d ago`;
+  } else if (diffDays < 30) {
+    return `${Math.floor(diffDays / 7)}w ago`;
+  } else if (diffDays < 365) {
+    return `${Math.floor(diffDays / 30)}mo ago`;
+  } else {
+    return `${Math.floor(diffDays / 365)}y ago`;
+  }
+}
+
+// Parse the duration formats editors use into seconds; null when unrecognised.
+// Handles "1:30:00", "3:11", "3:11 minutes", "90 minutes", "90 min", "25M",
+// "2 hours", "1h30m", "1h 30m 10s" and ISO 8601 "PT1H30M".
+export function parseDuration(duration) {
+  if (typeof duration === 'number') return duration > 0 ? Math.round(duration) : null;
+  if (!duration || duration === 'Not specified') return null;
+  const value = String(duration).trim();
+
+  // ISO 8601
+  const isoMatch = value.match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/i);
+  if (isoMatch && (isoMatch[1] || isoMatch[2] || isoMatch[3])) {
+    return toSeconds(isoMatch[1], isoMatch[2], isoMatch[3]);
+  }
+
+  // "1:30:00" (hours:minutes:seconds)
+  const hmsMatch = value.match(/^(\d+):(\d{1,2}):(\d{1,2})\b/);
+  if (hmsMatch) {
+    return toSeconds(hmsMatch[1], hmsMatch[2], hmsMatch[3]);
+  }
+
+  // "30:00" or "3:11 minutes" (minutes:seconds)
+  const msMatch = value.match(/^(\d+):(\d{1,2})\b/);
+  if (msMatch) {
+    return toSeconds(0, msMatch[1], msMatch[2]);
+  }
+
+  // "1h30m", "1h 30m 10s", "2h"
+  const unitsMatch = value.match(/^(?:(\d+)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?|s)?)?)?\s*(?:(\d+)\s*s(?:ec(?:onds?|s)?)?)?$/i);
+  if (unitsMatch && (unitsMatch[1] || unitsMatch[2] || unitsMatch[3])) {
+    return toSeconds(unitsMatch[1], unitsMatch[2], unitsMatch[3]);
+  }
+
+  // "90 minutes" or "2 hours" with other words around them
+  const minutesMatch = value.match(/(\d+)\s*(?:min|minutes?|M\b)/i);
+  if (minutesMatch) {
+    return toSeconds(0, minutesMatch[1], 0);
+  }
+  const hoursMatch = value.match(/(\d+)\s*(?:hr|hours?)/i);
+  if (hoursMatch) {
+    return toSeconds(hoursMatch[1], 0, 0);
+  }
+
+  return null;
+}
+
+function toSeconds(hours, minutes, seconds) {
+  return (parseInt(hours) || 0) * 3600 + (parseInt(minutes) || 0) * 60 + (parseInt(seconds) || 0);
+}
+
+// ISO 8601 duration for structured data; '' when the duration is unknown
+export function convertDurationToISO(duration) {
+  const total = parseDuration(duration);
+  if (total === null) return '';
+
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = total % 60;
+
+  let iso = 'PT';
+  if (hours) iso += `${hours}H`;
+  if (minutes) iso += `${minutes}M`;
+  if (seconds) iso += `${seconds}S`;
+  return iso === 'PT' ? 'PT0M' : iso;
+}
+
+// Short label for cards: "1h 30m", "45m"; unrecognised values are shown as written
+export function formatDurationForDisplay(duration) {
+  if (!duration || duration === 'Not specified') return '';
+  const total = parseDuration(duration);
+  if (total === null) return String(duration);
+
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+
+  if (hours && minutes) return `${hours}h ${minutes}m`;
+  if (hours) return `${hours}h`;
+  if (minutes) return `${minutes}m`;
+  return `${total}s`;
+}
+
+// Helper function to get embed URL from video URL
+export function getEmbedUrl(videoUrl) {
+  if (!videoUrl) return '';
+
+  if (videoUrl.includes('youtube.com') || videoUrl.includes('youtu.be')) {
+    const videoId = videoUrl.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/);
+    if (videoId) {
+      return `https://www.youtube.com/embed/${videoId[1]}`;
+    }
+  }
+  if (videoUrl.includes('odysee.com')) {
+    // https://odysee.com/@channel:1/video:2 -> https://odysee.com/$/embed/@channel:1/video:2
+    const match = videoUrl.match(/^https?:\/\/odysee\.com\/(?!\$\/embed\/)(@[^?#]+)/);
+    return match ? `https://odysee.com/$/embed/${match[1]}` : videoUrl;
+  }
+  return videoUrl;
+}
+
+// Playable URL for a video; '' when there is none (schema validation keeps
+// entries without a videoUrl out of the catalogs)
+export function getContentUrl(video) {
+  if (video.videoUrl) return video.videoUrl;
+  // Fallback to YouTube if videoUrl is missing but we have a YouTube ID
+  if (video.youtubeId) return `https://www.youtube.com/watch?v=${video.youtubeId}`;
+  return '';
+}
+
+// JSON for a <script type="application/ld+json"> block; "<" is escaped so a
+// title can't close the tag
+export function jsonLd(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,393 @@
+// functions/_lib/frontmatter.js
+// YAML frontmatter parser shared by the films and agasobanuye catalogs.
+//
+// Supports the block and flow styles editors actually write: nested mappings and
+// sequences (including "- key: value" items), literal "|" and folded ">" scalars
+// with chomping indicators, single/double quoted strings, flow [..] and {..}
+// collections, comments, CRLF line endings and the core schema scalars
+// (null, booleans, integers, floats). Anchors, aliases and tags are read as
+// plain strings. Timestamps stay strings so they survive the JSON catalog cache.
+
+// { data, body } for a markdown file, or null when it has no frontmatter block.
+// Throws on malformed YAML; the error carries the 1-based file `line`.
+export function splitFrontmatter(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const match = text.match(/^---[ \t]*\n([\s\S]*?\n)?(?:---|\.\.\.)[ \t]*(?:\n|$)/);
+  if (!match) return null;
+
+  // Line numbers in errors count the opening "---"
+  const data = parseYAML(match[1] || '', 1);
+  return { data, body: text.slice(match[0].length) };
+}
+
+// Frontmatter data for a markdown file; null when there is no frontmatter block
+// or it isn't valid YAML (logged, so one bad file doesn't break a catalog).
+export function parseFrontmatter(content) {
+  try {
+    const result = splitFrontmatter(content);
+    return result ? result.data : null;
+  } catch (error) {
+    console.warn('Error parsing YAML frontmatter:', error.message);
+    return null;
+  }
+}
+
+// Parse a YAML document whose top level is a mapping
+export function parseYAML(source, lineOffset = 0) {
+  const lines = String(source).replace(/\r\n?/g, '\n').split('\n').map((raw, index) => ({
+    number: index + 1 + lineOffset,
+    raw,
+    indent: raw.match(/^ */)[0].length,
+    text: raw.trim()
+  }));
+  let pos = 0;
+
+  const fail = (message, line = lines[Math.min(pos, lines.length - 1)]) => {
+    const error = new Error(`Line ${line ? line.number : lineOffset + 1}: ${message}`);
+    error.line = line ? line.number : lineOffset + 1;
+    throw error;
+  };
+
+  // Next line that carries structure (skips blank and comment-only lines)
+  const peek = () => {
+    while (pos < lines.length) {
+      const line = lines[pos];
+      if (line.text && !line.text.startsWith('#')) {
+        if (/^ *\t/.test(line.raw)) fail('tabs are not allowed for indentation', line);
+        return line;
+      }
+      pos++;
+    }
+    return null;
+  };
+
+  const isSequenceItem = text => text === '-' || text.startsWith('- ');
+
+  function parseBlock(indent) {
+    const line = peek();
+    return isSequenceItem(line.text) ? parseSequence(indent) : parseMapping(indent);
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+
+    for (let line = peek(); line && line.indent >= indent; line = peek()) {
+      if (line.indent > indent) fail('unexpected indentation', line);
+      if (isSequenceItem(line.text)) fail('sequence item where a mapping key was expected', line);
+
+      const entry = splitKey(line.text);
+      if (!entry) fail(`expected "key: value", found "${line.text}"`, line);
+
+      pos++;
+      result[entry.key] = parseValue(entry.rest, indent, line, true);
+    }
+
+    return result;
+  }
+
+  function parseSequence(indent) {
+    const result = [];
+
+    for (let line = peek(); line && line.indent === indent && isSequenceItem(line.text); line = peek()) {
+      const rest = line.text.slice(1).trimStart();
+
+      if (rest && (isSequenceItem(rest) || splitKey(rest))) {
+        // Compact nesting ("- key: value" or "- - item"): re-read the rest of the
+        // line as the first line of a block indented to where it starts
+        const offset = line.indent + line.text.length - rest.length;
+        lines[pos] = { ...line, indent: offset, text: rest };
+        result.push(parseBlock(offset));
+      } else {
+        pos++;
+        result.push(parseValue(rest, indent, line, false));
+      }
+    }
+
+    const line = peek();
+    if (line && line.indent > indent) fail('unexpected indentation', line);
+    return result;
+  }
+
+  // Value after "key:" or "- " on `line`; nested blocks must be indented past `indent`
+  function parseValue(rest, indent, line, inMapping) {
+    const value = stripComment(rest);
+
+    if (value === '') {
+      const next = peek();
+      if (next && next.indent > indent) return parseBlock(next.indent);
+      // "key:" followed by "- item" lines at the key's own indentation
+      if (inMapping && next && next.indent === indent && isSequenceItem(next.text)) {
+        return parseSequence(indent);
+      }
+      return null;
+    }
+
+    if (/^[|>]/.test(value)) return parseBlockScalar(value, indent, line);
+
+    if (value[0] === '[' || value[0] === '{') {
+      return parseFlow(collectContinuation(value, indent, balanced), line);
+    }
+
+    if (value[0] === '"' || value[0] === "'") {
+      const quoted = collectContinuation(rest.trim(), indent, text => closingQuote(text) !== -1);
+      const end = closingQuote(quoted);
+      if (end === -1) fail('unterminated quoted string', line);
+      if (stripComment(quoted.slice(end + 1))) fail('unexpected text after quoted string', line);
+      return unquote(quoted.slice(0, end + 1), line);
+    }
+
+    // Plain scalars may continue on more-indented lines
+    return resolveScalar(collectContinuation(value, indent, () => false, true));
+  }
+
+  // Join following lines indented past `indent` until `done(text)` holds
+  function collectContinuation(text, indent, done, plain = false) {
+    let result = text;
+    while (!done(result) && pos < lines.length) {
+      const next = lines[pos];
+      if (next.text && (next.indent <= indent || (plain && (splitKey(next.text) || next.text.startsWith('#'))))) break;
+      if (plain && !next.text) break;
+      result += ' ' + (plain ? stripComment(next.text) : next.text);
+      pos++;
+    }
+    return result;
+  }
+
+  function parseBlockScalar(header, indent, line) {
+    const match = header.match(/^([|>])([1-9])?([+-])?$|^([|>])([+-])([1-9])$/);
+    if (!match) fail(`invalid block scalar header "${header}"`, line);
+    const style = match[1] || match[4];
+    const explicitIndent = Number(match[2] || match[6]) || 0;
+    const chomping = match[3] || match[5] || '';
+
+    // Content indentation comes from the header or the first non-empty line
+    let contentIndent = explicitIndent ? indent + explicitIndent : 0;
+    const collected = [];
+    while (pos < lines.length) {
+      const next = lines[pos];
+      if (next.text) {
+        if (!contentIndent) {
+          if (next.indent <= indent) break;
+          contentIndent = next.indent;
+        }
+        if (next.indent < contentIndent) break;
+      }
+      collected.push(next.raw.slice(contentIndent));
+      pos++;
+    }
+
+    // Trailing blank lines are only kept with "+"
+    let trailing = 0;
+    while (collected.length && !collected[collected.length - 1].trim()) {
+      collected.pop();
+      trailing++;
+    }
+    if (collected.length === 0) return '';
+
+    const content = style === '|' ? collected.join('\n') : foldLines(collected);
+    if (chomping === '-') return content;
+    if (chomping === '+') return content + '\n'.repeat(trailing + 1);
+    return content + '\n';
+  }
+
+  function parseFlow(text, line) {
+    let i = 0;
+
+    const skipSpace = () => {
+      while (i < text.length && /\s/.test(text[i])) i++;
+    };
+
+    const parseNode = terminators => {
+      skipSpace();
+      const char = text[i];
+      if (char === '[') return parseFlowSequence();
+      if (char === '{') return parseFlowMapping();
+      if (char === '"' || char === "'") {
+        const end = closingQuote(text.slice(i));
+        if (end === -1) fail('unterminated quoted string', line);
+        const value = unquote(text.slice(i, i + end + 1), line);
+        i += end + 1;
+        return value;
+      }
+      const start = i;
+      while (i < text.length && !terminators.includes(text[i]) &&
+             !(text[i] === ':' && /[\s,\]}]/.test(text[i + 1] || ' '))) i++;
+      return resolveScalar(text.slice(start, i).trim());
+    };
+
+    const expect = char => {
+      skipSpace();
+      if (text[i] !== char) fail(`expected "${char}" in flow collection`, line);
+      i++;
+    };
+
+    const parseFlowSequence = () => {
+      const result = [];
+      i++;
+      skipSpace();
+      while (text[i] !== ']') {
+        if (i >= text.length) fail('unterminated flow sequence', line);
+        result.push(parseNode(',]'));
+        skipSpace();
+        if (text[i] === ',') i++;
+        else if (text[i] !== ']') fail('expected "," or "]" in flow sequence', line);
+        skipSpace();
+      }
+      i++;
+      return result;
+    };
+
+    const parseFlowMapping = () => {
+      const result = {};
+      i++;
+      skipSpace();
+      while (text[i] !== '}') {
+        if (i >= text.length) fail('unterminated flow mapping', line);
+        const key = parseNode(',}');
+        skipSpace();
+        let value = null;
+        if (text[i] === ':') {
+          i++;
+          value = parseNode(',}');
+        }
+        result[String(key)] = value;
+        skipSpace();
+        if (text[i] === ',') i++;
+        else if (text[i] !== '}') fail('expected "," or "}" in flow mapping', line);
+        skipSpace();
+      }
+      expect('}');
+      return result;
+    };
+
+    const value = parseNode('');
+    skipSpace();
+    if (stripComment(text.slice(i))) fail('unexpected text after flow collection', line);
+    return value;
+  }
+
+  function unquote(text, quotedLine) {
+    const body = text.slice(1, -1);
+    if (text[0] === "'") return body.replace(/''/g, "'");
+
+    return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, code) => {
+      if (code.length > 1) return String.fromCodePoint(parseInt(code.slice(1), 16));
+      const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', b: '\b', e: '\x1b' };
+      if (!(code in escapes)) fail(`unknown escape "\\${code}"`, quotedLine);
+      return escapes[code];
+    });
+  }
+
+  if (!peek()) return {};
+  const root = peek();
+  if (isSequenceItem(root.text) || !splitKey(root.text)) fail('frontmatter must be a mapping of keys to values', root);
+  const data = parseMapping(root.indent);
+  if (peek()) fail('unexpected indentation', peek());
+  return data;
+}
+
+// "key: rest" -> { key, rest }; null when the line isn't a mapping entry
+function splitKey(text) {
+  const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\[\]{},-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+(.*)|$)/);
+  if (!match) return null;
+
+  let key = match[1];
+  if (key[0] === '"') key = JSON.parse(key);
+  else if (key[0] === "'") key = key.slice(1, -1).replace(/''/g, "'");
+  return { key, rest: match[2] || '' };
+}
+
+// Drop a trailing "# comment" outside of quotes
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s\[{,:]/.test(text[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trim();
+    }
+  }
+  return text.trim();
+}
+
+// Index of the quote closing the string that opens `text`, or -1
+function closingQuote(text) {
+  const quote = text[0];
+  for (let i = 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") i++;
+      else return i;
+    }
+  }
+  return -1;
+}
+
+// Brackets balanced outside of quotes
+function balanced(text) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0 && !quote;
+}
+
+// Folded ">" scalars: single line breaks become spaces, each blank line becomes
+// a newline, and more-indented lines keep their line breaks
+function foldLines(lines) {
+  let result = '';
+  let previous = null;
+  let blanks = 0;
+
+  lines.forEach(line => {
+    if (!line) {
+      blanks++;
+      return;
+    }
+    if (previous === null) {
+      result += '\n'.repeat(blanks) + line;
+    } else {
+      const moreIndented = /^\s/.test(line) || /^\s/.test(previous);
+      if (blanks === 0) result += (moreIndented ? '\n' : ' ') + line;
+      else result += (moreIndented ? '\n' : '') + '\n'.repeat(blanks) + line;
+    }
+    previous = line;
+    blanks = 0;
+  });
+
+  return result;
+}
+
+// Core schema resolution for plain scalars. .inf and .nan stay strings because
+// they don't survive the JSON catalog cache.
+function resolveScalar(text) {
+  if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?\d+$/.test(text)) {
+    const number = Number(text);
+    return Number.isSafeInteger(number) ? number : text;
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text, 16);
+  if (/^0o[0-7]+$/.test(text)) return parseInt(text.slice(2), 8);
+  if (/^[-+]?(\.\d+|\d+\.\d*)([eE][-+]?\d+)?$/.test(text) || /^[-+]?\d+[eE][-+]?\d+$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
@@ -0,0 +1,227 @@
+// functions/_lib/github.js
+// Minimal GitHub client: one Git Trees call lists the whole repo, then blobs
+// are pulled a hundred at a time through GraphQL, so a catalog costs a handful
+// of subrequests rather than one per file.
+
+const GITHUB_API = 'https://api.github.com';
+
+// Workers allow 6 simultaneous outgoing connections per request
+const BLOB_CONCURRENCY = 6;
+// Blobs per GraphQL query; keeps each response well under GitHub's limits
+const GRAPHQL_BATCH_SIZE = 100;
+
+function githubHeaders(token, accept = 'application/vnd.github.v3+json') {
+  const headers = {
+    'User-Agent': 'Rwanda-Cinema',
+    'Accept': accept
+  };
+  if (token) headers['Authorization'] = `token ${token}`;
+  return headers;
+}
+
+// List every blob in the repo at `ref` with a single recursive tree request
+export async function fetchRepoTree(token, repo, ref = 'HEAD') {
+  const apiUrl = `${GITHUB_API}/repos/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`;
+  const response = await fetch(apiUrl, { headers: githubHeaders(token) });
+
+  if (!response.ok) {
+    throw githubError(response, 'GitHub tree request failed');
+  }
+
+  const data = await response.json();
+  // A truncated listing would silently drop films from the catalog; fail so the
+  // last good catalog keeps being served instead
+  if (data.truncated) {
+    throw new Error(`GitHub tree for ${repo} is truncated; too many files to list in one request`);
+  }
+
+  return (data.tree || [])
+    .filter(entry => entry.type === 'blob')
+    .map(entry => ({
+      ...repoFile(repo, ref, entry.path),
+      sha: entry.sha,
+      size: entry.size
+    }));
+}
+
+// File descriptor in the same shape the contents API used to return
+export function repoFile(repo, ref, path) {
+  return {
+    path,
+    name: path.split('/').pop(),
+    download_url: `https://raw.githubusercontent.com/${repo}/${ref}/${path}`,
+    html_url: `https://github.com/${repo}/blob/${ref}/${path}`
+  };
+}
+
+// Raw contents of a single file at `ref`; null when the file doesn't exist there
+export async function fetchFileContent(token, repo, path, ref = 'HEAD') {
+  const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+  const apiUrl = `${GITHUB_API}/repos/${repo}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`;
+  const response = await fetch(apiUrl, {
+    headers: githubHeaders(token, 'application/vnd.github.raw')
+  });
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw githubError(response, `GitHub contents request failed for ${path}`);
+  }
+  return response.text();
+}
+
+// Error for a failed API response. `status` is the HTTP status and `retryAt`
+// (ms timestamp) is when GitHub says to try again: Retry-After for secondary
+// rate limits, X-RateLimit-Reset once the hourly quota is used up.
+export function githubError(response, message) {
+  const error = new Error(`${message}: ${response.status}`);
+  error.status = response.status;
+
+  const retryAfter = parseInt(response.headers.get('Retry-After'));
+  const reset = parseInt(response.headers.get('X-RateLimit-Reset'));
+  if (retryAfter > 0) {
+    error.retryAt = Date.now() + retryAfter * 1000;
+  } else if (response.headers.get('X-RateLimit-Remaining') === '0' && reset > 0) {
+    error.retryAt = reset * 1000;
+  }
+  return error;
+}
+
+// GitHub lists at most 20 commits in a push event
+export const PUSH_COMMIT_LIMIT = 20;
+
+// Whether a push event may not list every commit it carries, so its changed
+// files can't be worked out from the payload: the list is at the limit or missing
+export function isPushTruncated(payload) {
+  return !Array.isArray(payload.commits) || payload.commits.length >= PUSH_COMMIT_LIMIT;
+}
+
+// Paths a push event's commits touched, { changed, removed }. Commits are
+// folded in order so a file added then removed ends up removed
+export function collectChangedFiles(commits) {
+  const changed = new Set();
+  const removed = new Set();
+
+  for (const commit of commits) {
+    [...(commit.added || []), ...(commit.modified || [])].forEach(path => {
+      removed.delete(path);
+      changed.add(path);
+    });
+    (commit.removed || []).forEach(path => {
+      changed.delete(path);
+      removed.add(path);
+    });
+  }
+
+  return { changed: [...changed], removed: [...removed] };
+}
+
+// Markdown files directly inside `dir` (no nested folders)
+export function filesInDirectory(tree, dir) {
+  const prefix = dir.replace(/\/$/, '') + '/';
+  return tree.filter(entry =>
+    entry.path.startsWith(prefix) &&
+    !entry.path.slice(prefix.length).includes('/') &&
+    entry.name.endsWith('.md')
+  );
+}
+
+// Names of the folders directly inside `dir`
+export function directoriesIn(tree, dir) {
+  const prefix = dir.replace(/\/$/, '') + '/';
+  const names = new Set();
+  tree.forEach(entry => {
+    if (!entry.path.startsWith(prefix)) return;
+    const rest = entry.path.slice(prefix.length);
+    if (rest.includes('/')) names.add(rest.split('/')[0]);
+  });
+  return [...names];
+}
+
+// Download blob contents for the given tree entries. Any failed download fails
+// the whole batch: a catalog missing the files GitHub refused (rate limit, 5xx)
+// must not be cached as if it were complete. GraphQL needs a token; without one
+// every blob is its own REST call, which only suits small repos.
+export async function fetchBlobContents(token, repo, entries, concurrency = BLOB_CONCURRENCY) {
+  if (!token) return fetchBlobsOneByOne(token, repo, entries, concurrency);
+
+  const batches = [];
+  for (let i = 0; i < entries.length; i += GRAPHQL_BATCH_SIZE) {
+    batches.push(entries.slice(i, i + GRAPHQL_BATCH_SIZE));
+  }
+  const results = await mapWithConcurrency(batches, concurrency, batch => fetchBlobBatch(token, repo, batch));
+  return results.flat();
+}
+
+// One GraphQL query for up to GRAPHQL_BATCH_SIZE blobs, looked up by SHA
+async function fetchBlobBatch(token, repo, entries) {
+  const [owner, name] = repo.split('/');
+  const blobs = entries
+    .map((entry, index) => `b${index}: object(oid: "${entry.sha}") { ... on Blob { text isTruncated } }`)
+    .join('\n');
+  const response = await fetch(`${GITHUB_API}/graphql`, {
+    method: 'POST',
+    headers: { ...githubHeaders(token), 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      query: `query ($owner: String!, $name: String!) { repository(owner: $owner, name: $name) {\n${blobs}\n} }`,
+      variables: { owner, name }
+    })
+  });
+  if (!response.ok) {
+    throw githubError(response, 'GitHub GraphQL blob request failed');
+  }
+
+  // Rate limits and bad SHAs come back as 200 with `errors`
+  const { data, errors } = await response.json();
+  if (errors && errors.length) {
+    const error = new Error(`GitHub GraphQL blob request failed: ${errors[0].message}`);
+    if (errors.some(e => e.type === 'RATE_LIMITED')) {
+      error.retryAt = githubError(response, '').retryAt || Date.now() + 60 * 1000;
+    }
+    throw error;
+  }
+
+  return entries.map((entry, index) => {
+    const blob = data && data.repository && data.repository[`b${index}`];
+    if (!blob || typeof blob.text !== 'string' || blob.isTruncated) {
+      throw new Error(`Failed to fetch ${entry.path}: blob missing or too large`);
+    }
+    return blob.text;
+  });
+}
+
+function fetchBlobsOneByOne(token, repo, entries, concurrency) {
+  return mapWithConcurrency(entries, concurrency, async entry => {
+    const apiUrl = `${GITHUB_API}/repos/${repo}/git/blobs/${entry.sha}`;
+    const response = await fetch(apiUrl, {
+      headers: githubHeaders(token, 'application/vnd.github.raw')
+    });
+    if (!response.ok) {
+      throw githubError(response, `Failed to fetch ${entry.path}`);
+    }
+    return response.text();
+  });
+}
+
+// Run `fn` over `items` with at most `limit` promises in flight, preserving order.
+// Rejects with the first error; the other workers stop picking up new items.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  async function worker() {
+    while (nextIndex < items.length && !failed) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
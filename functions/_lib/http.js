@@ -0,0 +1,13 @@
+// functions/_lib/http.js
+// Response helpers shared by the API endpoints.
+
+export function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Cache-Control': 'no-store',
+      ...headers
+    }
+  });
+}
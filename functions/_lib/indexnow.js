@@ -0,0 +1,132 @@
+// functions/_lib/indexnow.js
+// IndexNow submissions (Bing, Yandex and the other participating engines share
+// one endpoint), so new and changed pages get recrawled in minutes instead of
+// days. Uploads land as commits in the content repo, so the GitHub webhook is
+// what submits them. The key comes from INDEXNOW_KEY and is served at
+// /indexnow-key.txt; without it nothing is submitted. With a CATALOG_KV binding
+// every batch is recorded in a short log that admins read through /api/indexnow.
+import { createKVStore } from './catalog-cache.js';
+
+const ENDPOINT = 'https://api.indexnow.org/indexnow';
+export const KEY_FILE_PATH = '/indexnow-key.txt';
+
+const BATCH_SIZE = 10000;   // IndexNow accepts up to 10,000 URLs per call
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY = 2000;   // ms before the first retry, doubling per attempt
+const MAX_RETRY_DELAY = 10000;
+const LOG_KEY = 'indexnow:log';
+const LOG_SIZE = 50;        // batches kept, newest first
+const LOG_TTL = 30 * 86400;
+
+/**
+ * @typedef {Object} IndexNowLogEntry
+ * @property {string} at ISO date of the last attempt
+ * @property {string} source what triggered the submission, e.g. 'webhook'
+ * @property {string[]} urls
+ * @property {boolean} ok
+ * @property {number} attempts
+ * @property {number} [status] HTTP status of the last attempt
+ * @property {string} [error]
+ */
+
+// The configured key, or null when it is missing or not a valid IndexNow key
+export function indexNowKey(env) {
+  const key = String(env.INDEXNOW_KEY || '').trim();
+  return /^[a-zA-Z0-9-]{8,128}$/.test(key) ? key : null;
+}
+
+/**
+ * Submit `urls` (all on `baseUrl`'s host) in batches, retrying rate limits and
+ * server errors. Never throws; the outcome of each batch goes to the log.
+ * @returns {Promise<IndexNowLogEntry[]>} one entry per batch, [] when disabled
+ */
+export async function submitToIndexNow(env, baseUrl, urls, source = 'webhook') {
+  const key = indexNowKey(env);
+  const unique = [...new Set(urls)];
+  if (!key || unique.length === 0) return [];
+
+  const { host } = new URL(baseUrl);
+  const results = [];
+
+  for (let i = 0; i < unique.length; i += BATCH_SIZE) {
+    const batch = unique.slice(i, i + BATCH_SIZE);
+    const result = await submitBatch({
+      host,
+      key,
+      keyLocation: `${baseUrl}${KEY_FILE_PATH}`,
+      urlList: batch
+    });
+    if (!result.ok) {
+      console.warn(`IndexNow submission of ${batch.length} URLs failed:`, result.error || result.status);
+    }
+    results.push({ at: new Date().toISOString(), source, urls: batch, ...result });
+  }
+
+  await appendLog(env, results);
+  return results;
+}
+
+// The log, newest first; null without a KV binding, where there is no store
+// shared by every colo and isolate to keep it in
+export async function readIndexNowLog(env) {
+  if (!env.CATALOG_KV) return null;
+  try {
+    return (await createKVStore(env.CATALOG_KV).get(LOG_KEY)) || [];
+  } catch (error) {
+    console.warn('IndexNow log read failed:', error.message);
+    return [];
+  }
+}
+
+// 200 and 202 (key not verified yet) are accepted; 429 and 5xx are worth
+// another try, anything else (bad key, foreign host) won't get better
+async function submitBatch(body) {
+  let last = {};
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const response = await fetch(ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify(body)
+      });
+      if (response.ok) return { ok: true, attempts: attempt, status: response.status };
+
+      last = { status: response.status, retryAfter: parseInt(response.headers.get('Retry-After')) };
+      if (response.status !== 429 && response.status < 500) {
+        return { ok: false, attempts: attempt, status: response.status };
+      }
+    } catch (error) {
+      last = { error: error.message };
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      const backoff = RETRY_DELAY * 2 ** (attempt - 1);
+      await sleep(Math.min(last.retryAfter > 0 ? last.retryAfter * 1000 : backoff, MAX_RETRY_DELAY));
+    }
+  }
+
+  return {
+    ok: false,
+    attempts: MAX_ATTEMPTS,
+    ...(last.status ? { status: last.status } : {}),
+    ...(last.error ? { error: last.error } : {})
+  };
+}
+
+// Newest first, capped at LOG_SIZE batches. Two webhooks finishing at once can
+// drop each other's entry; good enough for confirming that submissions happen.
+async function appendLog(env, results) {
+  if (!env.CATALOG_KV) return;
+  try {
+    const store = createKVStore(env.CATALOG_KV);
+    const log = (await store.get(LOG_KEY)) || [];
+    await store.put(LOG_KEY, [...[...results].reverse(), ...log].slice(0, LOG_SIZE), LOG_TTL);
+  } catch (error) {
+    console.warn('IndexNow log write failed:', error.message);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
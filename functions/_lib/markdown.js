@@ -0,0 +1,224 @@
+// functions/_lib/markdown.js
+// Renders the markdown body of a content file (synopsis, review, cast notes,
+// trivia) to HTML. Output is safe to inline in a page: raw HTML in the source is
+// escaped, links and images are limited to http(s), mailto and site-relative
+// URLs, and the only embeds are YouTube shortcodes:
+//   {{< youtube dQw4w9WgXcQ >}}  or  {{< youtube https://youtu.be/dQw4w9WgXcQ >}}
+// Headings are shifted down one level ("# Cast" -> <h2>) because the page
+// title is the only <h1>.
+import { escapeHTML } from './format.js';
+
+export function renderMarkdown(source) {
+  const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed) {
+      i++;
+      continue;
+    }
+
+    // Fenced code block
+    const fence = trimmed.match(/^(`{3,}|~{3,})/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      html.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const shortcode = trimmed.match(/^\{\{<\s*youtube\s+(\S+?)\s*>\}\}$/i);
+    if (shortcode) {
+      const embed = youtubeEmbed(shortcode[1]);
+      if (embed) html.push(embed);
+      i++;
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      const level = Math.min(heading[1].length + 1, 6);
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim().startsWith('>')) {
+        quoted.push(lines[i].trim().replace(/^>\s?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+      continue;
+    }
+
+    if (listMarker(line)) {
+      const { html: list, next } = renderList(lines, i);
+      html.push(list);
+      i = next;
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    html.push(`<p>${renderLines(paragraph)}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+function startsBlock(line) {
+  const trimmed = line.trim();
+  return /^(#{1,6}\s|>|`{3,}|~{3,})/.test(trimmed) ||
+    /^\{\{<\s*youtube\s/i.test(trimmed) ||
+    /^([-*_])(\s*\1){2,}$/.test(trimmed) ||
+    Boolean(listMarker(line));
+}
+
+// { indent, ordered, start, content } for a list item line, else null
+function listMarker(line) {
+  const match = line.match(/^(\s*)([-*+]|(\d{1,9})[.)])\s+(.*)$/);
+  if (!match) return null;
+  return { indent: match[1].length, ordered: Boolean(match[3]), start: Number(match[3]) || 1, content: match[4] };
+}
+
+// Renders the list starting at lines[start]; nested lists are indented items
+function renderList(lines, start) {
+  const first = listMarker(lines[start]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const marker = listMarker(lines[i]);
+    if (!marker || marker.indent < first.indent || marker.ordered !== first.ordered) {
+      if (!marker && items.length && lines[i].trim() && /^\s+/.test(lines[i])) {
+        // Lazy continuation of the previous item
+        items[items.length - 1].text.push(lines[i].trim());
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    if (marker.indent > first.indent) {
+      const nested = renderList(lines, i);
+      items[items.length - 1].children.push(nested.html);
+      i = nested.next;
+      continue;
+    }
+
+    items.push({ text: [marker.content], children: [] });
+    i++;
+  }
+
+  const tag = first.ordered ? 'ol' : 'ul';
+  const startAttr = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+  const body = items
+    .map(item => `<li>${renderLines(item.text)}${item.children.join('')}</li>`)
+    .join('');
+  return { html: `<${tag}${startAttr}>${body}</${tag}>`, next: i };
+}
+
+// Joins paragraph lines; two trailing spaces or a trailing backslash force a line break
+function renderLines(lines) {
+  return lines
+    .map((line, index) => {
+      const last = index === lines.length - 1;
+      const hardBreak = !last && /( {2,}|\\)$/.test(line);
+      const text = renderInline(line.trim().replace(/\\$/, ''));
+      return hardBreak ? `${text}<br>` : text;
+    })
+    .join('\n');
+}
+
+const INLINE_PATTERN = /(`+)([\s\S]*?[^`])\1(?!`)|!\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+"([^"]*)")?\s*\)|\[((?:[^\[\]]|\[[^\]]*\])*)\]\(\s*<?([^)\s>]*)>?(?:\s+"([^"]*)")?\s*\)|<(https?:\/\/[^>\s]+)>/g;
+
+function renderInline(text, allowLinks = true) {
+  let html = '';
+  let last = 0;
+  let match;
+
+  const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+
+  while ((match = pattern.exec(text)) !== null) {
+    html += renderEmphasis(text.slice(last, match.index));
+    last = pattern.lastIndex;
+
+    const [, ticks, code, imageAlt, imageUrl, imageTitle, linkText, linkUrl, linkTitle, autolink] = match;
+
+    if (ticks) {
+      html += `<code>${escapeHTML(code.trim())}</code>`;
+    } else if (imageUrl !== undefined) {
+      const src = safeUrl(imageUrl, false);
+      html += src
+        ? `<img src="${escapeHTML(src)}" alt="${escapeHTML(imageAlt)}"${imageTitle ? ` title="${escapeHTML(imageTitle)}"` : ''} loading="lazy">`
+        : escapeHTML(imageAlt);
+    } else if (linkUrl !== undefined) {
+      const label = renderInline(linkText, false);
+      const href = allowLinks && safeUrl(linkUrl, true);
+      html += href ? linkTag(href, label, linkTitle) : label;
+    } else if (autolink) {
+      const href = allowLinks && safeUrl(autolink, true);
+      html += href ? linkTag(href, escapeHTML(autolink)) : escapeHTML(autolink);
+    }
+  }
+
+  return html + renderEmphasis(text.slice(last));
+}
+
+function linkTag(href, label, title) {
+  const external = /^https?:/i.test(href);
+  return `<a href="${escapeHTML(href)}"${title ? ` title="${escapeHTML(title)}"` : ''}` +
+    `${external ? ' rel="noopener nofollow" target="_blank"' : ''}>${label}</a>`;
+}
+
+// Bold, italics and strikethrough on escaped text (markers survive escaping)
+function renderEmphasis(text) {
+  return escapeHTML(text.replace(/\\([\\`*_{}\[\]()#+\-.!>~|])/g, (match, char) => `\u0000${char.charCodeAt(0)}\u0000`))
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w_])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/\u0000(\d+)\u0000/g, (match, code) => escapeHTML(String.fromCharCode(Number(code))));
+}
+
+// Only http(s), mailto (links) and site-relative URLs; null for anything else
+function safeUrl(url, allowMailto) {
+  const value = url.trim();
+  if (!value) return null;
+  // Not //host or /\host, which browsers read as another site
+  if (/^(\/(?![\/\\])|#|\.{1,2}\/)/.test(value)) return value;
+  if (/^https?:\/\//i.test(value)) return value;
+  if (allowMailto && /^mailto:[^\s@]+@[^\s@]+$/i.test(value)) return value;
+  return null;
+}
+
+function youtubeEmbed(reference) {
+  const match = reference.match(/^[\w-]{11}$/) ? [null, reference]
+    : reference.match(/(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/);
+  if (!match) return '';
+
+  return `<div class="video-embed"><iframe src="https://www.youtube-nocookie.com/embed/${match[1]}" ` +
+    `title="YouTube video" loading="lazy" frameborder="0" ` +
+    `allow="accelerometer; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe></div>`;
+}
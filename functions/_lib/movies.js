@@ -0,0 +1,116 @@
+// functions/_lib/movies.js
+// Loads the films catalog (content/movies/<category>) for the homepage, sitemap
+// and /api/videos, and applies the listings' query string filters.
+import { getCachedCatalog, patchCatalog } from './catalog-cache.js';
+import { createContentSource } from './content-source.js';
+import { MOVIES_DIR } from './categories.js';
+import { normalizeVideo, sortByPublished, searchVideos, sortVideos, parseSort, FILM_SORT_OPTIONS } from './catalog.js';
+import { FILM_FACETS, readFacets, applyFacets, facetCounts } from './facets.js';
+import { readEntry, fileIssue, logIssue, MOVIE_SCHEMA } from './schema.js';
+
+export async function loadMovieCatalog(context) {
+  return getCachedCatalog(context, 'movies', async () => (await scanMovies(context.env)).videos);
+}
+
+/**
+ * The films listing for a query string, as the homepage and /api/videos show
+ * it: ?search=, ?category= and the facets narrow the catalog, ?sort= orders it.
+ * `facets` are counted before the facets themselves are applied.
+ * @param {import('./catalog.js').Video[]} allVideos
+ * @param {URLSearchParams} searchParams
+ */
+export function queryMovies(allVideos, searchParams) {
+  const searchQuery = searchParams.get('search') || '';
+  const categoryFilter = searchParams.get('category') || '';
+  const sort = parseSort(searchParams.get('sort'), FILM_SORT_OPTIONS);
+  const facetFilters = readFacets(searchParams, FILM_FACETS);
+
+  let videos = allVideos;
+  if (searchQuery) {
+    videos = searchVideos(videos, searchQuery);
+  }
+  if (categoryFilter) {
+    videos = videos.filter(video => video.category === categoryFilter);
+  }
+
+  const facets = facetCounts(videos, facetFilters, FILM_FACETS);
+  return {
+    videos: sortVideos(applyFacets(videos, facetFilters), sort),
+    facets,
+    searchQuery,
+    categoryFilter,
+    sort,
+    facetFilters
+  };
+}
+
+// content/movies/<category>/<slug>.md -> { category, slug }, or null for anything else
+export function moviePathInfo(path) {
+  const match = path.match(/^content\/movies\/([^/]+)\/([^/]+)\.md$/);
+  if (!match) return null;
+  return { category: match[1], slug: match[2] };
+}
+
+// Re-parse only the changed files and patch them into the cached catalog.
+// Returns the parsed entries so callers can work out which pages changed.
+export async function updateMovieCatalog(env, { changed = [], removed = [], ref }) {
+  const source = createContentSource(env);
+  const upserts = [];
+  const removals = removed.filter(path => moviePathInfo(path));
+
+  for (const path of changed) {
+    if (!moviePathInfo(path)) continue;
+    const content = await source.read(path, ref);
+    if (content === null) continue;
+    const { video, issue } = parseVideoFile(content, path);
+    if (video) upserts.push(video);
+    // A file that no longer validates drops out instead of keeping its old entry
+    else removals.push(path);
+    if (issue) logIssue(issue);
+  }
+
+  const patched = await patchCatalog(env, 'movies', { upserts, removals, sort: sortByPublished });
+
+  return { patched, upserts, removals };
+}
+
+// Read and validate every film file: { videos, issues } where issues lists the
+// files with errors (left out of videos) or warnings
+export async function scanMovies(env) {
+  const source = createContentSource(env);
+
+  // Every folder under content/movies is a category; on GitHub this is one tree call
+  const categories = await source.listDirectories(MOVIES_DIR);
+  const listings = await Promise.all(categories.map(category => source.listMarkdown(`${MOVIES_DIR}/${category}`)));
+  const files = listings.flat();
+
+  const contents = await source.readAll(files);
+  const videos = [];
+  const issues = [];
+
+  files.forEach((file, index) => {
+    if (contents[index] === null) {
+      issues.push(fileIssue(file.path, 'File could not be read from the content source'));
+      return;
+    }
+    const { video, issue } = parseVideoFile(contents[index], file.path);
+    if (video) videos.push(video);
+    if (issue) issues.push(issue);
+  });
+
+  const invalid = issues.filter(issue => issue.errors.length).length;
+  if (invalid) console.warn(`Skipped ${invalid} invalid film files; see /api/content-report`);
+
+  // Sort all videos by date (newest first)
+  return { videos: sortByPublished(videos), issues, files: files.length };
+}
+
+function parseVideoFile(content, path) {
+  const { category, slug } = moviePathInfo(path);
+  const { data, body, issue } = readEntry(content, path, MOVIE_SCHEMA);
+
+  return {
+    video: data ? normalizeVideo(data, { category, slug, sourcePath: path, body }) : null,
+    issue
+  };
+}
@@ -0,0 +1,110 @@
+// functions/_lib/pagination.js
+// ?page=N paging for search and filter listings. Page 1 never carries the
+// parameter, so its URL (and canonical) stays the unpaged one.
+import { escapeHTML } from './format.js';
+
+export const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// LISTING_PAGE_SIZE overrides the number of cards per page
+export function getPageSize(env) {
+  const size = parseInt(env.LISTING_PAGE_SIZE);
+  return size > 0 ? Math.min(size, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE;
+}
+
+// Requested page number; anything that isn't a positive whole number is page 1
+export function parsePage(value) {
+  return /^\d+$/.test(String(value || '')) && Number(value) > 0 ? Number(value) : 1;
+}
+
+/**
+ * One page of `items`. `page` may be past the end (see `outOfRange`) when the
+ * catalog shrank since the link was made.
+ * @returns {{ items: Array, page: number, pageSize: number, total: number,
+ *   totalPages: number, first: number, last: number, outOfRange: boolean }}
+ *   `first`/`last` are 1-based positions of the page's items in the full list
+ */
+export function paginate(items, page, pageSize) {
+  const totalPages = Math.max(1, Math.ceil(items.length / pageSize));
+  const start = (page - 1) * pageSize;
+  const pageItems = items.slice(start, start + pageSize);
+
+  return {
+    items: pageItems,
+    page,
+    pageSize,
+    total: items.length,
+    totalPages,
+    first: pageItems.length ? start + 1 : 0,
+    last: start + pageItems.length,
+    outOfRange: page > totalPages
+  };
+}
+
+// Where to send a request for a page past the end: the same listing's last page
+export function lastPageUrl(url, totalPages) {
+  const target = new URL(url);
+  if (totalPages > 1) target.searchParams.set('page', totalPages);
+  else target.searchParams.delete('page');
+  return target.toString();
+}
+
+// `url` is the listing's unpaged URL (query string already built)
+export function pageUrl(url, page) {
+  if (page <= 1) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}page=${page}`;
+}
+
+// URLs for `page` of the listing at `filterUrl` (its filters, no sort or page).
+// Pagination links (`listingUrl`) keep a non-default sort so paging stays in
+// that order. The canonical leaves the sort out, since every order lists the
+// same entries, but each page is its own canonical; page 1 is the unpaged URL.
+export function listingUrls(filterUrl, { sort, defaultSort, page }) {
+  const sortParams = sort === defaultSort ? [] : [`sort=${sort}`];
+  return {
+    sortParams,
+    listingUrl: sortParams.length ? `${filterUrl}${filterUrl.includes('?') ? '&' : '?'}${sortParams[0]}` : filterUrl,
+    canonicalUrl: pageUrl(filterUrl, page)
+  };
+}
+
+// Page numbers to link, with null where a run is elided: 1 … 4 5 6 … 10
+export function pageNumbers(page, totalPages, around = 2) {
+  const numbers = [];
+  for (let number = 1; number <= totalPages; number++) {
+    if (number === 1 || number === totalPages || Math.abs(number - page) <= around) {
+      numbers.push(number);
+    } else if (numbers[numbers.length - 1] !== null) {
+      numbers.push(null);
+    }
+  }
+  return numbers;
+}
+
+// <link rel="prev/next"> tags for the page head
+export function paginationLinks({ page, totalPages }, url) {
+  return [
+    page > 1 ? `<link rel="prev" href="${escapeHTML(pageUrl(url, page - 1))}">` : '',
+    page < totalPages ? `<link rel="next" href="${escapeHTML(pageUrl(url, page + 1))}">` : ''
+  ].filter(Boolean).join('\n    ');
+}
+
+// Prev/next and numbered links; empty when everything fits on one page.
+// Styled by each page's .pagination rules.
+export function renderPagination({ page, totalPages }, url) {
+  if (totalPages <= 1) return '';
+
+  const link = (number, label, rel) =>
+    `<a href="${escapeHTML(pageUrl(url, number))}"${rel ? ` rel="${rel}"` : ''}>${label}</a>`;
+
+  return `
+    <nav class="pagination" aria-label="Pagination">
+        ${page > 1 ? link(page - 1, '← Previous', 'prev') : '<span class="disabled">← Previous</span>'}
+        ${pageNumbers(page, totalPages).map(number =>
+          number === null ? '<span class="gap">…</span>'
+          : number === page ? `<span aria-current="page">${number}</span>`
+          : link(number, number)
+        ).join('')}
+        ${page < totalPages ? link(page + 1, 'Next →', 'next') : '<span class="disabled">Next →</span>'}
+    </nav>`;
+}
@@ -0,0 +1,171 @@
+// functions/_lib/schema.js
+// Frontmatter schemas for films and agasobanuye entries. Errors keep a file out
+// of the catalog; warnings are only reported (see /api/content-report).
+import { splitFrontmatter } from './frontmatter.js';
+import { parseDuration } from './format.js';
+import { normalizeContentType } from './catalog.js';
+
+// Field rules. `required: true` is an error when missing, 'warn' only a warning;
+// `aliases` are older field names that satisfy the same rule.
+export const MOVIE_SCHEMA = {
+  title: { type: 'string', required: 'warn' },
+  videoUrl: { type: 'url', required: true },
+  date: { type: 'date', required: true, aliases: ['createdAt'] },
+  posterUrl: { type: 'url', required: 'warn', aliases: ['youtubeThumbnail'] },
+  description: { type: 'string', required: 'warn' },
+  metaDescription: { type: 'string' },
+  category: { type: 'string' },
+  slug: { type: 'slug' },
+  duration: { type: 'duration' },
+  releaseYear: { type: 'year' },
+  tags: { type: 'list' },
+  quality: { type: 'string' },
+  views: { type: 'count' },
+  likes: { type: 'count' },
+  score: { type: 'score' },
+  cast: { type: 'people', aliases: ['mainCast'] },
+  supportingCast: { type: 'people' },
+  director: { type: 'people', aliases: ['directors'] },
+  writer: { type: 'people', aliases: ['writers'] },
+  producer: { type: 'people', aliases: ['producers'] }
+};
+
+export const TRANSLATED_SCHEMA = {
+  title: { type: 'string' },
+  videoUrl: { type: 'url', required: true },
+  dateAdded: { type: 'date', required: 'warn', aliases: ['uploadDate'] },
+  posterUrl: { type: 'url', required: 'warn', aliases: ['thumbnailUrl'] },
+  description: { type: 'string', required: 'warn', aliases: ['shortDescription'] },
+  contentType: { type: 'enum', values: ['MOVIE', 'TV-SERIES'], normalize: normalizeContentType },
+  translator: { type: 'string' },
+  slug: { type: 'slug' },
+  duration: { type: 'duration', aliases: ['runtime'] },
+  releaseYear: { type: 'year' },
+  genre: { type: 'list', aliases: ['genres'] },
+  quality: { type: 'string', aliases: ['videoQuality'] },
+  views: { type: 'count' },
+  likes: { type: 'count' },
+  score: { type: 'score', aliases: ['imdbRating'] },
+  trailerUrl: { type: 'url' },
+  tagline: { type: 'string' },
+  plot: { type: 'string' },
+  mainCast: { type: 'people', aliases: ['cast'] },
+  supportingCast: { type: 'people' },
+  voiceCast: { type: 'people' },
+  director: { type: 'people' },
+  subtitleLanguages: { type: 'list' },
+  ageRestriction: { type: 'count' },
+  contentWarnings: { type: 'list' },
+  awards: { type: 'list' }
+};
+
+// Parse and validate one markdown file; `defaults` are values taken from the path.
+// Returns { data, body, issue }: data is the frontmatter (null when the file has
+// errors), body the markdown after it, issue { path, errors, warnings } or null
+// when the file is clean.
+export function readEntry(content, path, schema, defaults = {}) {
+  let parsed;
+  try {
+    parsed = splitFrontmatter(content);
+  } catch (error) {
+    return { data: null, issue: fileIssue(path, `Invalid YAML: ${error.message}`) };
+  }
+  if (!parsed) {
+    return { data: null, issue: fileIssue(path, 'Missing frontmatter block (--- ... ---)') };
+  }
+
+  const { errors, warnings } = validateFrontmatter({ ...defaults, ...parsed.data }, schema);
+  const issue = errors.length || warnings.length ? { path, errors, warnings } : null;
+  return { data: errors.length ? null : parsed.data, body: parsed.body, issue };
+}
+
+export function validateFrontmatter(data, schema) {
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const name = [field, ...(rule.aliases || [])].find(key => !isBlank(data[key])) || field;
+    const value = data[name];
+
+    if (isBlank(value)) {
+      if (rule.required === true) errors.push(`Missing required field "${field}"`);
+      else if (rule.required === 'warn') warnings.push(`Missing recommended field "${field}"`);
+      return;
+    }
+
+    const problem = checkType(value, rule);
+    if (!problem) return;
+    // A bad value in a required field is as bad as a missing one, and a bad
+    // date would silently sort the entry as 1970
+    (rule.required === true || rule.type === 'date' ? errors : warnings).push(`"${name}" ${problem}`);
+  });
+
+  return { errors, warnings };
+}
+
+// Issue for content that never reaches frontmatter validation
+export function fileIssue(path, error) {
+  return { path, errors: [error], warnings: [] };
+}
+
+// Only errors are logged; warnings are listed by /api/content-report
+export function logIssue({ path, errors }) {
+  if (errors.length) console.warn(`${path}: ${errors.join('; ')}`);
+}
+
+function checkType(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'object' ? 'must be text' : null;
+    case 'url':
+      return isHttpUrl(value) ? null : `must be an http(s) URL, got "${value}"`;
+    case 'date':
+      return typeof value === 'string' && !isNaN(new Date(value))
+        ? null
+        : `must be a date like 2024-05-01 or 2024-05-01T12:00:00Z, got "${value}"`;
+    case 'slug':
+      return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(String(value))
+        ? null
+        : `must be lowercase letters, numbers and dashes, got "${value}"`;
+    case 'duration':
+      return parseDuration(typeof value === 'number' ? String(value) : value) !== null
+        ? null
+        : `isn't a duration we understand ("1:30:00", "90 minutes", "1h 30m"), got "${value}"`;
+    case 'year': {
+      const year = Number(value);
+      return Number.isInteger(year) && year >= 1880 && year <= new Date().getFullYear() + 2
+        ? null
+        : `must be a four-digit year, got "${value}"`;
+    }
+    case 'list':
+      return Array.isArray(value) || typeof value === 'string' ? null : 'must be a list';
+    case 'people':
+      return typeof value === 'string' || Array.isArray(value) || typeof value === 'object'
+        ? null
+        : 'must be a name, a list of names or a list of { name, role }';
+    case 'enum':
+      return rule.values.includes(rule.normalize ? rule.normalize(value) : String(value).trim())
+        ? null
+        : `must be one of ${rule.values.join(', ')}, got "${value}"`;
+    case 'score': {
+      const score = Number(value);
+      return score >= 0 && score <= 10 ? null : `must be a score from 0 to 10, got "${value}"`;
+    }
+    case 'count':
+      return Number.isInteger(Number(value)) && Number(value) >= 0 ? null : `must be a whole number, got "${value}"`;
+    default:
+      return null;
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(String(value).trim()).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && !value.trim());
+}
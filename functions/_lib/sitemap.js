@@ -0,0 +1,265 @@
+// functions/_lib/sitemap.js
+// Sitemaps: /sitemap.xml is an index of child sitemaps, one series per content
+// type (/sitemaps/<type>-<n>.xml), each cut into chunks of SITEMAP_CHUNK_SIZE
+// URLs. Film and watch pages carry Google video and image tags; every entry's
+// lastmod is its newest upload, or left out when there is no date to give.
+import { loadMovieCatalog } from './movies.js';
+import { loadTranslatedCatalog } from './translated.js';
+import { loadCategoryRegistry } from './categories.js';
+import { loadTranslatorRegistry, listTranslators, isByTranslator } from './translators.js';
+import { groupSeries, episodeTitle } from './catalog.js';
+import { escapeHTML, getEmbedUrl } from './format.js';
+
+export const SITEMAP_CHUNK_SIZE = 1000;
+
+// Child sitemaps, in index order
+export const SITEMAP_TYPES = ['static', 'categories', 'films', 'translated', 'translators'];
+
+const STATIC_PAGES = [
+  { path: '/about', changefreq: 'monthly', priority: '0.7' },
+  { path: '/privacy', changefreq: 'yearly', priority: '0.3' },
+  { path: '/terms', changefreq: 'yearly', priority: '0.3' },
+  { path: '/contact', changefreq: 'monthly', priority: '0.5' }
+];
+
+// Google video and image sitemap extensions
+const MEDIA_NAMESPACES = 'xmlns:video="http://www.google.com/schemas/sitemap-video/1.1" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"';
+// Film content ratings that aren't family friendly; agasobanuye use ageRestriction
+const ADULT_RATINGS = ['R', 'NC-17', '18', '18+'];
+const ADULT_AGE = 18;
+
+/**
+ * @typedef {Object} SitemapEntry
+ * @property {string} loc
+ * @property {string} [lastmod] ISO date
+ * @property {string} changefreq
+ * @property {string} priority
+ * @property {string} [imageUrl]
+ * @property {Object} [video] { thumbnailUrl, title, description, playerUrl|contentUrl, duration, publishedAt, familyFriendly }
+ */
+
+// Catalogs and registries every child sitemap is built from
+export async function loadSitemapSources(context) {
+  const [films, translated, categories, translatorRegistry] = await Promise.all([
+    loadMovieCatalog(context),
+    loadTranslatedCatalog(context),
+    loadCategoryRegistry(context),
+    loadTranslatorRegistry(context)
+  ]);
+
+  return {
+    films: films.filter(video => video.category && video.slug),
+    translated,
+    // Registry order, limited to categories that actually have videos
+    categories: categories.filter(category => films.some(v => v.category === category.slug)),
+    translators: listTranslators(translatorRegistry, translated)
+  };
+}
+
+/**
+ * Entries of one child sitemap type.
+ * @returns {SitemapEntry[]}
+ */
+export function sitemapEntries(type, sources, baseUrl) {
+  const { films, translated, categories, translators } = sources;
+
+  switch (type) {
+    case 'static':
+      return [
+        { loc: `${baseUrl}/`, lastmod: newest(films), changefreq: 'daily', priority: '1.0' },
+        { loc: `${baseUrl}/agasobanuye/`, lastmod: newest(translated), changefreq: 'daily', priority: '0.9' },
+        ...STATIC_PAGES.map(page => ({ loc: `${baseUrl}${page.path}`, changefreq: page.changefreq, priority: page.priority }))
+      ];
+
+    case 'categories':
+      return [
+        ...categories.map(category => ({
+          loc: `${baseUrl}/?category=${category.slug}`,
+          lastmod: newest(films.filter(v => v.category === category.slug)),
+          changefreq: 'weekly',
+          priority: '0.8'
+        })),
+        ...['MOVIE', 'TV-SERIES'].map(contentType => ({
+          loc: `${baseUrl}/agasobanuye/?type=${contentType}`,
+          lastmod: newest(translated.filter(v => v.contentType === contentType)),
+          changefreq: 'daily',
+          priority: '0.8'
+        }))
+      ];
+
+    case 'films':
+      return films.map(video => filmEntry(video, baseUrl));
+
+    case 'translated':
+      return [
+        ...translated.map(video => translatedEntry(video, baseUrl)),
+        ...[...groupSeries(translated).values()].map(series => ({
+          loc: `${baseUrl}/watch/tv-series/${series.slug}`,
+          lastmod: series.publishedAt,
+          changefreq: 'weekly',
+          priority: '0.7',
+          imageUrl: absoluteUrl(series.latestEpisode.poster, baseUrl)
+        }))
+      ];
+
+    case 'translators':
+      return translators.filter(translator => translator.count > 0).flatMap(translator => {
+        const lastmod = newest(translated.filter(v => isByTranslator(v, translator)));
+        return [
+          {
+            loc: `${baseUrl}/agasobanuye/translator/${translator.slug}`,
+            lastmod,
+            changefreq: 'weekly',
+            priority: '0.6',
+            imageUrl: translator.photoUrl
+          },
+          { loc: `${baseUrl}/agasobanuye/?translator=${translator.slug}`, lastmod, changefreq: 'weekly', priority: '0.5' }
+        ];
+      });
+
+    default:
+      return null;
+  }
+}
+
+// <sitemapindex> over every chunk of every type
+export function renderSitemapIndex(sources, baseUrl) {
+  const sitemaps = SITEMAP_TYPES.flatMap(type => chunk(sitemapEntries(type, sources, baseUrl)).map((entries, index) => ({
+    loc: `${baseUrl}/sitemaps/${type}-${index + 1}.xml`,
+    lastmod: entries.reduce((latest, entry) => (entry.lastmod || '') > latest ? entry.lastmod : latest, '')
+  })));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${sitemaps.map(sitemap => `
+    <sitemap>
+        <loc>${sitemap.loc}</loc>${sitemap.lastmod ? `
+        <lastmod>${day(sitemap.lastmod)}</lastmod>` : ''}
+    </sitemap>`).join('')}
+</sitemapindex>`;
+}
+
+/**
+ * URLs of a type's child sitemaps when it has at most `entries` entries, plus
+ * the chunk after them, which a removal may just have emptied. For purging.
+ */
+export function sitemapChunkUrls(baseUrl, type, entries) {
+  const count = Math.ceil(entries / SITEMAP_CHUNK_SIZE) + 1;
+  return Array.from({ length: count }, (_, index) => `${baseUrl}/sitemaps/${type}-${index + 1}.xml`);
+}
+
+// One chunk (1-based) of a type's sitemap; null when there is no such chunk
+export function renderSitemapChunk(type, number, sources, baseUrl) {
+  const entries = sitemapEntries(type, sources, baseUrl);
+  if (!entries) return null;
+
+  const chunks = chunk(entries);
+  if (number < 1 || number > chunks.length) return null;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ${MEDIA_NAMESPACES}>${chunks[number - 1].map(renderEntry).join('')}
+</urlset>`;
+}
+
+function filmEntry(video, baseUrl) {
+  const posterUrl = absoluteUrl(video.posterUrl, baseUrl);
+  return {
+    loc: `${baseUrl}/${video.category}/${video.slug}`,
+    lastmod: video.publishedAt,
+    changefreq: 'monthly',
+    priority: '0.6',
+    imageUrl: posterUrl,
+    video: videoTags(video, {
+      thumbnailUrl: posterUrl,
+      description: video.metaDescription || video.description,
+      playerUrl: `${baseUrl}/embed/${video.category}/${video.slug}`,
+      familyFriendly: !ADULT_RATINGS.includes(String(video.rating || '').toUpperCase())
+    })
+  };
+}
+
+function translatedEntry(video, baseUrl) {
+  const posterUrl = absoluteUrl(video.poster, baseUrl);
+  return {
+    loc: `${baseUrl}/watch/${video.contentType === 'TV-SERIES' ? 'tv-series' : 'movie'}/${video.slug}`,
+    lastmod: video.publishedAt,
+    changefreq: 'monthly',
+    priority: '0.6',
+    imageUrl: posterUrl,
+    video: videoTags(video, {
+      thumbnailUrl: posterUrl,
+      description: video.description || video.plot,
+      playerUrl: `${baseUrl}/embed/watch/${video.slug}`,
+      familyFriendly: !(video.ageRestriction >= ADULT_AGE)
+    })
+  };
+}
+
+// video:video fields, or null when Google would reject the block (it needs a
+// thumbnail and something to play); direct files are given as content_loc
+function videoTags(video, { thumbnailUrl, description, playerUrl, familyFriendly }) {
+  const embedUrl = getEmbedUrl(video.videoUrl);
+  if (!thumbnailUrl || !embedUrl) return null;
+
+  const isFile = /\.(mp4|webm|m3u8)(\?|$)/i.test(embedUrl);
+  return {
+    thumbnailUrl,
+    title: episodeTitle(video),
+    description: (description || `Watch ${video.title} online on Rwanda Cinema`).slice(0, 2048),
+    ...(isFile ? { contentUrl: embedUrl } : { playerUrl }),
+    duration: Math.round(video.durationSeconds || 0),
+    publishedAt: video.publishedAt,
+    familyFriendly
+  };
+}
+
+function renderEntry(entry) {
+  const { video } = entry;
+  return `
+    <url>
+        <loc>${escapeHTML(entry.loc)}</loc>${entry.lastmod ? `
+        <lastmod>${day(entry.lastmod)}</lastmod>` : ''}
+        <changefreq>${entry.changefreq}</changefreq>
+        <priority>${entry.priority}</priority>${entry.imageUrl ? `
+        <image:image>
+            <image:loc>${escapeHTML(entry.imageUrl)}</image:loc>
+        </image:image>` : ''}${video ? `
+        <video:video>
+            <video:thumbnail_loc>${escapeHTML(video.thumbnailUrl)}</video:thumbnail_loc>
+            <video:title>${escapeHTML(video.title)}</video:title>
+            <video:description>${escapeHTML(video.description)}</video:description>
+            ${video.contentUrl
+              ? `<video:content_loc>${escapeHTML(video.contentUrl)}</video:content_loc>`
+              : `<video:player_loc>${escapeHTML(video.playerUrl)}</video:player_loc>`}${video.duration > 0 && video.duration <= 28800 ? `
+            <video:duration>${video.duration}</video:duration>` : ''}${video.publishedAt ? `
+            <video:publication_date>${video.publishedAt}</video:publication_date>` : ''}
+            <video:family_friendly>${video.familyFriendly ? 'yes' : 'no'}</video:family_friendly>
+        </video:video>` : ''}
+    </url>`;
+}
+
+// A type with no entries has no chunks, so it is left out of the index
+function chunk(entries) {
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += SITEMAP_CHUNK_SIZE) {
+    chunks.push(entries.slice(i, i + SITEMAP_CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+// Latest publishedAt among `videos`, or '' if none is dated
+function newest(videos) {
+  return videos.reduce((latest, video) => (video.publishedAt || '') > latest ? video.publishedAt : latest, '');
+}
+
+function day(isoDate) {
+  return isoDate.split('T')[0];
+}
+
+function absoluteUrl(value, baseUrl) {
+  if (!value) return '';
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch {
+    return '';
+  }
+}
@@ -0,0 +1,261 @@
+// functions/_lib/suggest.js
+// Search-as-you-type suggestions for /api/suggest and the autocomplete under
+// the search boxes. Only titles and names are matched (searchVideos also reads
+// descriptions and tags, which is too loose for a dropdown), best match first:
+// title starts with the query, then a word in it does, then it contains it.
+import { collapseSeries } from './catalog.js';
+
+export const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 10;
+// Categories and translators listed alongside the titles
+const NAME_LIMIT = 3;
+
+// ?limit= titles, 6 by default and at most 10
+export function parseSuggestLimit(value) {
+  const limit = parseInt(value);
+  return limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT;
+}
+
+/**
+ * Film suggestions plus the categories whose name matches.
+ * @param {import('./catalog.js').Video[]} videos
+ * @param {Object[]} categories from loadCategoryRegistry, limited to those with films
+ */
+export function suggestFilms(videos, categories, query, limit, baseUrl) {
+  return [
+    ...rank(categories, query, category => [category.name, category.nameRw, category.slug], NAME_LIMIT)
+      .map(category => ({
+        type: 'category',
+        label: category.name,
+        detail: [category.nameRw, countLabel(videos.filter(v => v.category === category.slug).length, 'video')].filter(Boolean).join(' · '),
+        url: `${baseUrl}/?category=${category.slug}`,
+        posterUrl: ''
+      })),
+    ...rank(videos, query, video => [video.title, video.originalTitle], limit)
+      .map(video => ({
+        type: 'film',
+        label: video.title,
+        detail: [categoryName(categories, video.category), video.releaseYear].filter(Boolean).join(' · '),
+        url: `${baseUrl}/${video.category}/${video.slug}`,
+        posterUrl: video.posterUrl || ''
+      }))
+  ];
+}
+
+/**
+ * Agasobanuye suggestions (one per TV series, as in the listing) plus the
+ * translators whose name or alias matches.
+ * @param {import('./catalog.js').TranslatedVideo[]} videos
+ * @param {Object[]} translators from listTranslators
+ */
+export function suggestTranslated(videos, translators, query, limit, baseUrl) {
+  return [
+    ...rank(translators, query, translator => [translator.name, ...translator.aliases], NAME_LIMIT)
+      .map(translator => ({
+        type: 'translator',
+        label: translator.name,
+        detail: countLabel(translator.count, 'title'),
+        url: `${baseUrl}/agasobanuye/translator/${translator.slug}`,
+        posterUrl: translator.photoUrl
+      })),
+    ...rank(collapseSeries(videos), query, video => [video.title, video.originalTitle], limit)
+      .map(video => ({
+        type: video.isSeries ? 'series' : 'translated',
+        label: video.title,
+        detail: [
+          video.isSeries ? `Series · ${countLabel(video.episodeCount, 'episode')}` : 'Movie',
+          video.translator && `by ${video.translator}`
+        ].filter(Boolean).join(' · '),
+        url: `${baseUrl}/watch/${video.contentType === 'TV-SERIES' ? 'tv-series' : 'movie'}/${video.slug}`,
+        posterUrl: video.poster || ''
+      }))
+  ];
+}
+
+// Best `limit` matches of `query` among `items`; ties go to the most viewed,
+// then the newest (items come newest first)
+function rank(items, query, namesOf, limit) {
+  const term = normalize(query);
+  if (term.length < MIN_QUERY_LENGTH) return [];
+
+  return items
+    .map((item, index) => ({ item, index, score: matchScore(namesOf(item), term) }))
+    .filter(match => match.score < Infinity)
+    .sort((a, b) => a.score - b.score || (b.item.views || 0) - (a.item.views || 0) || a.index - b.index)
+    .slice(0, limit)
+    .map(match => match.item);
+}
+
+// 0: a name starts with the term, 1: a word in it does, 2: it contains it
+function matchScore(names, term) {
+  return Math.min(...names.filter(Boolean).map(name => {
+    const value = normalize(name);
+    if (value.startsWith(term)) return 0;
+    if (value.split(/[\s-]+/).some(word => word.startsWith(term))) return 1;
+    return value.includes(term) ? 2 : Infinity;
+  }), Infinity);
+}
+
+// Case- and accent-insensitive, so "amelie" finds "Amélie"
+function normalize(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+function countLabel(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function categoryName(categories, slug) {
+  const category = categories.find(category => category.slug === slug);
+  return category ? category.name : slug;
+}
+
+/**
+ * Autocomplete for a page's search box (an ARIA 1.2 combobox): the input
+ * gains a listbox of suggestions from /api/suggest?scope=<scope>, navigable
+ * with the arrow keys, Enter to open one and Escape to close. Without
+ * JavaScript the form still submits as before. Styled by each page's
+ * .suggestions rules.
+ * @param {string} scope 'films' or 'agasobanuye'
+ */
+export function renderAutocomplete(scope) {
+  return `
+    <script>
+    (function () {
+        var input = document.querySelector('.search-form .search-input');
+        if (!input || !window.fetch) return;
+
+        var form = input.form;
+        var list = document.createElement('ul');
+        var status = document.createElement('div');
+        var items = [];
+        var active = -1;
+        var timer = null;
+        var controller = null;
+        var LABELS = { film: 'Film', category: 'Category', translated: 'Movie', series: 'Series', translator: 'Translator' };
+
+        list.id = 'search-suggestions';
+        list.className = 'suggestions';
+        list.setAttribute('role', 'listbox');
+        list.setAttribute('aria-label', 'Suggestions');
+        list.hidden = true;
+        status.className = 'visually-hidden';
+        status.setAttribute('role', 'status');
+        form.classList.add('has-suggestions');
+        form.appendChild(list);
+        form.appendChild(status);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', list.id);
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('autocomplete', 'off');
+
+        function close() {
+            list.hidden = true;
+            active = -1;
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+        }
+
+        function highlight(index) {
+            var options = list.querySelectorAll('[role="option"]');
+            if (!options.length) return;
+            active = (index + options.length) % options.length;
+            options.forEach(function (option, i) {
+                option.setAttribute('aria-selected', i === active ? 'true' : 'false');
+            });
+            input.setAttribute('aria-activedescendant', options[active].id);
+            options[active].scrollIntoView({ block: 'nearest' });
+        }
+
+        function render(query) {
+            list.textContent = '';
+            active = -1;
+            input.removeAttribute('aria-activedescendant');
+            items.forEach(function (item, index) {
+                var option = document.createElement('li');
+                var link = document.createElement('a');
+                var text = document.createElement('span');
+                var label = document.createElement('strong');
+                var detail = document.createElement('small');
+
+                option.id = 'search-suggestion-' + index;
+                option.setAttribute('role', 'option');
+                option.setAttribute('aria-selected', 'false');
+                link.href = item.url;
+                link.tabIndex = -1;
+                if (item.posterUrl) {
+                    var image = document.createElement('img');
+                    image.src = item.posterUrl;
+                    image.alt = '';
+                    image.loading = 'lazy';
+                    link.appendChild(image);
+                } else {
+                    link.appendChild(document.createElement('span')).className = 'suggestion-placeholder';
+                }
+                label.textContent = item.label;
+                detail.textContent = [LABELS[item.type], item.detail].filter(Boolean).join(' · ');
+                text.appendChild(label);
+                text.appendChild(detail);
+                link.appendChild(text);
+                option.appendChild(link);
+                // Keep focus in the input so the click still lands on the link
+                option.addEventListener('mousedown', function (event) { event.preventDefault(); });
+                list.appendChild(option);
+            });
+
+            list.hidden = items.length === 0;
+            input.setAttribute('aria-expanded', items.length ? 'true' : 'false');
+            status.textContent = items.length
+                ? items.length + (items.length === 1 ? ' suggestion' : ' suggestions') + ' for ' + query + '. Use the arrow keys to choose.'
+                : '';
+        }
+
+        function load() {
+            var query = input.value.trim();
+            if (controller) controller.abort();
+            if (query.length < ${MIN_QUERY_LENGTH}) {
+                items = [];
+                render(query);
+                return;
+            }
+
+            controller = window.AbortController ? new AbortController() : null;
+            fetch('/api/suggest?scope=${scope}&q=' + encodeURIComponent(query), controller ? { signal: controller.signal } : {})
+                .then(function (response) { return response.ok ? response.json() : { suggestions: [] }; })
+                .then(function (data) {
+                    if (input.value.trim() !== query) return;
+                    items = data.suggestions || [];
+                    render(query);
+                })
+                .catch(function () {});
+        }
+
+        input.addEventListener('input', function () {
+            clearTimeout(timer);
+            timer = setTimeout(load, 150);
+        });
+
+        input.addEventListener('keydown', function (event) {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                if (list.hidden) {
+                    if (items.length) render(input.value.trim());
+                    return;
+                }
+                event.preventDefault();
+                highlight(active + (event.key === 'ArrowDown' ? 1 : -1));
+            } else if (event.key === 'Enter' && !list.hidden && active >= 0) {
+                event.preventDefault();
+                window.location.href = items[active].url;
+            } else if (event.key === 'Escape' && !list.hidden) {
+                event.preventDefault();
+                close();
+            }
+        });
+
+        input.addEventListener('blur', close);
+    })();
+    </script>`;
+}
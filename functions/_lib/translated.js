@@ -0,0 +1,144 @@
+// functions/_lib/translated.js
+// Loads the agasobanuye catalog (content/translated) shared by the listing page,
+// sitemap and /api/translated, and applies the listing's query string filters.
+import { getCachedCatalog, patchCatalog } from './catalog-cache.js';
+import { createContentSource } from './content-source.js';
+import { normalizeTranslatedVideo, sortByPublished, searchVideos, sortVideos, parseSort, groupSeries, collapseSeries } from './catalog.js';
+import { findTranslator, isByTranslator } from './translators.js';
+import { TRANSLATED_FACETS, readFacets, applyFacets, facetCounts } from './facets.js';
+import { readEntry, fileIssue, logIssue, TRANSLATED_SCHEMA } from './schema.js';
+
+export const TRANSLATED_DIR = 'content/translated';
+
+export async function loadTranslatedCatalog(context) {
+  return getCachedCatalog(context, 'translated', async () => (await scanTranslated(context.env)).videos);
+}
+
+/**
+ * The agasobanuye listing for a query string, as /agasobanuye/ and
+ * /api/translated show it: ?search=, ?translator= and ?type= pick episodes and
+ * films, series collapse to one card each, then the facets narrow the cards
+ * and ?sort= orders them. `facets` are counted before the facets are applied.
+ * @param {import('./catalog.js').TranslatedVideo[]} allVideos
+ * @param {Object[]} translators from listTranslators
+ * @param {URLSearchParams} searchParams
+ */
+export function queryTranslated(allVideos, translators, searchParams) {
+  const searchQuery = searchParams.get('search') || '';
+  const translatorFilter = searchParams.get('translator') || '';
+  const typeFilter = searchParams.get('type') || '';
+  const sort = parseSort(searchParams.get('sort'));
+  const facetFilters = readFacets(searchParams, TRANSLATED_FACETS);
+  const selectedTranslator = translatorFilter ? findTranslator(translators, translatorFilter) : null;
+
+  let videos = allVideos;
+  
+  if (searchQuery) {
+    videos = searchVideos(videos, searchQuery);
+  }
+  
+  if (translatorFilter) {
+    videos = videos.filter(v => 
+      selectedTranslator && isByTranslator(v, selectedTranslator)
+    );
+  }
+  
+  if (typeFilter) {
+    videos = videos.filter(v => 
+      v.contentType === typeFilter.toUpperCase()
+    );
+  }
+  
+  // One card per TV series instead of one per episode
+  const series = groupSeries(allVideos);
+  videos = collapseSeries(videos, series);
+  
+  const facets = facetCounts(videos, facetFilters, TRANSLATED_FACETS);
+  return {
+    videos: sortVideos(applyFacets(videos, facetFilters), sort),
+    facets,
+    series,
+    searchQuery,
+    translatorFilter,
+    selectedTranslator,
+    typeFilter,
+    sort,
+    facetFilters
+  };
+}
+
+export function isTranslatedPath(path) {
+  return /^content\/translated\/[^/]+\.md$/.test(path);
+}
+
+// Re-parse only the changed files and patch them into the cached catalog
+export async function updateTranslatedCatalog(env, { changed = [], removed = [], ref }) {
+  const source = createContentSource(env);
+  const upserts = [];
+  const removals = removed.filter(isTranslatedPath);
+
+  for (const path of changed.filter(isTranslatedPath)) {
+    const content = await source.read(path, ref);
+    if (content === null) continue;
+    const { video, issue } = parseTranslatedVideo(source.describe(path), content);
+    if (video) upserts.push(video);
+    // A file that no longer validates drops out instead of keeping its old entry
+    else removals.push(path);
+    if (issue) logIssue(issue);
+  }
+
+  const patched = await patchCatalog(env, 'translated', { upserts, removals, sort: sortByPublished });
+
+  return { patched, upserts, removals };
+}
+
+// Read and validate every agasobanuye file: { videos, issues } where issues lists
+// the files with errors (left out of videos) or warnings
+export async function scanTranslated(env) {
+  const source = createContentSource(env);
+  const videos = [];
+  const issues = [];
+  
+  const files = await source.listMarkdown(TRANSLATED_DIR);
+  const contents = await source.readAll(files);
+  
+  files.forEach((file, index) => {
+    if (contents[index] === null) {
+      issues.push(fileIssue(file.path, 'File could not be read from the content source'));
+      return;
+    }
+    const { video, issue } = parseTranslatedVideo(file, contents[index]);
+    if (video) videos.push(video);
+    if (issue) issues.push(issue);
+  });
+
+  const invalid = issues.filter(issue => issue.errors.length).length;
+  if (invalid) console.warn(`Skipped ${invalid} invalid agasobanuye files; see /api/content-report`);
+
+  // Sort all videos by date (newest first)
+  return { videos: sortByPublished(videos), issues, files: files.length };
+}
+
+function parseTranslatedVideo(file, content) {
+  // Parse filename: [Title][Content-Type][Translator].md
+  const filenameMatch = file.name.match(/^\[([^\]]+)\]\[([^\]]+)\]\[([^\]]+)\]\.md$/);
+  if (!filenameMatch) {
+    return { video: null, issue: fileIssue(file.path, 'File name must look like [Title][MOVIE or TV-SERIES][Translator].md') };
+  }
+
+  const [, title, contentType, translator] = filenameMatch;
+  const { data, body, issue } = readEntry(content, file.path, TRANSLATED_SCHEMA, { contentType, translator });
+  if (!data) return { video: null, issue };
+
+  const video = normalizeTranslatedVideo(data, {
+    filename: file.name,
+    title,
+    contentType,
+    translator,
+    downloadUrl: file.download_url,
+    htmlUrl: file.html_url,
+    sourcePath: file.path,
+    body
+  });
+  return { video, issue };
+}
@@ -0,0 +1,105 @@
+// functions/_lib/translators.js
+// Translator (agasobanuye narrator) registry. content/translators.json supplies
+// display names, bios, photos and social links, e.g.
+//   [{ "slug": "rocky", "name": "Rocky Kimomo", "bio": "...", "photoUrl": "https://...",
+//      "aliases": ["rocky-kimomo"], "links": { "youtube": "https://...", "facebook": "https://..." } }]
+// `aliases` are other spellings used in file names; they resolve to `slug`.
+// Translators that only appear in content files are listed too, with their
+// name as written there.
+import { getCachedCatalog } from './catalog-cache.js';
+import { createContentSource } from './content-source.js';
+import { generateSlug } from './format.js';
+
+export const TRANSLATORS_FILE = 'content/translators.json';
+
+// Social links shown on profiles, in this order
+const LINK_LABELS = {
+  youtube: 'YouTube',
+  facebook: 'Facebook',
+  instagram: 'Instagram',
+  tiktok: 'TikTok',
+  x: 'X',
+  twitter: 'X',
+  website: 'Website'
+};
+
+export async function loadTranslatorRegistry(context) {
+  return getCachedCatalog(context, 'translators', () => readTranslatorsFile(createContentSource(context.env)));
+}
+
+// `ref` pins the read to a commit (GitHub sources only)
+export async function readTranslatorsFile(source, ref) {
+  // A missing file means "no profiles"; a failed read propagates so the
+  // registry isn't cached without them
+  const content = await source.read(TRANSLATORS_FILE, ref);
+  if (!content) return [];
+
+  try {
+    const parsed = JSON.parse(content);
+    const list = Array.isArray(parsed) ? parsed : parsed.translators;
+    return Array.isArray(list)
+      ? list.filter(translator => translator && (translator.slug || translator.name)).map(normalizeTranslator)
+      : [];
+  } catch (error) {
+    console.warn(`Invalid ${TRANSLATORS_FILE}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Registry entries plus translators found only in `videos`, each with `count`
+ * (number of uploads), most uploads first.
+ * @param {Object[]} registry from loadTranslatorRegistry
+ * @param {import('./catalog.js').TranslatedVideo[]} videos
+ */
+export function listTranslators(registry, videos) {
+  const translators = registry.map(translator => ({ ...translator, count: 0 }));
+
+  videos.forEach(video => {
+    let translator = findTranslator(translators, video.translatorSlug);
+    if (!translator) {
+      translator = { ...normalizeTranslator({ name: video.translator }), count: 0 };
+      translators.push(translator);
+    }
+    translator.count++;
+  });
+
+  return translators.sort((a, b) => b.count - a.count || a.order - b.order || a.name.localeCompare(b.name));
+}
+
+// Translator whose slug or aliases match; null when unknown
+export function findTranslator(translators, slug) {
+  const value = generateSlug(String(slug || ''));
+  return translators.find(translator => translator.aliases.includes(value)) || null;
+}
+
+// Uploads credited to `translator` under any of its spellings
+export function isByTranslator(video, translator) {
+  return translator.aliases.includes(video.translatorSlug);
+}
+
+function normalizeTranslator(translator) {
+  const slug = generateSlug(String(translator.slug || translator.name));
+  const aliases = Array.isArray(translator.aliases) ? translator.aliases.map(alias => generateSlug(String(alias))) : [];
+  const links = translator.links && typeof translator.links === 'object' ? translator.links : {};
+
+  return {
+    slug,
+    name: String(translator.name || slug),
+    bio: String(translator.bio || ''),
+    photoUrl: isHttpUrl(translator.photoUrl) ? translator.photoUrl : '',
+    links: Object.keys(LINK_LABELS)
+      .filter(type => isHttpUrl(links[type]))
+      .map(type => ({ type, label: LINK_LABELS[type], url: links[type] })),
+    aliases: [...new Set([slug, ...aliases])],
+    order: Number.isFinite(Number(translator.order)) ? Number(translator.order) : 999
+  };
+}
+
+function isHttpUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(String(value)).protocol);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,164 @@
+// functions/_lib/widget.js
+// "Latest films" box for partner sites, served as a script by /widget:
+//   <script src="https://rwandacinema.site/widget?category=comedy&limit=6&theme=light" async></script>
+// The strip is rendered here and written next to the script tag (or into
+// data-target="<selector>") inside a shadow root, so the host page's CSS
+// can't reach it. Options:
+//   source    films (default) or agasobanuye
+//   category  film category slug (films)
+//   translator, type  translator slug / movie or tv-series (agasobanuye)
+//   limit     1-12 cards, 6 by default
+//   theme     dark (default) or light; accent: hex color without '#'
+//   title     heading, defaults to what the strip shows
+import { getLatestVideosByCategory, getLatestVideosByType, collapseSeries, sortByPublished } from './catalog.js';
+import { findTranslator, isByTranslator } from './translators.js';
+import { escapeHTML, truncate } from './format.js';
+
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 12;
+const TYPES = { 'movie': 'MOVIE', 'tv-series': 'TV-SERIES' };
+const THEMES = {
+  dark: { background: '#0a0a0a', card: '#1a1a1a', text: '#ffffff', muted: '#b0b0b0', border: '#333333' },
+  light: { background: '#ffffff', card: '#f4f4f4', text: '#111111', muted: '#555555', border: '#dddddd' }
+};
+const DEFAULT_ACCENT = '#008753';
+
+/**
+ * Widget options from the query string, with anything unknown replaced by
+ * its default.
+ * @param {URLSearchParams} searchParams
+ */
+export function readWidgetOptions(searchParams) {
+  const limit = parseInt(searchParams.get('limit'));
+  const accent = String(searchParams.get('accent') || '').replace(/^#/, '');
+
+  return {
+    source: searchParams.get('source') === 'agasobanuye' ? 'agasobanuye' : 'films',
+    category: String(searchParams.get('category') || '').toLowerCase(),
+    translator: searchParams.get('translator') || '',
+    type: TYPES[String(searchParams.get('type') || '').toLowerCase()] || '',
+    limit: limit > 0 ? Math.min(limit, MAX_LIMIT) : DEFAULT_LIMIT,
+    theme: THEMES[searchParams.get('theme')] ? searchParams.get('theme') : 'dark',
+    accent: /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(accent) ? `#${accent}` : DEFAULT_ACCENT,
+    title: truncate(String(searchParams.get('title') || '').trim(), 60)
+  };
+}
+
+/**
+ * Latest films for the widget, newest first, through the homepage's
+ * per-category grouping. null when `options.category` isn't a category.
+ * @param {Object[]} categories from loadCategoryRegistry
+ */
+export function latestFilms(videos, categories, options, baseUrl) {
+  const category = options.category ? categories.find(c => c.slug === options.category) : null;
+  if (options.category && !category) return null;
+
+  const grouped = getLatestVideosByCategory(videos, options.limit);
+  const latest = category
+    ? grouped[category.slug] || []
+    : sortByPublished(Object.values(grouped).flat()).slice(0, options.limit);
+
+  return {
+    title: options.title || (category ? `Latest ${category.name}` : 'Latest Rwandan films'),
+    moreUrl: category ? `${baseUrl}/?category=${category.slug}` : `${baseUrl}/`,
+    items: latest.map(video => ({
+      title: video.title,
+      detail: [(categories.find(c => c.slug === video.category) || { name: video.category }).name, video.releaseYear].filter(Boolean).join(' · '),
+      url: `${baseUrl}/${video.category}/${video.slug}`,
+      posterUrl: video.posterUrl || `${baseUrl}/images/default-poster.jpg`
+    }))
+  };
+}
+
+/**
+ * Latest agasobanuye for the widget, one card per series, through the
+ * agasobanuye page's per-type grouping. null when `options.translator`
+ * isn't a translator.
+ * @param {Object[]} translators from listTranslators
+ */
+export function latestTranslated(videos, translators, options, baseUrl) {
+  const translator = options.translator ? findTranslator(translators, options.translator) : null;
+  if (options.translator && !translator) return null;
+
+  const cards = collapseSeries(translator ? videos.filter(v => isByTranslator(v, translator)) : videos);
+  const grouped = getLatestVideosByType(cards, options.limit);
+  const latest = options.type
+    ? grouped[options.type]
+    : sortByPublished([...grouped['MOVIE'], ...grouped['TV-SERIES']]).slice(0, options.limit);
+  const kind = { 'MOVIE': 'movies', 'TV-SERIES': 'series' }[options.type] || 'agasobanuye';
+
+  return {
+    title: options.title || (translator ? `Latest ${kind} by ${translator.name}` : `Latest ${kind}`),
+    moreUrl: translator
+      ? `${baseUrl}/agasobanuye/translator/${translator.slug}`
+      : `${baseUrl}/agasobanuye/${options.type ? `?type=${options.type}` : ''}`,
+    items: latest.map(video => ({
+      title: video.title,
+      detail: video.isSeries
+        ? `Series · ${video.episodeCount} ${video.episodeCount === 1 ? 'episode' : 'episodes'}`
+        : `by ${video.translator}`,
+      url: `${baseUrl}/watch/${video.contentType === 'TV-SERIES' ? 'tv-series' : 'movie'}/${video.slug}`,
+      posterUrl: video.poster || `${baseUrl}/images/default-poster.jpg`
+    }))
+  };
+}
+
+/**
+ * The widget script: mounts `strip` ({ title, moreUrl, items }) after the
+ * <script> tag that loaded it.
+ */
+export function renderWidgetScript(strip, options, baseUrl) {
+  return `/* Rwanda Cinema widget - ${baseUrl}/ */
+(function () {
+    var script = document.currentScript;
+    if (!script) return;
+    var selector = script.getAttribute('data-target');
+    var host = document.createElement('div');
+    host.className = 'rwanda-cinema-widget';
+    var target = selector && document.querySelector(selector);
+    if (target) target.appendChild(host);
+    else script.parentNode.insertBefore(host, script.nextSibling);
+    var root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+    root.innerHTML = ${JSON.stringify(renderWidgetHTML(strip, options, baseUrl))};
+})();
+`;
+}
+
+function renderWidgetHTML({ title, moreUrl, items }, options, baseUrl) {
+  const colors = THEMES[options.theme];
+
+  return `<style>
+    .rc-widget { font-family: 'Segoe UI', system-ui, sans-serif; background: ${colors.background}; color: ${colors.text};
+        border: 1px solid ${colors.border}; border-top: 3px solid ${options.accent}; border-radius: 8px; padding: 12px; }
+    .rc-header { display: flex; align-items: baseline; justify-content: space-between; gap: 8px; margin-bottom: 10px; }
+    .rc-header h2 { margin: 0; font-size: 16px; }
+    .rc-header a, .rc-footer a { color: ${options.accent}; font-size: 13px; text-decoration: none; white-space: nowrap; }
+    .rc-strip { display: flex; gap: 10px; overflow-x: auto; padding-bottom: 4px; scroll-snap-type: x mandatory; margin: 0; list-style: none; padding-left: 0; }
+    .rc-card { flex: 0 0 120px; scroll-snap-align: start; }
+    .rc-card a { display: block; color: inherit; text-decoration: none; background: ${colors.card}; border-radius: 6px; overflow: hidden; }
+    .rc-card a:hover img, .rc-card a:focus-visible img { opacity: 0.85; }
+    .rc-card img { display: block; width: 120px; height: 180px; object-fit: cover; background: ${colors.border}; }
+    .rc-card strong { display: block; padding: 6px 6px 0; font-size: 13px; line-height: 1.3; overflow: hidden;
+        display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; }
+    .rc-card small { display: block; padding: 2px 6px 6px; font-size: 11px; color: ${colors.muted};
+        white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .rc-empty { margin: 0; color: ${colors.muted}; font-size: 13px; }
+    .rc-footer { margin-top: 8px; text-align: right; }
+</style>
+<section class="rc-widget" aria-label="${escapeHTML(title)}">
+    <div class="rc-header">
+        <h2>${escapeHTML(title)}</h2>
+        <a href="${escapeHTML(moreUrl)}" target="_blank" rel="noopener">See all →</a>
+    </div>
+    ${items.length ? `<ul class="rc-strip">${items.map(item => `
+        <li class="rc-card">
+            <a href="${escapeHTML(item.url)}" target="_blank" rel="noopener">
+                <img src="${escapeHTML(item.posterUrl)}" alt="" width="120" height="180" loading="lazy" decoding="async">
+                <strong>${escapeHTML(item.title)}</strong>
+                <small>${escapeHTML(item.detail)}</small>
+            </a>
+        </li>`).join('')}
+    </ul>` : '<p class="rc-empty">Nothing here yet.</p>'}
+    <div class="rc-footer"><a href="${baseUrl}/" target="_blank" rel="noopener">Rwanda Cinema</a></div>
+</section>`;
+}
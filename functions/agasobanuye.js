@@ -1,4 +1,14 @@
 // functions/agasobanuye.js
+import { loadTranslatedCatalog, queryTranslated } from './_lib/translated.js';
+import { loadTranslatorRegistry, listTranslators } from './_lib/translators.js';
+import { withCatalogStatus, catalogErrorHeaders } from './_lib/catalog-cache.js';
+import { getLatestVideosByType, collapseSeries, SORT_OPTIONS } from './_lib/catalog.js';
+import { escapeHTML, truncate, formatShortDate, jsonLd } from './_lib/format.js';
+import { TRANSLATED_FACETS, activeFacets, facetParams, renderFacetSidebar } from './_lib/facets.js';
+import { getPageSize, parsePage, paginate, lastPageUrl, listingUrls, paginationLinks, renderPagination } from './_lib/pagination.js';
+import { renderAutocomplete } from './_lib/suggest.js';
+import { feedLinks } from './_lib/feeds.js';
+
 export async function onRequest(context) {
   const { request, env, next } = context;
   const url = new URL(request.url);
@@ -11,54 +21,53 @@ export async function onRequest(context) {
   }
   
   try {
-    // Load all translated videos from GitHub
-    const allVideos = await loadTranslatedVideos(env);
-    console.log(`Loaded ${allVideos.length} videos from GitHub`);
-    
-    // Apply search filters
-    const searchQuery = url.searchParams.get('search') || '';
-    const translatorFilter = url.searchParams.get('translator') || '';
-    const typeFilter = url.searchParams.get('type') || '';
-    
-    let filteredVideos = allVideos;
-    
-    if (searchQuery) {
-      filteredVideos = searchVideos(allVideos, searchQuery);
-    }
+    // Load all translated videos (cached catalog, refreshed from GitHub in the background)
+    const [allVideos, registry] = await Promise.all([
+      loadTranslatedCatalog(context),
+      loadTranslatorRegistry(context)
+    ]);
+
+    // Registry names and aliases, plus translators only seen in content files
+    const translators = listTranslators(registry, allVideos);
     
-    if (translatorFilter) {
-      filteredVideos = filteredVideos.filter(v => 
-        v.translatorSlug === translatorFilter.toLowerCase()
-      );
-    }
+    // Apply search filters (shared with /api/translated)
+    const {
+      videos: filteredVideos,
+      facets,
+      series,
+      searchQuery,
+      translatorFilter,
+      selectedTranslator,
+      typeFilter,
+      sort,
+      facetFilters
+    } = queryTranslated(allVideos, translators, url.searchParams);
+    const translatorName = selectedTranslator ? selectedTranslator.name : translatorFilter;
     
-    if (typeFilter) {
-      filteredVideos = filteredVideos.filter(v => 
-        v.contentType === typeFilter.toUpperCase()
-      );
+    const pagination = paginate(filteredVideos, parsePage(url.searchParams.get('page')), getPageSize(env));
+    if (pagination.outOfRange) {
+      return Response.redirect(lastPageUrl(url, pagination.totalPages), 302);
     }
     
     // Get latest videos by type for homepage sections
-    const latestByType = getLatestVideosByType(allVideos, 8);
-    const translators = [...new Set(allVideos.map(v => v.translator))]
-      .map(translator => ({
-        name: translator,
-        slug: generateSlug(translator),
-        count: allVideos.filter(v => v.translator === translator).length
-      }))
-      .sort((a, b) => b.count - a.count);
-    
+    const latestByType = getLatestVideosByType(collapseSeries(allVideos, series), 8);
     const moviesCount = allVideos.filter(v => v.contentType === 'MOVIE').length;
-    const tvShowsCount = allVideos.filter(v => v.contentType === 'TV-SERIES').length;
+    const tvShowsCount = series.size;
     
     // Generate breadcrumbs
-    const breadcrumbs = generateBreadcrumbs(searchQuery, translatorFilter, typeFilter, baseUrl);
+    const breadcrumbs = generateBreadcrumbs(searchQuery, selectedTranslator || translatorFilter && { slug: translatorFilter, name: translatorFilter }, typeFilter, activeFacets(facets), baseUrl);
     
     const html = generateHomepageHTML({
       searchQuery,
       translatorFilter,
+      translatorName,
+      selectedTranslator,
       typeFilter,
+      sort,
+      facetFilters,
+      facets,
       filteredVideos,
+      pagination,
       allVideos,
       translators,
       latestByType,
@@ -68,415 +77,54 @@ export async function onRequest(context) {
       baseUrl
     });
 
-    return new Response(html, {
+    return withCatalogStatus(context, new Response(html, {
       headers: {
         'Content-Type': 'text/html; charset=UTF-8',
-        'Cache-Control': 'public, max-age=7200, s-maxage=14400',
+        'Cache-Control': 'public, max-age=300, s-maxage=14400', // edge copy is purged by the GitHub webhook
         'X-Content-Type-Options': 'nosniff',
       },
-    });
+    }));
   } catch (error) {
     console.error('Error generating agasobanuye page:', error);
     return new Response(generateErrorHTML(baseUrl), {
       headers: { 
         'Content-Type': 'text/html; charset=UTF-8',
-        'Cache-Control': 'public, max-age=300'
+        ...catalogErrorHeaders(error)
       },
-      status: 500
-    });
-  }
-}
-
-async function loadTranslatedVideos(env) {
-  const GITHUB_TOKEN = env.GITHUB_TOKEN;
-  const GITHUB_REPO = env.GITHUB_REPO;
-  
-  const allVideos = [];
-  
-  try {
-    // Get directory contents from GitHub API
-    const apiUrl = `https://api.github.com/repos/${GITHUB_REPO}/contents/content/translated`;
-    
-    const response = await fetch(apiUrl, {
-      headers: {
-        'Authorization': `token ${GITHUB_TOKEN}`,
-        'User-Agent': 'Rwanda-Cinema',
-        'Accept': 'application/vnd.github.v3+json'
-      }
+      status: error.retryAfter ? 503 : 500
     });
-
-    if (!response.ok) {
-      console.error('GitHub API error:', response.status);
-      return [];
-    }
-
-    const files = await response.json();
-    console.log(`Found ${files.length} files in GitHub`);
-    
-    // Load each markdown file
-    for (const file of files) {
-      if (file.name.endsWith('.md') && file.type === 'file') {
-        try {
-          console.log(`Processing file: ${file.name}`);
-          const videoData = await parseTranslatedVideo(file);
-          if (videoData) {
-            allVideos.push(videoData);
-            console.log(`Successfully parsed: ${videoData.title}`);
-          }
-        } catch (error) {
-          console.warn(`Failed to load ${file.name}:`, error.message);
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`Error loading translated videos:`, error);
-  }
-
-  // Sort all videos by date (newest first)
-  return allVideos.sort((a, b) => new Date(b.dateAdded || b.uploadDate || 0) - new Date(a.dateAdded || a.uploadDate || 0));
-}
-
-async function parseTranslatedVideo(file) {
-  try {
-    // Parse filename: [Title][Content-Type][Translator].md
-    const filenameMatch = file.name.match(/^\[([^\]]+)\]\[([^\]]+)\]\[([^\]]+)\]\.md$/);
-    if (!filenameMatch) {
-      console.log(`Filename doesn't match pattern: ${file.name}`);
-      return null;
-    }
-    
-    const [, title, contentType, translator] = filenameMatch;
-    
-    // Load file content
-    const fileResponse = await fetch(file.download_url);
-    if (!fileResponse.ok) {
-      console.log(`Failed to fetch file content: ${file.name}`);
-      return null;
-    }
-    
-    const content = await fileResponse.text();
-    
-    // Parse YAML frontmatter
-    const frontmatterData = parseYAMLFrontmatter(content);
-    
-    const videoData = {
-      filename: file.name,
-      title: frontmatterData.title || title.replace(/-/g, ' ').trim(),
-      slug: frontmatterData.slug || generateSlug(title),
-      contentType: frontmatterData.contentType || contentType.trim(),
-      translator: frontmatterData.translator || translator.trim(),
-      translatorSlug: generateSlug(frontmatterData.translator || translator),
-      downloadUrl: file.download_url,
-      htmlUrl: file.html_url,
-      // Video metadata
-      duration: frontmatterData.runtime || frontmatterData.duration || '',
-      quality: frontmatterData.quality || frontmatterData.videoQuality || 'HD',
-      uploadDate: frontmatterData.dateAdded || frontmatterData.uploadDate || new Date().toISOString(),
-      poster: frontmatterData.posterUrl || frontmatterData.thumbnailUrl || '',
-      videoUrl: frontmatterData.videoUrl || '',
-      description: frontmatterData.description || frontmatterData.shortDescription || '',
-      releaseYear: frontmatterData.releaseYear || '',
-      genre: frontmatterData.genre || [],
-      views: frontmatterData.views || 0,
-      likes: frontmatterData.likes || 0,
-      // Include all frontmatter data
-      ...frontmatterData
-    };
-    
-    // Ensure ISO duration exists
-    if (videoData.duration && !videoData.isoDuration) {
-      videoData.isoDuration = convertDurationToISO(videoData.duration);
-    }
-    
-    // Format upload date for display
-    if (videoData.uploadDate) {
-      const date = new Date(videoData.uploadDate);
-      videoData.formattedDate = formatDate(date);
-      // Add short date for video card corners
-      videoData.shortDate = formatShortDate(date);
-    }
-    
-    // Format duration for display
-    if (videoData.duration && videoData.duration !== 'Not specified') {
-      videoData.formattedDuration = formatDurationForDisplay(videoData.duration);
-    }
-    
-    return videoData;
-    
-  } catch (error) {
-    console.warn(`Error parsing ${file.name}:`, error);
-    return null;
-  }
-}
-
-function parseYAMLFrontmatter(content) {
-  const data = {};
-  
-  try {
-    // Match YAML frontmatter between ---
-    const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
-    if (!frontmatterMatch) return data;
-    
-    const frontmatter = frontmatterMatch[1];
-    const lines = frontmatter.split('\n');
-    
-    for (const line of lines) {
-      // Skip empty lines
-      if (!line.trim()) continue;
-      
-      // Match key: value pattern
-      const match = line.match(/^(\w+):\s*(.*)$/);
-      if (match) {
-        let [, key, value] = match;
-        
-        // Remove surrounding quotes if present
-        value = value.replace(/^["'](.*)["']$/, '$1').trim();
-        
-        // Handle array values (lines starting with -)
-        if (value === '' && lines.includes(line)) {
-          const nextLineIndex = lines.indexOf(line) + 1;
-          if (nextLineIndex < lines.length && lines[nextLineIndex].trim().startsWith('-')) {
-            value = [];
-            for (let i = nextLineIndex; i < lines.length; i++) {
-              const arrayLine = lines[i].trim();
-              if (arrayLine.startsWith('-')) {
-                const arrayValue = arrayLine.substring(1).trim().replace(/^["'](.*)["']$/, '$1');
-                value.push(arrayValue);
-              } else {
-                break;
-              }
-            }
-          }
-        }
-        // Handle array values in square brackets
-        else if (value.startsWith('[') && value.endsWith(']')) {
-          try {
-            // Simple JSON parsing for arrays
-            value = JSON.parse(value);
-          } catch (e) {
-            // If JSON parsing fails, try to parse manually
-            value = value.substring(1, value.length - 1)
-              .split(',')
-              .map(v => v.trim().replace(/^["'](.*)["']$/, '$1'))
-              .filter(v => v);
-          }
-        }
-        // Handle numbers
-        else if (key === 'releaseYear' || key === 'views' || key === 'likes' || 
-                 key === 'imdbRating' || key === 'imdbVotes' || key === 'rottenTomatoesScore' ||
-                 key === 'metacriticScore' || key === 'ageRestriction' || key === 'seasonNumber' ||
-                 key === 'totalSeasons' || key === 'episodeNumber' || key === 'episodeCount') {
-          value = parseInt(value) || 0;
-        }
-        // Handle booleans
-        else if (value === 'true' || value === 'false') {
-          value = value === 'true';
-        }
-        // Handle multi-line strings (pipe syntax)
-        else if (value === '|') {
-          const nextLineIndex = lines.indexOf(line) + 1;
-          value = '';
-          for (let i = nextLineIndex; i < lines.length; i++) {
-            const multiLine = lines[i];
-            if (multiLine.startsWith('  ') || multiLine.startsWith('\t')) {
-              value += multiLine.trim() + ' ';
-            } else {
-              break;
-            }
-          }
-          value = value.trim();
-        }
-        
-        data[key] = value;
-      }
-    }
-  } catch (error) {
-    console.warn('Error parsing YAML frontmatter:', error);
   }
-  
-  return data;
 }
 
-function convertDurationToISO(duration) {
-  if (!duration || duration === 'Not specified') return 'PT0M';
-  
-  // Handle "1:30:00" format (hours:minutes:seconds)
-  const hmsMatch = duration.match(/^(\d+):(\d+):(\d+)$/);
-  if (hmsMatch) {
-    const [, hours, minutes, seconds] = hmsMatch;
-    return `PT${hours}H${minutes}M${seconds}S`;
-  }
-  
-  // Handle "30:00" format (minutes:seconds)
-  const msMatch = duration.match(/^(\d+):(\d+)$/);
-  if (msMatch) {
-    const [, minutes, seconds] = msMatch;
-    return `PT${minutes}M${seconds}S`;
-  }
-  
-  // Handle "90 minutes" format
-  const minutesMatch = duration.match(/(\d+)\s*(?:min|minutes?)/i);
-  if (minutesMatch) {
-    const minutes = parseInt(minutesMatch[1]);
-    return `PT${minutes}M`;
-  }
-  
-  // Handle "2 hours" format
-  const hoursMatch = duration.match(/(\d+)\s*(?:hr|hours?)/i);
-  if (hoursMatch) {
-    const hours = parseInt(hoursMatch[1]);
-    return `PT${hours}H`;
-  }
-  
-  // Handle "1h30m" format
-  const hmMatch = duration.match(/(\d+)h\s*(\d+)m/i);
-  if (hmMatch) {
-    const [, hours, minutes] = hmMatch;
-    return `PT${hours}H${minutes}M`;
-  }
-  
-  return 'PT0M';
-}
-
-function formatDate(date) {
-  const options = { year: 'numeric', month: 'long', day: 'numeric' };
-  return date.toLocaleDateString('en-US', options);
-}
-
-function formatShortDate(date) {
-  const now = new Date();
-  const diffTime = Math.abs(now - date);
-  const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-  
-  if (diffDays === 0) {
-    return 'Today';
-  } else if (diffDays === 1) {
-    return 'Yesterday';
-  } else if (diffDays < 7) {
-    return `${diffDays}d ago`;
-  } else if (diffDays < 30) {
-    return `${Math.floor(diffDays / 7)}w ago`;
-  } else if (diffDays < 365) {
-    return `${Math.floor(diffDays / 30)}mo ago`;
-  } else {
-    return `${Math.floor(diffDays / 365)}y ago`;
-  }
-}
-
-function formatDurationForDisplay(duration) {
-  if (!duration || duration === 'Not specified') return '';
-  
-  // Handle "1:30:00" format (hours:minutes:seconds)
-  const hmsMatch = duration.match(/^(\d+):(\d+):(\d+)$/);
-  if (hmsMatch) {
-    const [, hours, minutes, seconds] = hmsMatch;
-    return `${hours}h ${minutes}m`;
-  }
-  
-  // Handle "30:00" format (minutes:seconds)
-  const msMatch = duration.match(/^(\d+):(\d+)$/);
-  if (msMatch) {
-    const [, minutes, seconds] = msMatch;
-    return `${minutes}m`;
-  }
-  
-  // Handle "90 minutes" format
-  const minutesMatch = duration.match(/(\d+)\s*(?:min|minutes?)/i);
-  if (minutesMatch) {
-    const minutes = parseInt(minutesMatch[1]);
-    return `${minutes}m`;
-  }
-  
-  // Handle "2 hours" format
-  const hoursMatch = duration.match(/(\d+)\s*(?:hr|hours?)/i);
-  if (hoursMatch) {
-    const hours = parseInt(hoursMatch[1]);
-    return `${hours}h`;
-  }
-  
-  // Handle "1h30m" format
-  const hmMatch = duration.match(/(\d+)h\s*(\d+)m/i);
-  if (hmMatch) {
-    const [, hours, minutes] = hmMatch;
-    return `${hours}h ${minutes}m`;
-  }
-  
-  return duration;
-}
-
-function searchVideos(videos, query) {
-  if (!query) return videos;
-  
-  const searchTerm = query.toLowerCase();
-  return videos.filter(video => 
-    (video.title && video.title.toLowerCase().includes(searchTerm)) ||
-    (video.description && video.description.toLowerCase().includes(searchTerm)) ||
-    (video.translator && video.translator.toLowerCase().includes(searchTerm)) ||
-    (video.originalTitle && video.originalTitle.toLowerCase().includes(searchTerm)) ||
-    (video.genre && Array.isArray(video.genre) && video.genre.some(g => g.toLowerCase().includes(searchTerm))) ||
-    (video.metaKeywords && Array.isArray(video.metaKeywords) && video.metaKeywords.some(k => k.toLowerCase().includes(searchTerm)))
-  );
-}
-
-function getLatestVideosByType(videos, limit = 8) {
-  const grouped = {
-    'MOVIE': [],
-    'TV-SERIES': []
-  };
-  
-  // Group videos by type
-  videos.forEach(video => {
-    if (video.contentType && grouped[video.contentType]) {
-      grouped[video.contentType].push(video);
-    }
-  });
-
-  // Sort each type by date and take latest N videos
-  Object.keys(grouped).forEach(type => {
-    grouped[type] = grouped[type]
-      .sort((a, b) => new Date(b.uploadDate || 0) - new Date(a.uploadDate || 0))
-      .slice(0, limit);
-  });
-
-  return grouped;
-}
-
-function generateSlug(text) {
-  return text
-    .toLowerCase()
-    .trim()
-    .replace(/[^\w\s-]/g, '')
-    .replace(/[\s_-]+/g, '-')
-    .replace(/^-+|-+$/g, '');
-}
-
-function generateBreadcrumbs(searchQuery, translatorFilter, typeFilter, baseUrl) {
+// Each crumb keeps the filters before it, so the last one is the listing's
+// canonical URL (see generateHomepageHTML)
+function generateBreadcrumbs(searchQuery, translator, typeFilter, filters, baseUrl) {
   const items = [
     { name: 'Home', url: baseUrl + '/' },
     { name: 'Agasobanuye', url: baseUrl + '/agasobanuye/' }
   ];
+  const params = [];
+  const addItem = (param, name) => {
+    params.push(param);
+    items.push({ name, url: baseUrl + '/agasobanuye/?' + params.join('&') });
+  };
   
   if (typeFilter) {
-    items.push({
-      name: typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows',
-      url: baseUrl + '/agasobanuye/?type=' + typeFilter
-    });
+    addItem('type=' + encodeURIComponent(typeFilter), typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows');
   }
   
-  if (translatorFilter) {
-    items.push({
-      name: 'Translator: ' + translatorFilter,
-      url: baseUrl + '/agasobanuye/?translator=' + translatorFilter
-    });
+  if (translator) {
+    addItem('translator=' + encodeURIComponent(translator.slug), 'Translator: ' + translator.name);
   }
   
   if (searchQuery) {
-    items.push({
-      name: 'Search: "' + searchQuery + '"',
-      url: baseUrl + '/agasobanuye/?search=' + encodeURIComponent(searchQuery)
-    });
+    addItem('search=' + encodeURIComponent(searchQuery), 'Search: "' + searchQuery + '"');
   }
   
+  filters.forEach(filter => {
+    addItem(filter.key + '=' + encodeURIComponent(filter.value), filter.label + ': ' + filter.name);
+  });
+  
   // Mark last item as current
   if (items.length > 0) {
     items[items.length - 1].current = true;
@@ -485,29 +133,18 @@ function generateBreadcrumbs(searchQuery, translatorFilter, typeFilter, baseUrl)
   return items;
 }
 
-function escapeHTML(str) {
-  if (!str) return '';
-  // Use a simple regex-based escape for Cloudflare Workers
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
-function truncate(str, maxLength) {
-  if (!str) return '';
-  if (str.length <= maxLength) return str;
-  return str.substring(0, maxLength) + '...';
-}
-
 function generateHomepageHTML(data) {
   const { 
     searchQuery, 
     translatorFilter, 
+    translatorName,
+    selectedTranslator,
     typeFilter, 
+    sort,
+    facetFilters,
+    facets,
     filteredVideos, 
+    pagination,
     allVideos, 
     translators, 
     latestByType,
@@ -517,34 +154,50 @@ function generateHomepageHTML(data) {
     baseUrl 
   } = data;
   
-  const isSearchOrFilter = searchQuery || translatorFilter || typeFilter;
+  const filters = activeFacets(facets);
+  const isSearchOrFilter = searchQuery || translatorFilter || typeFilter || filters.length;
   const totalVideos = allVideos.length;
+  const facetSuffix = filters.length
+    ? `${searchQuery || translatorFilter || typeFilter ? '' : 'All titles'} (${filters.map(filter => filter.name).join(', ')})`
+    : '';
   
-  // Build canonical URL
-  let canonicalUrl = baseUrl + '/agasobanuye/';
-  const queryParams = [];
-  if (typeFilter) queryParams.push(`type=${encodeURIComponent(typeFilter)}`);
-  if (translatorFilter) queryParams.push(`translator=${encodeURIComponent(translatorFilter)}`);
-  if (searchQuery) queryParams.push(`search=${encodeURIComponent(searchQuery)}`);
-  
-  if (queryParams.length > 0) {
-    canonicalUrl = `${baseUrl}/agasobanuye/?${queryParams.join('&')}`;
-  }
+  // The last breadcrumb carries every filter; see listingUrls for sort and paging
+  const filterUrl = breadcrumbs[breadcrumbs.length - 1].url;
+  const currentPage = isSearchOrFilter ? pagination.page : 1;
+  const { sortParams, listingUrl, canonicalUrl } =
+    listingUrls(filterUrl, { sort, defaultSort: SORT_OPTIONS[0].value, page: currentPage });
+  const pageSuffix = currentPage > 1 ? ` - Page ${currentPage}` : '';
+
+  // Sidebar links: this listing with one facet changed, sort kept, page dropped
+  const baseParams = [
+    typeFilter ? `type=${encodeURIComponent(typeFilter)}` : '',
+    translatorFilter ? `translator=${encodeURIComponent(selectedTranslator ? selectedTranslator.slug : translatorFilter)}` : '',
+    searchQuery ? `search=${encodeURIComponent(searchQuery)}` : ''
+  ].filter(Boolean);
+  const facetHref = (key, value) => {
+    const params = [...baseParams, ...facetParams({ ...facetFilters, [key]: value }, TRANSLATED_FACETS), ...sortParams];
+    return `${baseUrl}/agasobanuye/${params.length ? `?${params.join('&')}` : ''}`;
+  };
+  const clearFacetsParams = [...baseParams, ...sortParams];
+  const clearFacetsUrl = `${baseUrl}/agasobanuye/${clearFacetsParams.length ? `?${clearFacetsParams.join('&')}` : ''}`;
+  const trail = currentPage > 1
+    ? [...breadcrumbs.map(item => ({ ...item, current: false })), { name: `Page ${currentPage}`, url: canonicalUrl, current: true }]
+    : breadcrumbs;
 
   // Generate Schema.org data
   const schemaData = {
     "@context": "https://schema.org",
     "@type": isSearchOrFilter ? "SearchResultsPage" : "WebPage",
     "name": isSearchOrFilter ? 
-      `${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : ''}${translatorFilter ? ` by ${escapeHTML(translatorFilter)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows'}` : ''} - Agasobanuye` : 
+      `${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : ''}${translatorFilter ? ` by ${escapeHTML(translatorName)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows'}` : ''}${escapeHTML(facetSuffix)}${pageSuffix} - Agasobanuye` : 
       'Agasobanuye | Movies & TV Shows Translated to Kinyarwanda',
     "description": isSearchOrFilter ? 
-      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${translatorFilter ? ` translated by ${escapeHTML(translatorFilter)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}` : ''} - Watch content translated to Kinyarwanda` : 
+      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${translatorFilter ? ` translated by ${escapeHTML(translatorName)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}` : ''} - Watch content translated to Kinyarwanda` : 
       `Watch ${totalVideos} movies and TV shows translated to Kinyarwanda. High quality translations with English subtitles.`,
     "url": canonicalUrl,
     "breadcrumb": {
       "@type": "BreadcrumbList",
-      "itemListElement": breadcrumbs.map((item, index) => ({
+      "itemListElement": trail.map((item, index) => ({
         "@type": "ListItem",
         "position": index + 1,
         "name": item.name,
@@ -566,15 +219,15 @@ function generateHomepageHTML(data) {
     "mainEntity": {
       "@type": "ItemList",
       "numberOfItems": filteredVideos.length,
-      "itemListElement": filteredVideos.slice(0, 10).map((video, index) => ({
+      "itemListElement": (isSearchOrFilter ? pagination.items : filteredVideos).slice(0, 10).map((video, index) => ({
         "@type": "ListItem",
-        "position": index + 1,
+        "position": (isSearchOrFilter ? pagination.first : 1) + index,
         "item": {
           "@type": video.contentType === 'MOVIE' ? "Movie" : "TVSeries",
           "name": video.title,
           "description": video.description || video.title,
           "image": video.poster || baseUrl + "/images/default-poster.jpg",
-          "datePublished": video.uploadDate,
+          "datePublished": video.publishedAt || undefined,
           "duration": video.isoDuration || "PT0M",
           "translator": {
             "@type": "Person",
@@ -593,12 +246,12 @@ function generateHomepageHTML(data) {
     
     <!-- Primary Meta Tags -->
     <title>${isSearchOrFilter ? 
-      `${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : ''}${translatorFilter ? ` by ${escapeHTML(translatorFilter)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows'}` : ''} - Agasobanuye` : 
+      `${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : ''}${translatorFilter ? ` by ${escapeHTML(translatorName)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows'}` : ''}${escapeHTML(facetSuffix)}${pageSuffix} - Agasobanuye` : 
       'Agasobanuye | Movies & TV Shows Translated to Kinyarwanda'}</title>
     <meta name="description" content="${isSearchOrFilter ? 
-      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${translatorFilter ? ` translated by ${escapeHTML(translatorFilter)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}` : ''} - Watch content translated to Kinyarwanda` : 
+      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${translatorFilter ? ` translated by ${escapeHTML(translatorName)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}` : ''} - Watch content translated to Kinyarwanda` : 
       `Watch ${totalVideos} movies and TV shows translated to Kinyarwanda. High quality translations with English subtitles.`}">
-    <meta name="keywords" content="Kinyarwanda movies, translated films, Rwanda cinema, watch online, subtitles, ${searchQuery}, ${translatorFilter}, ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}">
+    <meta name="keywords" content="Kinyarwanda movies, translated films, Rwanda cinema, watch online, subtitles, ${escapeHTML(searchQuery)}, ${escapeHTML(translatorName)}, ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}">
     <meta name="robots" content="index, follow">
     <meta name="language" content="rw">
     
@@ -606,10 +259,10 @@ function generateHomepageHTML(data) {
     <meta property="og:type" content="website">
     <meta property="og:url" content="${canonicalUrl}">
     <meta property="og:title" content="${isSearchOrFilter ? 
-      `${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : ''}${translatorFilter ? ` by ${escapeHTML(translatorFilter)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows'}` : ''} - Agasobanuye` : 
+      `${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : ''}${translatorFilter ? ` by ${escapeHTML(translatorName)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows'}` : ''}${escapeHTML(facetSuffix)}${pageSuffix} - Agasobanuye` : 
       'Agasobanuye | Movies & TV Shows Translated to Kinyarwanda'}">
     <meta property="og:description" content="${isSearchOrFilter ? 
-      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${translatorFilter ? ` translated by ${escapeHTML(translatorFilter)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}` : ''} - Watch content translated to Kinyarwanda` : 
+      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${translatorFilter ? ` translated by ${escapeHTML(translatorName)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}` : ''} - Watch content translated to Kinyarwanda` : 
       `Watch ${totalVideos} movies and TV shows translated to Kinyarwanda. High quality translations with English subtitles.`}">
     <meta property="og:image" content="${allVideos[0]?.poster || baseUrl + '/og-image.jpg'}">
     <meta property="og:locale" content="rw_RW">
@@ -619,18 +272,21 @@ function generateHomepageHTML(data) {
     <meta property="twitter:card" content="summary_large_image">
     <meta property="twitter:url" content="${canonicalUrl}">
     <meta property="twitter:title" content="${isSearchOrFilter ? 
-      `${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : ''}${translatorFilter ? ` by ${escapeHTML(translatorFilter)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows'}` : ''} - Agasobanuye` : 
+      `${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : ''}${translatorFilter ? ` by ${escapeHTML(translatorName)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows'}` : ''}${escapeHTML(facetSuffix)}${pageSuffix} - Agasobanuye` : 
       'Agasobanuye | Movies & TV Shows Translated to Kinyarwanda'}">
     <meta property="twitter:description" content="${isSearchOrFilter ? 
-      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${translatorFilter ? ` translated by ${escapeHTML(translatorFilter)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}` : ''} - Watch content translated to Kinyarwanda` : 
+      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${translatorFilter ? ` translated by ${escapeHTML(translatorName)}` : ''}${typeFilter ? ` ${typeFilter === 'MOVIE' ? 'movies' : 'TV shows'}` : ''} - Watch content translated to Kinyarwanda` : 
       `Watch ${totalVideos} movies and TV shows translated to Kinyarwanda. High quality translations with English subtitles.`}">
     <meta property="twitter:image" content="${allVideos[0]?.poster || baseUrl + '/og-image.jpg'}">
 
     <!-- Canonical URL -->
     <link rel="canonical" href="${canonicalUrl}">
+    ${isSearchOrFilter ? paginationLinks(pagination, listingUrl) : ''}
+    ${feedLinks(baseUrl, '/agasobanuye', 'Agasobanuye - Rwanda Cinema')}
+    ${selectedTranslator ? feedLinks(baseUrl, '/agasobanuye', `Agasobanuye by ${selectedTranslator.name} - Rwanda Cinema`, { translator: selectedTranslator.slug }) : ''}
     
     <!-- Structured Data -->
-    <script type="application/ld+json">${JSON.stringify(schemaData)}</script>
+    <script type="application/ld+json">${jsonLd(schemaData)}</script>
     
     <style>
         :root {
@@ -716,6 +372,69 @@ function generateHomepageHTML(data) {
             font-weight: bold;
         }
 
+        /* Search suggestions (see _lib/suggest.js) */
+        .search-form.has-suggestions {
+            position: relative;
+        }
+
+        .suggestions {
+            position: absolute;
+            top: calc(100% + 0.25rem);
+            left: 0;
+            right: 0;
+            z-index: 200;
+            list-style: none;
+            background: var(--card-bg);
+            border: 1px solid var(--border);
+            border-radius: 8px;
+            box-shadow: 0 8px 24px rgba(0,0,0,0.5);
+            max-height: 24rem;
+            overflow-y: auto;
+        }
+
+        .suggestions a {
+            display: flex;
+            align-items: center;
+            gap: 0.75rem;
+            padding: 0.5rem 0.75rem;
+            color: white;
+            text-decoration: none;
+        }
+
+        .suggestions [aria-selected="true"] a,
+        .suggestions a:hover {
+            background: rgba(255,255,255,0.08);
+        }
+
+        .suggestions img,
+        .suggestion-placeholder {
+            width: 36px;
+            height: 52px;
+            flex-shrink: 0;
+            object-fit: cover;
+            border-radius: 4px;
+            background: var(--border);
+        }
+
+        .suggestions strong {
+            display: block;
+            font-size: 0.95rem;
+        }
+
+        .suggestions small {
+            color: var(--text-light);
+            opacity: 0.8;
+        }
+
+        .visually-hidden {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+            clip: rect(0 0 0 0);
+            white-space: nowrap;
+        }
+
         .nav {
             display: flex;
             gap: 1rem;
@@ -1079,6 +798,171 @@ function generateHomepageHTML(data) {
             color: var(--secondary);
         }
 
+        .translator-profile-link {
+            margin: -1rem 0 1.5rem;
+        }
+
+        .translator-profile-link a {
+            color: var(--accent);
+            text-decoration: none;
+            font-weight: bold;
+        }
+
+        .sort-form {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            margin-bottom: 1.5rem;
+            color: var(--text-light);
+        }
+
+        .sort-form select {
+            padding: 0.5rem 0.75rem;
+            border-radius: 6px;
+            border: 1px solid var(--border);
+            background: var(--card-bg);
+            color: var(--text-light);
+            font-size: 0.95rem;
+        }
+
+        /* Filters */
+        .listing-layout {
+            display: grid;
+            grid-template-columns: 240px 1fr;
+            gap: 2rem;
+            align-items: start;
+        }
+
+        .listing-layout > :only-child {
+            grid-column: 1 / -1;
+        }
+
+        .filter-sidebar {
+            background: var(--card-bg);
+            border: 1px solid var(--border);
+            border-radius: 12px;
+            padding: 1rem;
+        }
+
+        .filter-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 0.5rem;
+        }
+
+        .filter-header h2 {
+            font-size: 1.1rem;
+            color: var(--secondary);
+        }
+
+        .filter-clear {
+            color: var(--accent);
+            font-size: 0.85rem;
+            text-decoration: none;
+        }
+
+        .filter-group {
+            padding: 0.75rem 0;
+            border-top: 1px solid var(--border);
+        }
+
+        .filter-group h3 {
+            font-size: 0.9rem;
+            color: var(--text-light);
+            margin-bottom: 0.5rem;
+        }
+
+        .filter-group ul {
+            list-style: none;
+            max-height: 220px;
+            overflow-y: auto;
+        }
+
+        .filter-group a {
+            display: flex;
+            justify-content: space-between;
+            padding: 0.3rem 0.5rem;
+            border-radius: 6px;
+            color: var(--text-light);
+            text-decoration: none;
+            font-size: 0.9rem;
+        }
+
+        .filter-group a:hover {
+            background: rgba(255,255,255,0.05);
+        }
+
+        .filter-group a.active {
+            background: var(--primary);
+            color: white;
+        }
+
+        .filter-count {
+            opacity: 0.7;
+        }
+
+        .active-filters {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin-bottom: 1rem;
+        }
+
+        .filter-chip {
+            background: var(--primary);
+            color: white;
+            padding: 0.25rem 0.75rem;
+            border-radius: 999px;
+            font-size: 0.85rem;
+            text-decoration: none;
+        }
+
+        @media (max-width: 768px) {
+            .listing-layout {
+                grid-template-columns: 1fr;
+            }
+        }
+
+        /* Pagination */
+        .pagination {
+            display: flex;
+            justify-content: center;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin: 2rem 0;
+        }
+
+        .pagination a, .pagination span {
+            padding: 0.5rem 0.9rem;
+            border-radius: 6px;
+            background: var(--card-bg);
+            border: 1px solid var(--border);
+            color: var(--text-light);
+            text-decoration: none;
+        }
+
+        .pagination a:hover {
+            border-color: var(--secondary);
+            color: var(--secondary);
+        }
+
+        .pagination [aria-current="page"] {
+            background: var(--primary);
+            border-color: var(--primary);
+            color: white;
+            font-weight: bold;
+        }
+
+        .pagination .disabled, .pagination .gap {
+            opacity: 0.5;
+        }
+
+        .pagination .gap {
+            background: none;
+            border-color: transparent;
+        }
+
         /* No Results */
         .no-results {
             text-align: center;
@@ -1203,11 +1087,11 @@ function generateHomepageHTML(data) {
     <main class="container" role="main">
         <!-- Breadcrumb -->
         <nav class="breadcrumb" aria-label="Breadcrumb">
-            ${breadcrumbs.map((item, index) => `
+            ${trail.map((item, index) => `
                 ${index > 0 ? '<span class="separator">/</span>' : ''}
                 ${item.current ? 
-                  `<span aria-current="page">${item.name}</span>` : 
-                  `<a href="${item.url}">${item.name}</a>`}
+                  `<span aria-current="page">${escapeHTML(item.name)}</span>` : 
+                  `<a href="${escapeHTML(item.url)}">${escapeHTML(item.name)}</a>`}
             `).join('')}
         </nav>
 
@@ -1216,16 +1100,34 @@ function generateHomepageHTML(data) {
             <div class="section-header">
                 <h1>
                     ${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : ''}
-                    ${translatorFilter ? `Translator: ${escapeHTML(translatorFilter)}` : ''}
+                    ${translatorFilter ? `Translator: ${escapeHTML(translatorName)}` : ''}
                     ${typeFilter ? `${typeFilter === 'MOVIE' ? 'Movies' : 'TV Shows'}` : ''}
+                    ${!searchQuery && !translatorFilter && !typeFilter ? 'All titles' : ''}
                 </h1>
-                <span>${filteredVideos.length} results</span>
+                <span>${filteredVideos.length} results${pagination.totalPages > 1 ? ` · showing ${pagination.first}–${pagination.last}` : ''}</span>
             </div>
+            ${selectedTranslator ? `
+            <p class="translator-profile-link">
+                <a href="${baseUrl}/agasobanuye/translator/${selectedTranslator.slug}">View ${escapeHTML(selectedTranslator.name)}'s profile →</a>
+            </p>
+            ` : ''}
+            ${filters.length ? `
+            <p class="active-filters">
+                ${filters.map(filter => `
+                    <a href="${escapeHTML(facetHref(filter.key, ''))}" class="filter-chip" title="Remove filter">${escapeHTML(filter.label)}: ${escapeHTML(filter.name)} ×</a>
+                `).join('')}
+            </p>
+            ` : ''}
+            ${filteredVideos.length > 1 ? generateSortForm(sort, { search: searchQuery, translator: translatorFilter, type: typeFilter, ...facetFilters }, `${baseUrl}/agasobanuye/`) : ''}
 
+            <div class="listing-layout">
+                ${renderFacetSidebar(facets, facetHref, clearFacetsUrl)}
+                <div class="listing-results">
             ${filteredVideos.length > 0 ? `
                 <div class="videos-grid">
-                    ${filteredVideos.map(video => generateVideoCard(video, baseUrl)).join('')}
+                    ${pagination.items.map(video => generateVideoCard(video, baseUrl)).join('')}
                 </div>
+                ${renderPagination(pagination, listingUrl)}
             ` : `
                 <div class="no-results">
                     <h2>No videos found</h2>
@@ -1233,6 +1135,8 @@ function generateHomepageHTML(data) {
                     <a href="${baseUrl}/agasobanuye/" class="search-button" style="display: inline-block; margin-top: 1rem;">Clear Filters</a>
                 </div>
             `}
+                </div>
+            </div>
         ` : `
             <!-- Homepage Content -->
             <section class="hero">
@@ -1279,7 +1183,7 @@ function generateHomepageHTML(data) {
                         ${translators.slice(0, 8).map(translator => `
                             <li>
                                 <a href="${baseUrl}/agasobanuye/?translator=${translator.slug}" 
-                                   class="${translatorFilter === translator.slug ? 'active' : ''}">
+                                   class="${selectedTranslator && selectedTranslator.slug === translator.slug ? 'active' : ''}">
                                     ${escapeHTML(translator.name)} (${translator.count})
                                 </a>
                             </li>
@@ -1339,16 +1243,36 @@ function generateHomepageHTML(data) {
             </div>
         </div>
     </footer>
+    ${renderAutocomplete('agasobanuye')}
 </body>
 </html>`;
 }
 
+// Sort dropdown for a listing; `filters` become hidden fields so the listing
+// is kept, and the page number is dropped
+function generateSortForm(sort, filters, action) {
+  return `
+    <form class="sort-form" action="${action}" method="GET">
+        ${Object.entries(filters).filter(([, value]) => value).map(([name, value]) => `
+            <input type="hidden" name="${name}" value="${escapeHTML(value)}">
+        `).join('')}
+        <label for="sort">Sort by</label>
+        <select id="sort" name="sort" onchange="this.form.submit()">
+            ${SORT_OPTIONS.map(option => `
+                <option value="${option.value}"${option.value === sort ? ' selected' : ''}>${option.label}</option>
+            `).join('')}
+        </select>
+        <noscript><button type="submit" class="search-button">Sort</button></noscript>
+    </form>`;
+}
+
 function generateVideoCard(video, baseUrl) {
   const posterUrl = video.poster || `${baseUrl}/images/default-poster.jpg`;
   // Use the new URL structure: /watch/movie/slug or /watch/tv-series/slug
   const typeSlug = video.contentType === 'MOVIE' ? 'movie' : 'tv-series';
   const watchUrl = `${baseUrl}/watch/${typeSlug}/${video.slug}`;
-  const translatorUrl = `${baseUrl}/agasobanuye/?translator=${video.translatorSlug}`;
+  // Relative date is computed per render since the parsed catalog is cached
+  const shortDate = video.uploadDate ? formatShortDate(new Date(video.uploadDate)) : '';
   
   // Generate VideoObject schema for this specific video
   const videoSchema = {
@@ -1356,10 +1280,11 @@ function generateVideoCard(video, baseUrl) {
     "@type": video.contentType === 'MOVIE' ? "Movie" : "TVSeries",
     "name": video.title,
     "description": video.description || video.title,
+    "numberOfEpisodes": video.isSeries ? video.episodeCount : undefined,
     "image": posterUrl,
     "thumbnailUrl": posterUrl,
-    "uploadDate": video.uploadDate,
-    "datePublished": video.uploadDate,
+    "uploadDate": video.publishedAt || undefined,
+    "datePublished": video.publishedAt || undefined,
     "duration": video.isoDuration || "PT0M",
     "contentUrl": watchUrl,
     "genre": video.genre || ["Translated Content"],
@@ -1377,7 +1302,7 @@ function generateVideoCard(video, baseUrl) {
   
   return `
   <div class="video-card">
-      <script type="application/ld+json">${JSON.stringify(videoSchema)}</script>
+      <script type="application/ld+json">${jsonLd(videoSchema)}</script>
       
       <a href="${watchUrl}" class="video-link">
           <div class="video-thumbnail">
@@ -1394,14 +1319,18 @@ function generateVideoCard(video, baseUrl) {
               ` : ''}
               
               <!-- Date badge - Top right -->
-              ${video.shortDate ? `
+              ${shortDate ? `
               <div class="date-badge">
-                  ${video.shortDate}
+                  ${shortDate}
               </div>
               ` : ''}
               
-              <!-- Duration badge - Bottom right -->
-              ${video.formattedDuration ? `
+              <!-- Duration (or episode count for a series) badge - Bottom right -->
+              ${video.isSeries ? `
+              <div class="duration-badge">
+                  ${video.episodeCount} ${video.episodeCount === 1 ? 'episode' : 'episodes'}
+              </div>
+              ` : video.formattedDuration ? `
               <div class="duration-badge">
                   ${video.formattedDuration}
               </div>
@@ -1445,6 +1374,16 @@ function generateVideoCard(video, baseUrl) {
                       ` : ''}
                   </div>
                   ` : ''}
+                  
+                  <!-- Latest episode of a series -->
+                  ${video.isSeries ? `
+                  <div class="metadata-row">
+                      <div class="metadata-item">
+                          <i>🆕</i>
+                          <span>Latest: S${video.latestEpisode.seasonNumber} E${video.latestEpisode.episodeNumber}</span>
+                      </div>
+                  </div>
+                  ` : ''}
               </div>
           </div>
       </a>
@@ -0,0 +1,7 @@
+// functions/agasobanuye/atom.xml.js
+// Atom feed of new agasobanuye; ?translator=<slug> for one translator (see _lib/feeds.js).
+import { translatedFeed } from '../_lib/feeds.js';
+
+export async function onRequest(context) {
+  return translatedFeed(context, 'atom');
+}
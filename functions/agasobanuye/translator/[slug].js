@@ -0,0 +1,613 @@
+// functions/agasobanuye/translator/[slug].js
+// Translator profile: bio, photo and links from the translator registry, upload
+// counts, latest uploads and the full catalog (one card per TV series).
+import { loadTranslatedCatalog } from '../../_lib/translated.js';
+import { loadTranslatorRegistry, listTranslators, findTranslator, isByTranslator } from '../../_lib/translators.js';
+import { withCatalogStatus, catalogErrorHeaders } from '../../_lib/catalog-cache.js';
+import { groupSeries, collapseSeries } from '../../_lib/catalog.js';
+import { escapeHTML, truncate, formatShortDate, jsonLd } from '../../_lib/format.js';
+import { feedLinks } from '../../_lib/feeds.js';
+
+export async function onRequest(context) {
+  const { request, params } = context;
+  const url = new URL(request.url);
+  const baseUrl = url.origin;
+  const slug = String(params.slug || '');
+
+  try {
+    const [allVideos, registry] = await Promise.all([
+      loadTranslatedCatalog(context),
+      loadTranslatorRegistry(context)
+    ]);
+
+    const translator = findTranslator(listTranslators(registry, allVideos), slug);
+    if (!translator) {
+      return withCatalogStatus(context, new Response(generateNotFoundHTML(baseUrl), {
+        status: 404,
+        headers: {
+          'Content-Type': 'text/html; charset=UTF-8',
+          'Cache-Control': 'public, max-age=60'
+        }
+      }));
+    }
+
+    // Other spellings (aliases, different case) point at one canonical page
+    if (slug !== translator.slug) {
+      return Response.redirect(`${baseUrl}/agasobanuye/translator/${translator.slug}`, 301);
+    }
+
+    const uploads = allVideos.filter(video => isByTranslator(video, translator));
+    const series = groupSeries(uploads);
+    const catalog = collapseSeries(uploads, series);
+
+    const html = generateProfileHTML({
+      translator,
+      uploads,
+      catalog,
+      stats: {
+        uploads: uploads.length,
+        movies: uploads.filter(video => video.contentType === 'MOVIE').length,
+        series: series.size,
+        episodes: uploads.filter(video => video.contentType === 'TV-SERIES').length,
+        views: uploads.reduce((total, video) => total + video.views, 0)
+      },
+      baseUrl
+    });
+
+    return withCatalogStatus(context, new Response(html, {
+      headers: {
+        'Content-Type': 'text/html; charset=UTF-8',
+        'Cache-Control': 'public, max-age=300, s-maxage=14400', // edge copy is purged by the GitHub webhook
+        'X-Content-Type-Options': 'nosniff',
+      },
+    }));
+  } catch (error) {
+    console.error('Error generating translator page:', error);
+    return new Response(generateErrorHTML(baseUrl), {
+      headers: {
+        'Content-Type': 'text/html; charset=UTF-8',
+        ...catalogErrorHeaders(error)
+      },
+      status: error.retryAfter ? 503 : 500
+    });
+  }
+}
+
+function generateProfileHTML({ translator, uploads, catalog, stats, baseUrl }) {
+  const pageUrl = `${baseUrl}/agasobanuye/translator/${translator.slug}`;
+  const description = translator.bio ||
+    `Watch ${stats.uploads} movies and TV episodes translated to Kinyarwanda by ${translator.name}.`;
+  const photoUrl = translator.photoUrl || (catalog[0] && catalog[0].poster) || `${baseUrl}/og-image.jpg`;
+  const latestUploads = uploads.slice(0, 8);
+  // Other spellings of the name as credited on uploads, for the Person entity
+  const alternateNames = [...new Set(uploads.map(video => video.translator))]
+    .filter(name => name && name !== translator.name);
+  const movies = catalog.filter(video => video.contentType === 'MOVIE');
+  const shows = catalog.filter(video => video.contentType === 'TV-SERIES');
+
+  const breadcrumbs = [
+    { name: 'Home', url: `${baseUrl}/` },
+    { name: 'Agasobanuye', url: `${baseUrl}/agasobanuye/` },
+    { name: translator.name, url: pageUrl }
+  ];
+
+  const structuredData = {
+    "@context": "https://schema.org",
+    "@graph": [
+      {
+        "@type": "ProfilePage",
+        "@id": pageUrl,
+        "url": pageUrl,
+        "name": `${translator.name} - Agasobanuye`,
+        "inLanguage": "rw",
+        "dateModified": uploads[0] && uploads[0].publishedAt || undefined,
+        "mainEntity": { "@id": `${pageUrl}#person` }
+      },
+      {
+        "@type": "Person",
+        "@id": `${pageUrl}#person`,
+        "name": translator.name,
+        "alternateName": alternateNames.length ? alternateNames : undefined,
+        "description": description,
+        "image": translator.photoUrl || undefined,
+        "url": pageUrl,
+        "jobTitle": "Agasobanuye narrator",
+        "knowsLanguage": ["rw"],
+        "sameAs": translator.links.length ? translator.links.map(link => link.url) : undefined,
+        "interactionStatistic": {
+          "@type": "InteractionCounter",
+          "interactionType": "https://schema.org/WriteAction",
+          "userInteractionCount": stats.uploads
+        }
+      },
+      {
+        "@type": "BreadcrumbList",
+        "itemListElement": breadcrumbs.map((item, index) => ({
+          "@type": "ListItem",
+          "position": index + 1,
+          "name": item.name,
+          "item": item.url
+        }))
+      }
+    ]
+  };
+
+  return `<!DOCTYPE html>
+<html lang="rw">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(`${translator.name} - Agasobanuye Movies & Series | Rwanda Cinema`)}</title>
+    <meta name="description" content="${escapeHTML(truncate(description, 160))}">
+    <meta name="robots" content="index, follow, max-image-preview:large">
+    <meta name="theme-color" content="#008753">
+    <link rel="canonical" href="${escapeHTML(pageUrl)}">
+    ${feedLinks(baseUrl, '/agasobanuye', `Agasobanuye by ${translator.name} - Rwanda Cinema`, { translator: translator.slug })}
+    <link rel="icon" type="image/x-icon" href="/favicon.ico">
+    <script async src="https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=ca-pub-7959421921456132"
+     crossorigin="anonymous"></script>
+
+    <!-- Open Graph -->
+    <meta property="og:type" content="profile">
+    <meta property="og:url" content="${escapeHTML(pageUrl)}">
+    <meta property="og:title" content="${escapeHTML(`${translator.name} - Agasobanuye`)}">
+    <meta property="og:description" content="${escapeHTML(truncate(description, 200))}">
+    <meta property="og:image" content="${escapeHTML(photoUrl)}">
+    <meta property="og:locale" content="rw_RW">
+    <meta property="og:site_name" content="Rwanda Cinema">
+
+    <!-- Twitter -->
+    <meta name="twitter:card" content="summary">
+    <meta name="twitter:title" content="${escapeHTML(translator.name)}">
+    <meta name="twitter:description" content="${escapeHTML(truncate(description, 200))}">
+    <meta name="twitter:image" content="${escapeHTML(photoUrl)}">
+
+    <!-- Structured Data -->
+    <script type="application/ld+json">${jsonLd(structuredData)}</script>
+
+    <style>
+        :root {
+            --primary: #008753;
+            --secondary: #FAD201;
+            --accent: #00A1DE;
+            --dark: #0a0a0a;
+            --card-bg: #1a1a1a;
+            --text-light: #e0e0e0;
+            --border: #333;
+        }
+
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+            font-family: 'Segoe UI', system-ui, sans-serif;
+        }
+
+        body {
+            background: var(--dark);
+            color: white;
+            line-height: 1.6;
+            min-height: 100vh;
+        }
+
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 0 1rem;
+        }
+
+        /* Header */
+        .header {
+            background: var(--primary);
+            padding: 1rem 0;
+            border-bottom: 3px solid var(--secondary);
+        }
+
+        .header-content {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 1rem;
+        }
+
+        .logo {
+            color: white;
+            text-decoration: none;
+            font-size: 1.5rem;
+            font-weight: bold;
+        }
+
+        .nav {
+            display: flex;
+            gap: 1rem;
+        }
+
+        .nav-link {
+            color: white;
+            text-decoration: none;
+            padding: 0.5rem 1rem;
+            border-radius: 6px;
+        }
+
+        .nav-link:hover, .nav-link.active {
+            background: rgba(255,255,255,0.1);
+        }
+
+        /* Breadcrumb */
+        .breadcrumb {
+            background: var(--card-bg);
+            padding: 1rem;
+            border-radius: 8px;
+            margin: 1rem 0;
+            font-size: 0.9rem;
+        }
+
+        .breadcrumb a {
+            color: var(--secondary);
+            text-decoration: none;
+        }
+
+        .breadcrumb .separator {
+            color: var(--text-light);
+            margin: 0 0.5rem;
+        }
+
+        /* Profile */
+        .profile {
+            display: flex;
+            gap: 2rem;
+            align-items: center;
+            background: linear-gradient(135deg, var(--primary), #005a37);
+            border-radius: 16px;
+            padding: 2rem;
+            margin: 1.5rem 0;
+        }
+
+        .profile-photo {
+            width: 160px;
+            height: 160px;
+            border-radius: 50%;
+            object-fit: cover;
+            border: 4px solid var(--secondary);
+            flex-shrink: 0;
+        }
+
+        .profile-initial {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            background: var(--dark);
+            color: var(--secondary);
+            font-size: 4rem;
+            font-weight: bold;
+        }
+
+        .profile h1 {
+            font-size: 2.2rem;
+            line-height: 1.2;
+        }
+
+        .profile .role {
+            color: var(--secondary);
+            font-weight: 500;
+            margin-bottom: 0.75rem;
+        }
+
+        .profile .bio {
+            color: rgba(255,255,255,0.9);
+            max-width: 700px;
+        }
+
+        .social-links {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin-top: 1rem;
+        }
+
+        .social-links a {
+            color: var(--dark);
+            background: var(--secondary);
+            padding: 0.35rem 1rem;
+            border-radius: 20px;
+            text-decoration: none;
+            font-weight: bold;
+            font-size: 0.85rem;
+        }
+
+        .stats {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+            gap: 1rem;
+            margin-bottom: 2rem;
+        }
+
+        .stat-item {
+            background: var(--card-bg);
+            border: 1px solid var(--border);
+            border-radius: 12px;
+            padding: 1rem;
+            text-align: center;
+        }
+
+        .stat-number {
+            display: block;
+            font-size: 1.8rem;
+            font-weight: bold;
+            color: var(--secondary);
+        }
+
+        .stat-label {
+            color: var(--text-light);
+            font-size: 0.9rem;
+        }
+
+        .section-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin: 2rem 0 1rem;
+        }
+
+        .section-title {
+            font-size: 1.6rem;
+            color: var(--secondary);
+        }
+
+        .section-header a {
+            color: var(--accent);
+            text-decoration: none;
+            font-weight: bold;
+        }
+
+        /* Cards */
+        .videos-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+            gap: 1.5rem;
+        }
+
+        .video-card {
+            background: var(--card-bg);
+            border-radius: 12px;
+            overflow: hidden;
+            border: 1px solid var(--border);
+            transition: transform 0.3s;
+        }
+
+        .video-card:hover {
+            transform: translateY(-4px);
+        }
+
+        .video-card a {
+            color: inherit;
+            text-decoration: none;
+        }
+
+        .video-card img {
+            width: 100%;
+            aspect-ratio: 2 / 3;
+            object-fit: cover;
+            display: block;
+        }
+
+        .video-card h3 {
+            font-size: 0.95rem;
+            padding: 0.75rem 0.75rem 0;
+        }
+
+        .video-card .card-meta {
+            color: #999;
+            font-size: 0.8rem;
+            padding: 0 0.75rem 0.75rem;
+        }
+
+        .no-results {
+            text-align: center;
+            color: var(--text-light);
+            padding: 3rem 1rem;
+        }
+
+        /* Footer */
+        .footer {
+            background: var(--card-bg);
+            border-top: 3px solid var(--primary);
+            margin-top: 3rem;
+            padding: 2rem 0;
+            text-align: center;
+            color: var(--text-light);
+        }
+
+        @media (max-width: 768px) {
+            .profile {
+                flex-direction: column;
+                text-align: center;
+            }
+
+            .social-links {
+                justify-content: center;
+            }
+
+            .profile h1 {
+                font-size: 1.8rem;
+            }
+        }
+    </style>
+</head>
+<body>
+    <!-- Header -->
+    <header class="header" role="banner">
+        <div class="container">
+            <div class="header-content">
+                <a href="${baseUrl}/" class="logo">🏠 Rwanda Cinema</a>
+                <nav class="nav" role="navigation" aria-label="Main navigation">
+                    <a href="${baseUrl}/" class="nav-link">Home</a>
+                    <a href="${baseUrl}/agasobanuye/" class="nav-link active">Agasobanuye</a>
+                </nav>
+            </div>
+        </div>
+    </header>
+
+    <main class="container" role="main">
+        <!-- Breadcrumb -->
+        <nav class="breadcrumb" aria-label="Breadcrumb">
+            ${breadcrumbs.map((item, index) => `
+                ${index > 0 ? '<span class="separator">/</span>' : ''}
+                ${index === breadcrumbs.length - 1 ?
+                  `<span aria-current="page">${escapeHTML(item.name)}</span>` :
+                  `<a href="${escapeHTML(item.url)}">${escapeHTML(item.name)}</a>`}
+            `).join('')}
+        </nav>
+
+        <!-- Profile -->
+        <section class="profile">
+            ${translator.photoUrl
+              ? `<img src="${escapeHTML(translator.photoUrl)}" alt="${escapeHTML(translator.name)}" class="profile-photo">`
+              : `<div class="profile-photo profile-initial" aria-hidden="true">${escapeHTML(translator.name.charAt(0).toUpperCase())}</div>`}
+            <div>
+                <h1>${escapeHTML(translator.name)}</h1>
+                <p class="role">🎙️ Agasobanuye narrator</p>
+                ${translator.bio ? `<p class="bio">${escapeHTML(translator.bio)}</p>` : ''}
+                ${translator.links.length ? `
+                <div class="social-links">
+                    ${translator.links.map(link => `<a href="${escapeHTML(link.url)}" rel="noopener me" target="_blank">${link.label}</a>`).join('')}
+                </div>
+                ` : ''}
+            </div>
+        </section>
+
+        <!-- Stats -->
+        <div class="stats">
+            <div class="stat-item">
+                <span class="stat-number">${stats.uploads}</span>
+                <span class="stat-label">Uploads</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-number">${stats.movies}</span>
+                <span class="stat-label">Movies</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-number">${stats.series}</span>
+                <span class="stat-label">TV Series</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-number">${stats.episodes}</span>
+                <span class="stat-label">Episodes</span>
+            </div>
+            ${stats.views ? `
+            <div class="stat-item">
+                <span class="stat-number">${stats.views.toLocaleString('en-US')}</span>
+                <span class="stat-label">Views</span>
+            </div>
+            ` : ''}
+        </div>
+
+        ${uploads.length === 0 ? `
+        <div class="no-results">
+            <h2>No uploads yet</h2>
+            <p>${escapeHTML(translator.name)}'s translations will appear here.</p>
+        </div>
+        ` : ''}
+
+        ${latestUploads.length ? `
+        <div class="section-header">
+            <h2 class="section-title">Latest Uploads</h2>
+        </div>
+        <div class="videos-grid">
+            ${latestUploads.map(video => generateVideoCard(video, baseUrl)).join('')}
+        </div>
+        ` : ''}
+
+        ${movies.length ? `
+        <div class="section-header">
+            <h2 class="section-title">Movies (${movies.length})</h2>
+        </div>
+        <div class="videos-grid">
+            ${movies.map(video => generateVideoCard(video, baseUrl)).join('')}
+        </div>
+        ` : ''}
+
+        ${shows.length ? `
+        <div class="section-header">
+            <h2 class="section-title">TV Series (${shows.length})</h2>
+        </div>
+        <div class="videos-grid">
+            ${shows.map(video => generateVideoCard(video, baseUrl)).join('')}
+        </div>
+        ` : ''}
+    </main>
+
+    <!-- Footer -->
+    <footer class="footer" role="contentinfo">
+        <div class="container">
+            <p>&copy; ${new Date().getFullYear()} Rwanda Cinema. All rights reserved.</p>
+            <p>Bringing global content to Kinyarwanda speakers worldwide</p>
+        </div>
+    </footer>
+</body>
+</html>`;
+}
+
+// Series cards link to the series page, episodes and movies to their watch page
+function generateVideoCard(video, baseUrl) {
+  const typeSlug = video.contentType === 'MOVIE' ? 'movie' : 'tv-series';
+  const posterUrl = video.poster || `${baseUrl}/images/default-poster.jpg`;
+  const shortDate = video.uploadDate ? formatShortDate(new Date(video.uploadDate)) : '';
+  const meta = video.isSeries
+    ? `TV Series · ${video.episodeCount} ${video.episodeCount === 1 ? 'episode' : 'episodes'}`
+    : video.contentType === 'MOVIE'
+      ? `Movie${video.releaseYear ? ` · ${video.releaseYear}` : ''}`
+      : `S${video.seasonNumber} · E${video.episodeNumber}${shortDate ? ` · ${shortDate}` : ''}`;
+
+  return `
+            <div class="video-card">
+                <a href="${baseUrl}/watch/${typeSlug}/${video.slug}">
+                    <img src="${escapeHTML(posterUrl)}" alt="${escapeHTML(video.title)} - Kinyarwanda translation" loading="lazy" onerror="this.src='${baseUrl}/images/default-poster.jpg'">
+                    <h3>${escapeHTML(truncate(video.isSeries ? video.title : video.seriesTitle || video.title, 60))}</h3>
+                    <p class="card-meta">${escapeHTML(meta)}</p>
+                </a>
+            </div>`;
+}
+
+function generateNotFoundHTML(baseUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Translator Not Found - Agasobanuye</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <style>
+        body { background: #0a0a0a; color: white; text-align: center; padding: 4rem 2rem; font-family: system-ui; }
+        h1 { color: #FAD201; margin-bottom: 1rem; }
+        a { background: #008753; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block; margin-top: 1rem; }
+    </style>
+</head>
+<body>
+    <h1>Translator Not Found</h1>
+    <p>We couldn't find that translator.</p>
+    <a href="${baseUrl}/agasobanuye/">Browse Agasobanuye</a>
+</body>
+</html>`;
+}
+
+function generateErrorHTML(baseUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <title>Error - Agasobanuye</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { background: #0a0a0a; color: white; text-align: center; padding: 4rem 2rem; font-family: system-ui; }
+        h1 { color: #FAD201; margin-bottom: 1rem; }
+        a { background: #008753; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block; margin-top: 1rem; }
+    </style>
+</head>
+<body>
+    <h1>Something Went Wrong</h1>
+    <p>We're having trouble loading this translator. Please try again later.</p>
+    <a href="${baseUrl}/agasobanuye/">Go Back to Agasobanuye</a>
+</body>
+</html>`;
+}
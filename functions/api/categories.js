@@ -0,0 +1,24 @@
+// functions/api/categories.js
+// Film category registry for the upload form and other clients.
+import { loadCategoryRegistry } from '../_lib/categories.js';
+import { withCatalogStatus, catalogErrorHeaders } from '../_lib/catalog-cache.js';
+
+export async function onRequest(context) {
+  try {
+    const categories = await loadCategoryRegistry(context);
+
+    return withCatalogStatus(context, new Response(JSON.stringify({ categories }), {
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'public, max-age=300',
+        'Access-Control-Allow-Origin': '*'
+      }
+    }));
+  } catch (error) {
+    console.error('Error loading categories:', error);
+    return new Response(JSON.stringify({ error: 'Failed to load categories' }), {
+      status: error.retryAfter ? 503 : 500,
+      headers: { 'Content-Type': 'application/json; charset=utf-8', ...catalogErrorHeaders(error) }
+    });
+  }
+}
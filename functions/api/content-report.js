@@ -0,0 +1,49 @@
+// functions/api/content-report.js
+// Admin-only content health report: every film and agasobanuye file that fails
+// schema validation (left out of the site) or has warnings, read fresh from the
+// content source rather than the cached catalogs.
+import { scanMovies } from '../_lib/movies.js';
+import { scanTranslated } from '../_lib/translated.js';
+import { createContentSource } from '../_lib/content-source.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { jsonResponse } from '../_lib/http.js';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method !== 'GET') {
+    return jsonResponse({ error: 'Method not allowed' }, 405, { 'Allow': 'GET' });
+  }
+
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  try {
+    const [movies, translated] = await Promise.all([scanMovies(env), scanTranslated(env)]);
+
+    const sections = { movies, translated };
+    const files = Object.entries(sections).flatMap(([kind, scan]) =>
+      scan.issues.map(issue => ({ kind, valid: issue.errors.length === 0, ...issue }))
+    );
+
+    // Invalid files first, then by path
+    files.sort((a, b) => a.valid - b.valid || a.path.localeCompare(b.path));
+
+    const summary = Object.fromEntries(Object.entries(sections).map(([kind, scan]) => [kind, {
+      files: scan.files,
+      published: scan.videos.length,
+      invalid: scan.issues.filter(issue => issue.errors.length).length,
+      withWarnings: scan.issues.filter(issue => !issue.errors.length).length
+    }]));
+
+    return jsonResponse({
+      generatedAt: new Date().toISOString(),
+      source: createContentSource(env).type,
+      summary,
+      files
+    });
+  } catch (error) {
+    console.error('Error building content report:', error);
+    return jsonResponse({ error: 'Failed to build content report', message: error.message }, 500);
+  }
+}
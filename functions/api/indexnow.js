@@ -0,0 +1,48 @@
+// functions/api/indexnow.js
+// Admin-only IndexNow log: GET lists the latest submission batches (newest
+// first) with their outcome, when a CATALOG_KV binding holds the log; POST
+// { urls: [...] } submits URLs by hand, e.g. pages changed outside the content repo.
+import { submitToIndexNow, readIndexNowLog, indexNowKey } from '../_lib/indexnow.js';
+import { requireAdmin } from '../_lib/auth.js';
+import { jsonResponse } from '../_lib/http.js';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+
+  if (request.method !== 'GET' && request.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405, { 'Allow': 'GET, POST' });
+  }
+
+  const denied = requireAdmin(request, env);
+  if (denied) return denied;
+
+  if (request.method === 'GET') {
+    const submissions = await readIndexNowLog(env);
+    return jsonResponse({
+      enabled: Boolean(indexNowKey(env)),
+      ...(submissions ? { submissions } : { log: 'unavailable (no KV binding)' })
+    });
+  }
+
+  if (!indexNowKey(env)) {
+    return jsonResponse({ error: 'INDEXNOW_KEY is not configured' }, 503);
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON body' }, 400);
+  }
+
+  // IndexNow only takes URLs on the host that serves the key file
+  const baseUrl = new URL(request.url).origin;
+  const urls = Array.isArray(body && body.urls) ? body.urls.map(String) : [];
+  const foreign = urls.filter(url => !url.startsWith(`${baseUrl}/`));
+  if (urls.length === 0 || foreign.length > 0) {
+    return jsonResponse({ error: `Expected "urls": a list of ${baseUrl}/ URLs`, foreign }, 400);
+  }
+
+  const submissions = await submitToIndexNow(env, baseUrl, urls, 'admin');
+  return jsonResponse({ ok: submissions.every(submission => submission.ok), submissions });
+}
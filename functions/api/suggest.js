@@ -0,0 +1,55 @@
+// functions/api/suggest.js
+// Search-as-you-type suggestions: GET /api/suggest?q=<text>[&scope=films|agasobanuye][&limit=]
+// -> { query, suggestions: [{ type, label, detail, url, posterUrl }] }. `type` is
+// film, category, translated, series or translator; without a scope both
+// catalogs are searched. Queries under two characters get no suggestions.
+import { loadMovieCatalog } from '../_lib/movies.js';
+import { loadTranslatedCatalog } from '../_lib/translated.js';
+import { loadCategoryRegistry } from '../_lib/categories.js';
+import { loadTranslatorRegistry, listTranslators } from '../_lib/translators.js';
+import { suggestFilms, suggestTranslated, parseSuggestLimit, MIN_QUERY_LENGTH } from '../_lib/suggest.js';
+import { checkMethod, apiResponse, apiError } from '../_lib/api.js';
+
+export async function onRequest(context) {
+  const rejected = checkMethod(context.request);
+  if (rejected) return rejected;
+
+  const url = new URL(context.request.url);
+  const query = (url.searchParams.get('q') || '').trim().slice(0, 100);
+  const scope = url.searchParams.get('scope');
+  const limit = parseSuggestLimit(url.searchParams.get('limit'));
+
+  if (query.length < MIN_QUERY_LENGTH) {
+    return apiResponse(context, { query, suggestions: [] });
+  }
+
+  try {
+    const suggestions = (await Promise.all([
+      scope !== 'agasobanuye' ? filmSuggestions(context, query, limit, url.origin) : [],
+      scope !== 'films' ? translatedSuggestions(context, query, limit, url.origin) : []
+    ])).flat();
+
+    return apiResponse(context, { query, suggestions });
+  } catch (error) {
+    console.error('Error loading suggestions:', error);
+    return apiError(error, 'Failed to load suggestions');
+  }
+}
+
+async function filmSuggestions(context, query, limit, baseUrl) {
+  const [videos, categories] = await Promise.all([
+    loadMovieCatalog(context),
+    loadCategoryRegistry(context)
+  ]);
+  // Only categories with films, as in the homepage navigation
+  const withFilms = categories.filter(category => videos.some(v => v.category === category.slug));
+  return suggestFilms(videos, withFilms, query, limit, baseUrl);
+}
+
+async function translatedSuggestions(context, query, limit, baseUrl) {
+  const [videos, registry] = await Promise.all([
+    loadTranslatedCatalog(context),
+    loadTranslatorRegistry(context)
+  ]);
+  return suggestTranslated(videos, listTranslators(registry, videos), query, limit, baseUrl);
+}
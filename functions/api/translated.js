@@ -0,0 +1,31 @@
+// functions/api/translated.js
+// Public agasobanuye listing: GET /api/translated?search=&translator=&type=
+// &genre=&year=&quality=&language=&duration=&age=&sort=&page=&limit=&fields=
+// — the /agasobanuye/ filters, facets and orders (one card per TV series), as
+// JSON (see _lib/api.js for the envelope).
+import { loadTranslatedCatalog, queryTranslated } from '../_lib/translated.js';
+import { loadTranslatorRegistry, listTranslators } from '../_lib/translators.js';
+import { checkMethod, listBody, serializeTranslated, apiResponse, apiError } from '../_lib/api.js';
+
+export async function onRequest(context) {
+  const rejected = checkMethod(context.request);
+  if (rejected) return rejected;
+
+  const url = new URL(context.request.url);
+
+  try {
+    const [allVideos, registry] = await Promise.all([
+      loadTranslatedCatalog(context),
+      loadTranslatorRegistry(context)
+    ]);
+    const { videos, facets } = queryTranslated(allVideos, listTranslators(registry, allVideos), url.searchParams);
+
+    return apiResponse(context, {
+      ...listBody(videos, url, context.env, video => serializeTranslated(video, url.origin)),
+      facets
+    });
+  } catch (error) {
+    console.error('Error loading agasobanuye for the API:', error);
+    return apiError(error, 'Failed to load translated content');
+  }
+}
@@ -0,0 +1,47 @@
+// functions/api/translated/[slug].js
+// Public agasobanuye detail: GET /api/translated/<slug>[?fields=]. A film or
+// episode slug returns { video }; a series slug (as in /watch/tv-series/<slug>)
+// returns { series } with every season and episode.
+import { loadTranslatedCatalog } from '../../_lib/translated.js';
+import { groupSeries } from '../../_lib/catalog.js';
+import { checkMethod, readFields, selectFields, serializeTranslated, apiResponse, apiNotFound, apiError } from '../../_lib/api.js';
+
+export async function onRequest(context) {
+  const rejected = checkMethod(context.request);
+  if (rejected) return rejected;
+
+  const url = new URL(context.request.url);
+  const slug = String(context.params.slug || '');
+  const fields = readFields(url);
+
+  try {
+    const allVideos = await loadTranslatedCatalog(context);
+
+    // Films before episodes, as /watch/movie/<slug> would resolve it
+    const video = allVideos.find(v => v.slug === slug && v.contentType === 'MOVIE') ||
+      allVideos.find(v => v.slug === slug);
+    if (video) {
+      return apiResponse(context, { video: selectFields(serializeTranslated(video, url.origin), fields) });
+    }
+
+    const series = groupSeries(allVideos).get(slug);
+    if (!series) return apiNotFound('Title not found');
+
+    return apiResponse(context, {
+      series: {
+        slug: series.slug,
+        title: series.title,
+        translators: series.translators,
+        publishedAt: series.publishedAt,
+        url: `${url.origin}/watch/tv-series/${series.slug}`,
+        seasons: series.seasons.map(season => ({
+          number: season.number,
+          episodes: season.episodes.map(episode => selectFields(serializeTranslated(episode, url.origin), fields))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error loading agasobanuye title for the API:', error);
+    return apiError(error, 'Failed to load translated content');
+  }
+}
@@ -0,0 +1,30 @@
+// functions/api/translators.js
+// Translator registry (with upload counts) for the upload form and other clients.
+import { loadTranslatorRegistry, listTranslators } from '../_lib/translators.js';
+import { loadTranslatedCatalog } from '../_lib/translated.js';
+import { withCatalogStatus, catalogErrorHeaders } from '../_lib/catalog-cache.js';
+
+export async function onRequest(context) {
+  try {
+    const [registry, videos] = await Promise.all([
+      loadTranslatorRegistry(context),
+      loadTranslatedCatalog(context)
+    ]);
+    const translators = listTranslators(registry, videos)
+      .map(({ aliases, order, ...translator }) => translator);
+
+    return withCatalogStatus(context, new Response(JSON.stringify({ translators }), {
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'public, max-age=300',
+        'Access-Control-Allow-Origin': '*'
+      }
+    }));
+  } catch (error) {
+    console.error('Error loading translators:', error);
+    return new Response(JSON.stringify({ error: 'Failed to load translators' }), {
+      status: error.retryAfter ? 503 : 500,
+      headers: { 'Content-Type': 'application/json; charset=utf-8', ...catalogErrorHeaders(error) }
+    });
+  }
+}
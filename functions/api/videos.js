@@ -0,0 +1,26 @@
+// functions/api/videos.js
+// Public films listing: GET /api/videos?search=&category=&year=&quality=
+// &language=&duration=&sort=&page=&limit=&fields= — the homepage's filters,
+// facets and orders, as JSON (see _lib/api.js for the envelope).
+import { loadMovieCatalog, queryMovies } from '../_lib/movies.js';
+import { checkMethod, listBody, serializeFilm, apiResponse, apiError } from '../_lib/api.js';
+
+export async function onRequest(context) {
+  const rejected = checkMethod(context.request);
+  if (rejected) return rejected;
+
+  const url = new URL(context.request.url);
+
+  try {
+    const allVideos = await loadMovieCatalog(context);
+    const { videos, facets } = queryMovies(allVideos, url.searchParams);
+
+    return apiResponse(context, {
+      ...listBody(videos, url, context.env, video => serializeFilm(video, url.origin)),
+      facets
+    });
+  } catch (error) {
+    console.error('Error loading films for the API:', error);
+    return apiError(error, 'Failed to load films');
+  }
+}
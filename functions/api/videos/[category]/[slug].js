@@ -0,0 +1,36 @@
+// functions/api/videos/[category]/[slug].js
+// Public film detail: GET /api/videos/<category>/<slug>[?fields=], the entry
+// behind /<category>/<slug> plus the related films that page suggests.
+import { loadMovieCatalog } from '../../../_lib/movies.js';
+import { getRelatedVideos } from '../../../_lib/catalog.js';
+import { checkMethod, readFields, selectFields, serializeFilm, apiResponse, apiNotFound, apiError } from '../../../_lib/api.js';
+
+export async function onRequest(context) {
+  const rejected = checkMethod(context.request);
+  if (rejected) return rejected;
+
+  const { params } = context;
+  const url = new URL(context.request.url);
+  const category = String(params.category || '').toLowerCase();
+  const slug = String(params.slug || '');
+
+  try {
+    const allVideos = await loadMovieCatalog(context);
+    const video = allVideos.find(v => v.category === category && v.slug === slug);
+    if (!video) return apiNotFound('Film not found');
+
+    return apiResponse(context, {
+      video: selectFields(serializeFilm(video, url.origin), readFields(url)),
+      related: getRelatedVideos(allVideos, video, 8).map(other => ({
+        slug: other.slug,
+        category: other.category,
+        title: other.title,
+        posterUrl: other.posterUrl,
+        url: `${url.origin}/${other.category}/${other.slug}`
+      }))
+    });
+  } catch (error) {
+    console.error('Error loading film for the API:', error);
+    return apiError(error, 'Failed to load film');
+  }
+}
@@ -0,0 +1,296 @@
+// functions/api/webhooks/github.js
+// GitHub push webhook: patches the changed films/agasobanuye into the cached
+// catalogs, purges the pages that render them and submits the changed film and
+// watch pages to IndexNow. Pushes too big to list every commit drop the cached
+// catalogs instead and purge the listings.
+import { moviePathInfo, updateMovieCatalog } from '../../_lib/movies.js';
+import { isTranslatedPath, updateTranslatedCatalog } from '../../_lib/translated.js';
+import { contentRepo, createContentSource } from '../../_lib/content-source.js';
+import { CATEGORIES_FILE } from '../../_lib/categories.js';
+import { TRANSLATORS_FILE, readTranslatorsFile, findTranslator } from '../../_lib/translators.js';
+import { invalidateCatalog, readCatalog } from '../../_lib/catalog-cache.js';
+import { groupSeries } from '../../_lib/catalog.js';
+import { purgePages } from '../../_lib/edge-cache.js';
+import { collectChangedFiles, isPushTruncated } from '../../_lib/github.js';
+import { feedUrl } from '../../_lib/feeds.js';
+import { SITEMAP_TYPES, sitemapChunkUrls } from '../../_lib/sitemap.js';
+import { submitToIndexNow } from '../../_lib/indexnow.js';
+import { timingSafeEqual } from '../../_lib/auth.js';
+import { jsonResponse } from '../../_lib/http.js';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const baseUrl = new URL(request.url).origin;
+
+  if (request.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405, { 'Allow': 'POST' });
+  }
+
+  if (!env.GITHUB_WEBHOOK_SECRET) {
+    console.error('GITHUB_WEBHOOK_SECRET is not configured');
+    return jsonResponse({ error: 'Webhook not configured' }, 503);
+  }
+
+  const body = await request.text();
+  const signature = request.headers.get('X-Hub-Signature-256');
+  if (!(await verifySignature(env.GITHUB_WEBHOOK_SECRET, body, signature))) {
+    return jsonResponse({ error: 'Invalid signature' }, 401);
+  }
+
+  const event = request.headers.get('X-GitHub-Event');
+  if (event === 'ping') {
+    return jsonResponse({ ok: true, message: 'pong' });
+  }
+  if (event !== 'push') {
+    return jsonResponse({ ok: true, ignored: `Unhandled event: ${event}` }, 202);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (error) {
+    return jsonResponse({ error: 'Invalid JSON payload' }, 400);
+  }
+
+  // Only pushes to the content repo's default branch change what the site serves
+  const repository = payload.repository || {};
+  if ((env.CONTENT_SOURCE || 'github') !== 'github' || repository.full_name !== contentRepo(env)) {
+    return jsonResponse({ ok: true, ignored: `Not the content repository: ${repository.full_name}` }, 202);
+  }
+  if (payload.ref !== `refs/heads/${repository.default_branch}`) {
+    return jsonResponse({ ok: true, ignored: `Push to ${payload.ref}` }, 202);
+  }
+
+  try {
+    if (isPushTruncated(payload)) {
+      return jsonResponse(await rebuildCatalogs(context, baseUrl));
+    }
+
+    const { changed, removed } = collectChangedFiles(payload.commits);
+    const ref = payload.after;
+    const summary = { movies: null, translated: null };
+    const pages = [];
+    const indexed = [];
+    // Child sitemap types (see _lib/sitemap.js) whose URL lists changed
+    const sitemapTypes = new Set();
+
+    if ([...changed, ...removed].some(path => moviePathInfo(path))) {
+      const result = await updateMovieCatalog(env, { changed, removed, ref });
+      summary.movies = summarize(result);
+      pages.push(...moviePages(baseUrl, result));
+      indexed.push(...movieEntryPages(baseUrl, result));
+      ['static', 'categories', 'films'].forEach(type => sitemapTypes.add(type));
+    }
+
+    // Category folders or labels may have changed; the registry is cheap to rebuild
+    if ([...changed, ...removed].some(path => path === CATEGORIES_FILE || moviePathInfo(path))) {
+      await invalidateCatalog(env, 'categories');
+      pages.push(`${baseUrl}/`, `${baseUrl}/api/categories`);
+      sitemapTypes.add('categories');
+    }
+
+    // Profiles and listing filters read the translator registry
+    if ([...changed, ...removed].includes(TRANSLATORS_FILE)) {
+      await invalidateCatalog(env, 'translators');
+      const translators = await readTranslatorsFile(createContentSource(env), ref);
+      sitemapTypes.add('translators');
+      pages.push(
+        `${baseUrl}/agasobanuye`,
+        `${baseUrl}/agasobanuye/`,
+        `${baseUrl}/api/translators`,
+        ...translators.map(translator => `${baseUrl}/agasobanuye/translator/${translator.slug}`)
+      );
+    }
+
+    if ([...changed, ...removed].some(isTranslatedPath)) {
+      // Removed files are gone from the patched catalog; their slugs are in this one
+      const previous = await readCatalog(env, 'translated');
+      const result = await updateTranslatedCatalog(env, { changed, removed, ref });
+      summary.translated = summarize(result);
+      // The registry as of this push, to purge aliased translators under their canonical slug
+      const registry = (await readCatalog(env, 'translators')) || await readTranslatorsFile(createContentSource(env), ref);
+      const catalog = await readCatalog(env, 'translated');
+      pages.push(...translatedPages(baseUrl, result, { catalog, previous, registry }));
+      indexed.push(...translatedEntryPages(baseUrl, result, previous));
+      ['static', 'categories', 'translated', 'translators'].forEach(type => sitemapTypes.add(type));
+    }
+
+    if (pages.length > 0) {
+      pages.push(`${baseUrl}/sitemap.xml`, ...await sitemapPages(env, baseUrl, sitemapTypes));
+      // IndexNow only once the purge is done, so crawlers that come straight away get the new pages
+      context.waitUntil(purgePages(env, pages).then(() => submitToIndexNow(env, baseUrl, indexed)));
+    }
+
+    return jsonResponse({
+      ok: true,
+      ...summary,
+      purged: [...new Set(pages)].length,
+      indexNow: [...new Set(indexed)].length
+    });
+  } catch (error) {
+    console.error('Webhook processing error:', error);
+    return jsonResponse({ error: 'Failed to update catalog' }, 500);
+  }
+}
+
+// Some changed files aren't listed in the push, so nothing cached can be
+// patched: every catalog is dropped and rebuilt on the next request, and the
+// listings, feeds and sitemaps are purged. Entry pages expire on their own.
+async function rebuildCatalogs(context, baseUrl) {
+  const { env } = context;
+  // Sized from the catalogs being dropped, which is close enough for a purge
+  const [categories, sitemaps] = await Promise.all([
+    readCatalog(env, 'categories'),
+    sitemapPages(env, baseUrl, SITEMAP_TYPES)
+  ]);
+  await Promise.all(['movies', 'translated', 'categories', 'translators'].map(key => invalidateCatalog(env, key)));
+
+  const pages = [
+    ...moviePages(baseUrl, { upserts: [], removals: [] }),
+    ...(categories || []).flatMap(({ slug }) => [
+      `${baseUrl}/?category=${slug}`,
+      ...feedPages(baseUrl, '', { category: slug })
+    ]),
+    ...translatedPages(baseUrl, { upserts: [], removals: [] }, {}),
+    `${baseUrl}/api/categories`,
+    `${baseUrl}/api/translators`,
+    `${baseUrl}/sitemap.xml`,
+    ...sitemaps
+  ];
+  context.waitUntil(purgePages(env, pages));
+
+  return { ok: true, rebuilt: true, purged: [...new Set(pages)].length };
+}
+
+function summarize({ patched, upserts, removals }) {
+  return { patched, updated: upserts.length, removed: removals.length };
+}
+
+function moviePages(baseUrl, { upserts, removals }) {
+  const entries = [
+    ...upserts.map(video => ({ category: video.category, slug: video.slug })),
+    ...removals.map(moviePathInfo)
+  ];
+  const pages = [`${baseUrl}/`, ...feedPages(baseUrl, '')];
+  entries.forEach(({ category, slug }) => {
+    pages.push(
+      `${baseUrl}/?category=${category}`,
+      `${baseUrl}/${category}/${slug}`,
+      `${baseUrl}/embed/${category}/${slug}`,
+      ...feedPages(baseUrl, '', { category })
+    );
+  });
+  return pages;
+}
+
+// Film pages added, updated or removed; removed ones are submitted too so
+// engines recrawl them, find the 404 and drop them
+function movieEntryPages(baseUrl, { upserts, removals }) {
+  return [
+    ...upserts.map(video => ({ category: video.category, slug: video.slug })),
+    ...removals.map(moviePathInfo)
+  ].map(({ category, slug }) => `${baseUrl}/${category}/${slug}`);
+}
+
+// Watch pages of added, updated or removed agasobanuye, with their series
+// page; removed entries are found in the pre-patch `previous` catalog, as in
+// movieEntryPages they are submitted so engines drop them
+function translatedEntryPages(baseUrl, { upserts, removals }, previous) {
+  return [...upserts, ...removedEntries(previous, removals)].flatMap(video => [
+    `${baseUrl}/watch/${video.contentType === 'MOVIE' ? 'movie' : 'tv-series'}/${video.slug}`,
+    ...(video.seriesSlug ? [`${baseUrl}/watch/tv-series/${video.seriesSlug}`] : [])
+  ]);
+}
+
+// `catalog` is the patched agasobanuye catalog and `previous` the one before the
+// patch (either null when it wasn't cached). Removed entries are found in
+// `previous`; the episodes next to a changed one, whose prev/next links change,
+// in whichever catalog still has it. `registry` maps translator aliases to
+// their canonical slug.
+function translatedPages(baseUrl, { upserts, removals }, { catalog, previous, registry }) {
+  const pages = [
+    `${baseUrl}/agasobanuye`,
+    `${baseUrl}/agasobanuye/`,
+    `${baseUrl}/agasobanuye/?type=MOVIE`,
+    `${baseUrl}/agasobanuye/?type=TV-SERIES`,
+    ...feedPages(baseUrl, '/agasobanuye')
+  ];
+  const series = groupSeries(catalog || []);
+  const previousSeries = groupSeries(previous || []);
+  const removed = removedEntries(previous, removals);
+
+  [...upserts, ...removed].forEach(video => {
+    const typeSlug = video.contentType === 'MOVIE' ? 'movie' : 'tv-series';
+    pages.push(
+      `${baseUrl}/watch/${typeSlug}/${video.slug}`,
+      `${baseUrl}/embed/watch/${video.slug}`,
+      ...translatorSlugs(registry, video).flatMap(slug => [
+        `${baseUrl}/agasobanuye/?translator=${slug}`,
+        `${baseUrl}/agasobanuye/translator/${slug}`,
+        ...feedPages(baseUrl, '/agasobanuye', { translator: slug })
+      ])
+    );
+
+    if (!video.seriesSlug) return;
+    const seriesUrl = `${baseUrl}/watch/tv-series/${video.seriesSlug}`;
+    pages.push(seriesUrl, `${seriesUrl}?season=${video.seasonNumber}`, `${baseUrl}/embed/watch/${video.seriesSlug}`);
+
+    const episodes = (removed.includes(video) ? previousSeries : series).get(video.seriesSlug)?.episodes || [];
+    const index = episodes.findIndex(episode => episode.sourcePath === video.sourcePath);
+    [episodes[index - 1], episodes[index + 1]].forEach(neighbour => {
+      if (index >= 0 && neighbour) pages.push(`${baseUrl}/watch/tv-series/${neighbour.slug}`);
+    });
+  });
+  return pages;
+}
+
+// The slug an upload is credited under and, for an alias, the registry slug
+// whose pages actually render it
+function translatorSlugs(registry, video) {
+  const translator = findTranslator(registry, video.translatorSlug);
+  return [...new Set([video.translatorSlug, ...(translator ? [translator.slug] : [])])];
+}
+
+// Entries of `catalog` whose files were removed (or no longer validate)
+function removedEntries(catalog, removals) {
+  return (catalog || []).filter(video => removals.includes(video.sourcePath));
+}
+
+// Child sitemaps of `types`. The patched catalogs bound how many chunks each
+// type has: one entry per film, at most two per agasobanuye (watch and series
+// pages) and per translator; static and category lists fit in one chunk.
+async function sitemapPages(env, baseUrl, types) {
+  const [movies, translated] = await Promise.all([readCatalog(env, 'movies'), readCatalog(env, 'translated')]);
+  const sizes = {
+    static: 0,
+    categories: 0,
+    films: (movies || []).length,
+    translated: 2 * (translated || []).length,
+    translators: 2 * (translated || []).length
+  };
+  return [...types].flatMap(type => sitemapChunkUrls(baseUrl, type, sizes[type]));
+}
+
+// RSS and Atom URLs of a feed (see _lib/feeds.js)
+function feedPages(baseUrl, prefix, params) {
+  return ['rss', 'atom'].map(format => feedUrl(baseUrl, prefix, format, params));
+}
+
+async function verifySignature(secret, body, signatureHeader) {
+  if (!signatureHeader || !signatureHeader.startsWith('sha256=')) return false;
+
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(body));
+  const expected = 'sha256=' + [...new Uint8Array(mac)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+  return timingSafeEqual(expected, signatureHeader);
+}
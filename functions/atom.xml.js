@@ -0,0 +1,7 @@
+// functions/atom.xml.js
+// Atom feed of new films; ?category=<slug> for one category (see _lib/feeds.js).
+import { filmFeed } from './_lib/feeds.js';
+
+export async function onRequest(context) {
+  return filmFeed(context, 'atom');
+}
@@ -0,0 +1,9 @@
+// functions/embed/[category]/[slug].js
+// Embeddable player for the film at /<category>/<slug> (see _lib/embed.js).
+import { embedResponse, findFilmTarget } from '../../_lib/embed.js';
+
+export async function onRequest(context) {
+  const { request, params } = context;
+  const baseUrl = new URL(request.url).origin;
+  return embedResponse(context, () => findFilmTarget(context, String(params.category || ''), String(params.slug || ''), baseUrl));
+}
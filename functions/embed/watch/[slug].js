@@ -0,0 +1,10 @@
+// functions/embed/watch/[slug].js
+// Embeddable player for an agasobanuye film, episode or series (its latest
+// episode) by slug (see _lib/embed.js).
+import { embedResponse, findTranslatedTarget } from '../../_lib/embed.js';
+
+export async function onRequest(context) {
+  const { request, params } = context;
+  const baseUrl = new URL(request.url).origin;
+  return embedResponse(context, () => findTranslatedTarget(context, String(params.slug || ''), baseUrl));
+}
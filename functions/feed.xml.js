@@ -0,0 +1,7 @@
+// functions/feed.xml.js
+// RSS 2.0 feed of new films; ?category=<slug> for one category (see _lib/feeds.js).
+import { filmFeed } from './_lib/feeds.js';
+
+export async function onRequest(context) {
+  return filmFeed(context, 'rss');
+}
@@ -1,220 +1,134 @@
+import { loadMovieCatalog, queryMovies } from './_lib/movies.js';
+import { withCatalogStatus, catalogErrorHeaders } from './_lib/catalog-cache.js';
+import { loadCategoryRegistry, findCategory } from './_lib/categories.js';
+import { getLatestVideosByCategory, parseSort, FILM_SORT_OPTIONS } from './_lib/catalog.js';
+import { escapeHTML, capitalizeFirst, getContentUrl, getEmbedUrl, jsonLd } from './_lib/format.js';
+import { FILM_FACETS, activeFacets, facetParams, renderFacetSidebar } from './_lib/facets.js';
+import { getPageSize, parsePage, paginate, lastPageUrl, listingUrls, paginationLinks, renderPagination } from './_lib/pagination.js';
+import { renderAutocomplete } from './_lib/suggest.js';
+import { feedLinks } from './_lib/feeds.js';
+
 export async function onRequest(context) {
   const { request, env } = context;
   const url = new URL(request.url);
-  const searchQuery = url.searchParams.get('search') || '';
-  const categoryFilter = url.searchParams.get('category') || '';
   const baseUrl = url.origin;
 
+  // Film listings dropped "Top rated"; old ?sort=rating links (and any other
+  // sort they don't offer) move to the same listing in the default order
+  const sortParam = url.searchParams.get('sort');
+  if (sortParam !== null && parseSort(sortParam, FILM_SORT_OPTIONS) !== sortParam) {
+    url.searchParams.delete('sort');
+    return Response.redirect(url.toString(), 301);
+  }
+
   try {
-    // Load all videos from GitHub
-    const allVideos = await loadAllVideos(env);
+    // Load all videos (cached catalog, refreshed from GitHub in the background)
+    const [allVideos, categories] = await Promise.all([
+      loadMovieCatalog(context),
+      loadCategoryRegistry(context)
+    ]);
     
-    // Apply filters if any
-    let filteredVideos = allVideos;
-    if (searchQuery) {
-      filteredVideos = searchVideos(allVideos, searchQuery);
-    }
-    if (categoryFilter) {
-      filteredVideos = filteredVideos.filter(video => video.category === categoryFilter);
+    // Apply filters if any (shared with /api/videos)
+    const { videos: filteredVideos, facets, searchQuery, categoryFilter, sort, facetFilters } =
+      queryMovies(allVideos, url.searchParams);
+
+    const pagination = paginate(filteredVideos, parsePage(url.searchParams.get('page')), getPageSize(env));
+    if (pagination.outOfRange) {
+      return Response.redirect(lastPageUrl(url, pagination.totalPages), 302);
     }
 
-    // Get latest 8 videos per category for homepage sections
-    const latestByCategory = getLatestVideosByCategory(allVideos, 8);
-    const allCategories = [...new Set(allVideos.map(v => v.category).filter(Boolean))];
+    // Registry order, limited to categories that actually have videos
+    const allCategories = categories
+      .map(category => category.slug)
+      .filter(slug => allVideos.some(v => v.category === slug));
+
+    // Get latest 8 videos per category for homepage sections, in registry order
+    const latestGrouped = getLatestVideosByCategory(allVideos, 8);
+    const latestByCategory = Object.fromEntries(
+      allCategories.map(category => [category, latestGrouped[category]])
+    );
 
     const html = generateHomepageHTML({
       searchQuery,
       categoryFilter,
+      sort,
+      facetFilters,
+      facets,
       filteredVideos,
+      pagination,
       allVideos,
       allCategories,
+      categories,
       latestByCategory,
       baseUrl
     });
 
-    return new Response(html, {
+    return withCatalogStatus(context, new Response(html, {
       headers: {
         'Content-Type': 'text/html; charset=UTF-8',
-        'Cache-Control': 'public, max-age=7200, s-maxage=14400', // 2-hour cache
+        'Cache-Control': 'public, max-age=300, s-maxage=14400', // edge copy is purged by the GitHub webhook
         'X-Content-Type-Options': 'nosniff',
       },
-    });
+    }));
   } catch (error) {
     console.error('Error generating homepage:', error);
     return new Response(generateErrorHTML(), {
       headers: { 
         'Content-Type': 'text/html; charset=UTF-8',
-        'Cache-Control': 'public, max-age=300' // 5 minutes for errors
+        ...catalogErrorHeaders(error)
       },
-      status: 500
+      status: error.retryAfter ? 503 : 500
     });
   }
 }
 
-async function loadAllVideos(env) {
-  const GITHUB_TOKEN = env.GITHUB_TOKEN;
-  const GITHUB_USERNAME = "burnac321";
-  const GITHUB_REPO = "Inyarwanda-Films";
-  
-  const categories = ['comedy', 'drama', 'music', 'action', 'documentary'];
-  const allVideos = [];
-
-  for (const category of categories) {
-    try {
-      const categoryVideos = await loadCategoryVideos(GITHUB_TOKEN, GITHUB_USERNAME, GITHUB_REPO, category);
-      allVideos.push(...categoryVideos);
-    } catch (error) {
-      console.warn(`Failed to load ${category} category:`, error.message);
-    }
-  }
-
-  // Sort all videos by date (newest first)
-  return allVideos.sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0));
-}
-
-async function loadCategoryVideos(token, username, repo, category) {
-  const videos = [];
-  
-  try {
-    // Get directory contents from GitHub API
-    const apiUrl = `https://api.github.com/repos/${username}/${repo}/contents/content/movies/${category}`;
-    
-    const response = await fetch(apiUrl, {
-      headers: {
-        'Authorization': `token ${token}`,
-        'User-Agent': 'Inyarwanda-Films',
-        'Accept': 'application/vnd.github.v3+json'
-      }
-    });
-
-    if (!response.ok) return videos;
-
-    const files = await response.json();
-    
-    // Load each markdown file
-    for (const file of files) {
-      if (file.name.endsWith('.md') && file.type === 'file') {
-        try {
-          const fileResponse = await fetch(file.download_url);
-          if (fileResponse.ok) {
-            const content = await fileResponse.text();
-            const videoData = parseVideoMarkdown(content, category, file.name.replace('.md', ''));
-            if (videoData) {
-              videos.push(videoData);
-            }
-          }
-        } catch (error) {
-          console.warn(`Failed to load ${file.name}:`, error.message);
-        }
-      }
-    }
-  } catch (error) {
-    console.error(`Error loading ${category} category:`, error);
-  }
-
-  return videos;
-}
-
-function parseVideoMarkdown(content, category, slug) {
-  const frontMatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
-  if (!frontMatterMatch) return null;
-
-  const frontMatter = frontMatterMatch[1];
-  const data = { category, slug };
-
-  frontMatter.split('\n').forEach(line => {
-    const match = line.match(/(\w+):\s*(.*)/);
-    if (match) {
-      let [, key, value] = match;
-      value = value.replace(/^["'](.*)["']$/, '$1').trim();
-      
-      if (key === 'tags' && value.startsWith('[')) {
-        try { value = JSON.parse(value); } catch (e) { value = []; }
-      }
-      if (key === 'releaseYear') value = parseInt(value);
-      
-      data[key] = value;
-    }
-  });
-
-  return data;
-}
-
-function searchVideos(videos, query) {
-  const searchTerm = query.toLowerCase();
-  return videos.filter(video => 
-    video.title?.toLowerCase().includes(searchTerm) ||
-    video.description?.toLowerCase().includes(searchTerm) ||
-    video.metaDescription?.toLowerCase().includes(searchTerm) ||
-    (video.tags && video.tags.some(tag => tag.toLowerCase().includes(searchTerm))) ||
-    video.category?.toLowerCase().includes(searchTerm)
-  );
-}
-
-function getLatestVideosByCategory(videos, limit = 8) {
-  const grouped = {};
-  
-  // Group videos by category
-  videos.forEach(video => {
-    if (!video.category) return;
-    if (!grouped[video.category]) {
-      grouped[video.category] = [];
-    }
-    grouped[video.category].push(video);
-  });
-
-  // Sort each category by date and take latest N videos
-  Object.keys(grouped).forEach(category => {
-    grouped[category] = grouped[category]
-      .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))
-      .slice(0, limit);
-  });
-
-  return grouped;
-}
-
 function generateHomepageHTML(data) {
-  const { searchQuery, categoryFilter, filteredVideos, allVideos, allCategories, latestByCategory, baseUrl } = data;
-  const isSearchOrFilter = searchQuery || categoryFilter;
-  
-  // Build canonical URL based on filters
-  let canonicalUrl = baseUrl;
+  const { searchQuery, categoryFilter, sort, facetFilters, facets, filteredVideos, pagination, allVideos, allCategories, categories, latestByCategory, baseUrl } = data;
+  const filters = activeFacets(facets);
+  const isSearchOrFilter = searchQuery || categoryFilter || filters.length;
+  const categoryName = slug => findCategory(categories, slug).name;
+  const listingTitle = `${[
+    searchQuery ? `"${searchQuery}"` : '',
+    categoryFilter ? `${searchQuery ? 'in ' : ''}${categoryName(categoryFilter)}` : ''
+  ].filter(Boolean).join(' ') || 'All videos'}${filters.length ? ` (${filters.map(filter => filter.name).join(', ')})` : ''}`;
+
+  // Breadcrumb trail; each link keeps the filters before it, so the last one
+  // is the listing's canonical URL
   const queryParams = [];
-  if (categoryFilter) queryParams.push(`category=${encodeURIComponent(categoryFilter)}`);
-  if (searchQuery) queryParams.push(`search=${encodeURIComponent(searchQuery)}`);
-  
-  if (queryParams.length > 0) {
-    canonicalUrl = `${baseUrl}/?${queryParams.join('&')}`;
-  }
+  const trail = [];
+  const addCrumb = (param, name) => {
+    queryParams.push(param);
+    trail.push({ name, url: `${baseUrl}/?${queryParams.join('&')}` });
+  };
+  if (categoryFilter) addCrumb(`category=${encodeURIComponent(categoryFilter)}`, categoryName(categoryFilter));
+  if (searchQuery) addCrumb(`search=${encodeURIComponent(searchQuery)}`, `Search: ${searchQuery}`);
+  const baseParams = [...queryParams];
+  filters.forEach(filter => addCrumb(`${filter.key}=${encodeURIComponent(filter.value)}`, `${filter.label}: ${filter.name}`));
+
+  // The last breadcrumb carries every filter; see listingUrls for sort and paging
+  const filterUrl = trail.length ? trail[trail.length - 1].url : baseUrl;
+  const currentPage = isSearchOrFilter ? pagination.page : 1;
+  const { sortParams, listingUrl, canonicalUrl } =
+    listingUrls(filterUrl, { sort, defaultSort: FILM_SORT_OPTIONS[0].value, page: currentPage });
+  const pageSuffix = currentPage > 1 ? ` - Page ${currentPage}` : '';
+  if (currentPage > 1) trail.push({ name: `Page ${currentPage}`, url: canonicalUrl });
+
+  // Sidebar links: this listing with one facet changed, sort kept, page dropped
+  const facetHref = (key, value) => {
+    const params = [...baseParams, ...facetParams({ ...facetFilters, [key]: value }, FILM_FACETS), ...sortParams];
+    return params.length ? `${baseUrl}/?${params.join('&')}` : `${baseUrl}/`;
+  };
+  const clearFacetsUrl = [...baseParams, ...sortParams].length
+    ? `${baseUrl}/?${[...baseParams, ...sortParams].join('&')}`
+    : `${baseUrl}/`;
 
   // Build breadcrumb items for Schema.org
-  const breadcrumbItems = [
-    {
-      "@type": "ListItem",
-      "position": 1,
-      "name": "Home",
-      "item": baseUrl
-    }
-  ];
-  
-  let position = 2;
-  if (categoryFilter) {
-    breadcrumbItems.push({
-      "@type": "ListItem",
-      "position": position++,
-      "name": capitalizeFirst(categoryFilter),
-      "item": `${baseUrl}/?category=${encodeURIComponent(categoryFilter)}`
-    });
-  }
-  
-  if (searchQuery) {
-    breadcrumbItems.push({
-      "@type": "ListItem",
-      "position": position,
-      "name": `Search: ${searchQuery}`,
-      "item": canonicalUrl
-    });
-  }
+  const breadcrumbItems = [{ name: 'Home', url: baseUrl }, ...trail].map((item, index) => ({
+    "@type": "ListItem",
+    "position": index + 1,
+    "name": item.name,
+    "item": item.url
+  }));
 
   return `<!DOCTYPE html>
 <html lang="rw">
@@ -224,6 +138,9 @@ function generateHomepageHTML(data) {
     
     <!-- Essential Meta Tags -->
     <link rel="canonical" href="${canonicalUrl}" />
+    ${isSearchOrFilter ? paginationLinks(pagination, listingUrl) : ''}
+    ${feedLinks(baseUrl, '', 'New films - Rwanda Cinema')}
+    ${categoryFilter && categories.some(category => category.slug === categoryFilter) ? feedLinks(baseUrl, '', `${categoryName(categoryFilter)} - Rwanda Cinema`, { category: categoryFilter }) : ''}
     <meta name="theme-color" content="#008753">
     <meta name="language" content="rw">
     
@@ -232,10 +149,10 @@ function generateHomepageHTML(data) {
     
     <!-- Primary Meta Tags -->
     <title>${isSearchOrFilter ? 
-      `${searchQuery ? `"${escapeHTML(searchQuery)}"` : ''} ${categoryFilter ? `${searchQuery ? 'in' : ''} ${capitalizeFirst(categoryFilter)}` : ''} - Rwanda Cinema` : 
+      `${escapeHTML(listingTitle)}${pageSuffix} - Rwanda Cinema` : 
       'Rwanda Cinema | Watch Rwandan Movies & Musics Online'}</title>
     <meta name="description" content="${isSearchOrFilter ? 
-      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${categoryFilter ? ` in ${capitalizeFirst(categoryFilter)} category` : ''} - Watch Rwandan movies, Kinyarwanda films, comedy series and music videos online` : 
+      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${categoryFilter ? ` in ${escapeHTML(categoryName(categoryFilter))} category` : ''} - Watch Rwandan movies, Kinyarwanda films, comedy series and music videos online` : 
       'Watch latest Rwandan movies, Kinyarwanda comedy series like Papa Sava, drama films and Rwandan Music videos. Stream African cinema online free.'}">
     <meta name="keywords" content="Rwandan movies, Kinyarwanda films, Inyarwanda Films, watch online, stream movies, comedy, drama, music, African cinema, Rwanda entertainment${categoryFilter ? `, ${categoryFilter}` : ''}${searchQuery ? `, ${escapeHTML(searchQuery)}` : ''}">
     <meta name="author" content="Rwanda Cinema">
@@ -246,10 +163,10 @@ function generateHomepageHTML(data) {
     <meta property="og:type" content="website">
     <meta property="og:url" content="${canonicalUrl}">
     <meta property="og:title" content="${isSearchOrFilter ? 
-      `${searchQuery ? `"${escapeHTML(searchQuery)}"` : ''} ${categoryFilter ? `${searchQuery ? 'in' : ''} ${capitalizeFirst(categoryFilter)}` : ''} - Rwanda Cinema` : 
+      `${escapeHTML(listingTitle)}${pageSuffix} - Rwanda Cinema` : 
       'Rwanda Cinema | Watch Rwandan Movies and Musics Online'}">
     <meta property="og:description" content="${isSearchOrFilter ? 
-      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${categoryFilter ? ` in ${capitalizeFirst(categoryFilter)} category` : ''} - Watch Rwandan movies online for free` : 
+      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${categoryFilter ? ` in ${escapeHTML(categoryName(categoryFilter))} category` : ''} - Watch Rwandan movies online for free` : 
       'Watch latest Rwandan movies, Kinyarwanda films, comedy videos and Music Videos. Stream high-quality content online for free.'}">
     <meta property="og:image" content="${baseUrl}/og-image.jpg">
     <meta property="og:locale" content="rw_RW">
@@ -259,10 +176,10 @@ function generateHomepageHTML(data) {
     <meta property="twitter:card" content="summary_large_image">
     <meta property="twitter:url" content="${canonicalUrl}">
     <meta property="twitter:title" content="${isSearchOrFilter ? 
-      `${searchQuery ? `"${escapeHTML(searchQuery)}"` : ''} ${categoryFilter ? `${searchQuery ? 'in' : ''} ${capitalizeFirst(categoryFilter)}` : ''} - Rwanda Cinema` : 
+      `${escapeHTML(listingTitle)}${pageSuffix} - Rwanda Cinema` : 
       'Rwanda Cinema | Watch Rwandan Movies and Musics Online'}">
     <meta property="twitter:description" content="${isSearchOrFilter ? 
-      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${categoryFilter ? ` in ${capitalizeFirst(categoryFilter)} category` : ''} - Watch Rwandan movies online for free` : 
+      `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${categoryFilter ? ` in ${escapeHTML(categoryName(categoryFilter))} category` : ''} - Watch Rwandan movies online for free` : 
       'Watch latest Rwandan movies, Kinyarwanda films, comedy videos and Rwandan musics for free.'}">
 
     <!-- Ezoic ads -->
@@ -317,48 +234,44 @@ function Eb(a){Fb(a);mb(a.o,a.u,3,!1,function(){a:{var b=a.j;var c=u.btoa(b);if(
 window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJodHRwczovL2Z1bmRpbmdjaG9pY2VzbWVzc2FnZXMuZ29vZ2xlLmNvbS9iL3B1Yi03OTU5NDIxOTIxNDU2MTMyIl0sbnVsbCxudWxsLCJodHRwczovL2Z1bmRpbmdjaG9pY2VzbWVzc2FnZXMuZ29vZ2xlLmNvbS9lbC9BR1NLV3hVbF8tMjg0V1ZTc0dxTW1RTzRyRk5CNDk0UUVjQy1TdzE4LXoxV3lJM0xFWnB5Rl9tc1ExbVBIcWxFRkl0X0o4RlYxZjdORjVKXzF5cVdiZ0sybjdMc0p3XHUwMDNkXHUwMDNkP3RlXHUwMDNkVE9LRU5fRVhQT1NFRCIsImh0dHBzOi8vZnVuZGluZ2Nob2ljZXNtZXNzYWdlcy5nb29nbGUuY29tL2VsL0FHU0tXeFdLWW5CZ1VleE9Od0RsZ19heFViSWxJM0JHYmREWnNkTmUzNkNNcFIzQTlCcFBJWVd6NkcyY1FZd3dPV1M2bmZvY1hjWVFXQzc0eVc2Mk9IaExVSlZnRndcdTAwM2RcdTAwM2Q/YWJcdTAwM2QxXHUwMDI2c2JmXHUwMDNkMSIsImh0dHBzOi8vZnVuZGluZ2Nob2ljZXNtZXNzYWdlcy5nb29nbGUuY29tL2VsL0FHU0tXeFZrOXVhRWl6VUhJaTVwZEpXSVd4aEc3UU1TUnNvWFJIT3JmOHFKcV8xb3dNQkoyaWNxMklycFN6TktGLXNMODFXQjZXbjFRc2tlX0RzbVBvQmRuOFdsekFcdTAwM2RcdTAwM2Q/YWJcdTAwM2QyXHUwMDI2c2JmXHUwMDNkMSIsImh0dHBzOi8vZnVuZGluZ2Nob2ljZXNtZXNzYWdlcy5nb29nbGUuY29tL2VsL0FHU0tXeFg1MnVoOTRyVFVFaDNWU1ZqLTJXMldxc0YzOFRwb29jZjZWQTRsUlB1Tm9kUFB0MjF6bllRMmJDSEpteUViT2dxWFlNMm5NRFBlOXB2VVh3M1dRclZoUGdcdTAwM2RcdTAwM2Q/c2JmXHUwMDNkMiIsImRpdi1ncHQtYWQiLDIwLDEwMCwiY0hWaUxUYzVOVGswTWpFNU1qRTBOVFl4TXpJXHUwMDNkIixbbnVsbCxudWxsLG51bGwsImh0dHBzOi8vd3d3LmdzdGF0aWM5cmVhbGx5LmNvbS8wZW1uL2YvcC9wdWItNzk1OTQyMTkyMTQ1NjEzMi5qcz91c3FxXHUwMDNkQ0E4Il0sImh0dHBzOi8vZnVuZGluZ2Nob2ljZXNtZXNzYWdlcy5nb29nbGUuY29tL2VsL0FHU0tXeFgyN3VoSWh0UGNJVGtGSjh3QUZqcTdTZ1BZQzBtdnFzSWJqQ29jU2V5cUVKQ1Y1UkhKdE5HM3htcldlSW5EaG5FZzh0czFycXJnRDF4YzJyaW1yS1x1MDAzZFx1MDAzZCJd");
 
     <!-- Schema.org Structured Data -->
-    <script type="application/ld+json">
-    {
+    <script type="application/ld+json">${jsonLd({
         "@context": "https://schema.org",
-        "@type": "${isSearchOrFilter ? 'SearchResultsPage' : 'VideoGallery'}",
-        "name": "${isSearchOrFilter ? 
-          `${searchQuery ? `Search: "${escapeHTML(searchQuery)}"` : capitalizeFirst(categoryFilter)} - Rwanda Cinema` : 
-          'Rwanda Cinema Site'}",
-        "description": "${isSearchOrFilter ? 
-          `${searchQuery ? `Search results for "${escapeHTML(searchQuery)}"` : 'Browse'}${categoryFilter ? ` in ${capitalizeFirst(categoryFilter)} category` : ''} - Watch Rwandan movies online` : 
-          'Watch latest Rwandan movies, Kinyarwanda comedy series, drama films and music videos online for free'}",
-        "url": "${canonicalUrl}",
+        "@type": isSearchOrFilter ? 'SearchResultsPage' : 'VideoGallery',
+        "name": isSearchOrFilter ?
+          `${listingTitle}${pageSuffix} - Rwanda Cinema` :
+          'Rwanda Cinema Site',
+        "description": isSearchOrFilter ?
+          `${searchQuery ? `Search results for "${searchQuery}"` : 'Browse'}${categoryFilter ? ` in ${categoryName(categoryFilter)} category` : ''} - Watch Rwandan movies online` :
+          'Watch latest Rwandan movies, Kinyarwanda comedy series, drama films and music videos online for free',
+        "url": canonicalUrl,
         "publisher": {
             "@type": "Organization",
             "name": "Rwanda Cinema",
             "logo": {
                 "@type": "ImageObject",
-                "url": "${baseUrl}/logo.png"
+                "url": `${baseUrl}/logo.png`
             }
         },
         "inLanguage": "rw",
         "countryOfOrigin": "RW",
-        "numberOfItems": ${filteredVideos.length},
+        "numberOfItems": filteredVideos.length,
         "mainEntityOfPage": {
             "@type": "WebPage",
-            "@id": "${canonicalUrl}",
+            "@id": canonicalUrl,
             "breadcrumb": {
                 "@type": "BreadcrumbList",
-                "itemListElement": ${JSON.stringify(breadcrumbItems)}
+                "itemListElement": breadcrumbItems
             }
-        }${isSearchOrFilter && searchQuery ? `,
-        "query": "${escapeHTML(searchQuery)}"` : ''}
-    }
-    </script>
+        },
+        ...(isSearchOrFilter && searchQuery ? { "query": searchQuery } : {})
+    })}</script>
 
     <!-- Breadcrumb Schema -->
-    <script type="application/ld+json">
-    {
+    <script type="application/ld+json">${jsonLd({
         "@context": "https://schema.org",
         "@type": "BreadcrumbList",
-        "itemListElement": ${JSON.stringify(breadcrumbItems)}
-    }
-    </script>
+        "itemListElement": breadcrumbItems
+    })}</script>
     
     <style>
         :root {
@@ -452,6 +365,69 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
             transform: translateY(-2px);
         }
 
+        /* Search suggestions (see _lib/suggest.js) */
+        .search-form.has-suggestions {
+            position: relative;
+        }
+
+        .suggestions {
+            position: absolute;
+            top: calc(100% + 0.25rem);
+            left: 0;
+            right: 0;
+            z-index: 200;
+            list-style: none;
+            background: var(--card-bg);
+            border: 1px solid var(--border);
+            border-radius: 8px;
+            box-shadow: 0 8px 24px rgba(0,0,0,0.5);
+            max-height: 24rem;
+            overflow-y: auto;
+        }
+
+        .suggestions a {
+            display: flex;
+            align-items: center;
+            gap: 0.75rem;
+            padding: 0.5rem 0.75rem;
+            color: white;
+            text-decoration: none;
+        }
+
+        .suggestions [aria-selected="true"] a,
+        .suggestions a:hover {
+            background: rgba(255,255,255,0.08);
+        }
+
+        .suggestions img,
+        .suggestion-placeholder {
+            width: 36px;
+            height: 52px;
+            flex-shrink: 0;
+            object-fit: cover;
+            border-radius: 4px;
+            background: var(--border);
+        }
+
+        .suggestions strong {
+            display: block;
+            font-size: 0.95rem;
+        }
+
+        .suggestions small {
+            color: var(--text-light);
+            opacity: 0.8;
+        }
+
+        .visually-hidden {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+            clip: rect(0 0 0 0);
+            white-space: nowrap;
+        }
+
         .nav {
             display: flex;
             gap: 1rem;
@@ -719,6 +695,161 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
             margin-top: 0.5rem;
         }
 
+        .sort-form {
+            display: flex;
+            align-items: center;
+            gap: 0.5rem;
+            margin-top: 1rem;
+            color: var(--text-light);
+        }
+
+        .sort-form select {
+            padding: 0.5rem 0.75rem;
+            border-radius: 6px;
+            border: 1px solid var(--border);
+            background: var(--card-bg);
+            color: var(--text-light);
+            font-size: 0.95rem;
+        }
+
+        /* Filters */
+        .listing-layout {
+            display: grid;
+            grid-template-columns: 240px 1fr;
+            gap: 2rem;
+            align-items: start;
+        }
+
+        .listing-layout > :only-child {
+            grid-column: 1 / -1;
+        }
+
+        .filter-sidebar {
+            background: var(--card-bg);
+            border: 1px solid var(--border);
+            border-radius: 12px;
+            padding: 1rem;
+        }
+
+        .filter-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 0.5rem;
+        }
+
+        .filter-header h2 {
+            font-size: 1.1rem;
+            color: var(--secondary);
+        }
+
+        .filter-clear {
+            color: var(--accent);
+            font-size: 0.85rem;
+            text-decoration: none;
+        }
+
+        .filter-group {
+            padding: 0.75rem 0;
+            border-top: 1px solid var(--border);
+        }
+
+        .filter-group h3 {
+            font-size: 0.9rem;
+            color: var(--text-light);
+            margin-bottom: 0.5rem;
+        }
+
+        .filter-group ul {
+            list-style: none;
+            max-height: 220px;
+            overflow-y: auto;
+        }
+
+        .filter-group a {
+            display: flex;
+            justify-content: space-between;
+            padding: 0.3rem 0.5rem;
+            border-radius: 6px;
+            color: var(--text-light);
+            text-decoration: none;
+            font-size: 0.9rem;
+        }
+
+        .filter-group a:hover {
+            background: rgba(255,255,255,0.05);
+        }
+
+        .filter-group a.active {
+            background: var(--primary);
+            color: white;
+        }
+
+        .filter-count {
+            opacity: 0.7;
+        }
+
+        .active-filters {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin-top: 0.75rem;
+        }
+
+        .filter-chip {
+            background: var(--primary);
+            color: white;
+            padding: 0.25rem 0.75rem;
+            border-radius: 999px;
+            font-size: 0.85rem;
+            text-decoration: none;
+        }
+
+        @media (max-width: 768px) {
+            .listing-layout {
+                grid-template-columns: 1fr;
+            }
+        }
+
+        /* Pagination */
+        .pagination {
+            display: flex;
+            justify-content: center;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin: 2rem 0;
+        }
+
+        .pagination a, .pagination span {
+            padding: 0.5rem 0.9rem;
+            border-radius: 6px;
+            background: var(--card-bg);
+            border: 1px solid var(--border);
+            color: var(--text-light);
+            text-decoration: none;
+        }
+
+        .pagination a:hover {
+            border-color: var(--secondary);
+            color: var(--secondary);
+        }
+
+        .pagination [aria-current="page"] {
+            background: var(--primary);
+            border-color: var(--primary);
+            color: white;
+            font-weight: bold;
+        }
+
+        .pagination .disabled, .pagination .gap {
+            opacity: 0.5;
+        }
+
+        .pagination .gap {
+            background: none;
+            border-color: transparent;
+        }
+
         /* No Results */
         .no-results {
             text-align: center;
@@ -884,7 +1015,7 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
                     <a href="${baseUrl}/" class="nav-link ${!categoryFilter && !searchQuery ? 'active' : ''}">All Videos</a>
                     ${allCategories.map(category => `
                         <a href="${baseUrl}/?category=${category}" class="nav-link ${categoryFilter === category ? 'active' : ''}">
-                            ${capitalizeFirst(category)}
+                            ${findCategory(categories, category).icon} ${escapeHTML(categoryName(category))}
                         </a>
                     `).join('')}
                 </nav>
@@ -897,14 +1028,12 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
         <!-- Breadcrumb -->
         <nav class="breadcrumb" aria-label="Breadcrumb">
             <a href="${baseUrl}/">Home</a>
-            ${categoryFilter ? `
-                <span>></span>
-                <a href="${baseUrl}/?category=${categoryFilter}">${capitalizeFirst(categoryFilter)}</a>
-            ` : ''}
-            ${searchQuery ? `
+            ${trail.map((item, index) => `
                 <span>></span>
-                <span>Search: "${escapeHTML(searchQuery)}"</span>
-            ` : ''}
+                ${index === trail.length - 1 ?
+                  `<span>${escapeHTML(item.name)}</span>` :
+                  `<a href="${escapeHTML(item.url)}">${escapeHTML(item.name)}</a>`}
+            `).join('')}
         </nav>
 
         ${isSearchOrFilter ? `
@@ -913,18 +1042,32 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
                 <div class="results-header">
                     <h1>
                         ${searchQuery && categoryFilter ? 
-                          `"${escapeHTML(searchQuery)}" in ${capitalizeFirst(categoryFilter)}` :
+                          `"${escapeHTML(searchQuery)}" in ${escapeHTML(categoryName(categoryFilter))}` :
                          searchQuery ? 
                           `Search: "${escapeHTML(searchQuery)}"` :
-                          `Category: ${capitalizeFirst(categoryFilter)}`}
+                         categoryFilter ?
+                          `Category: ${escapeHTML(categoryName(categoryFilter))}` :
+                          'All videos'}
                     </h1>
-                    <p class="results-count">${filteredVideos.length} video${filteredVideos.length !== 1 ? 's' : ''} found</p>
+                    ${filters.length ? `
+                    <p class="active-filters">
+                        ${filters.map(filter => `
+                            <a href="${escapeHTML(facetHref(filter.key, ''))}" class="filter-chip" title="Remove filter">${escapeHTML(filter.label)}: ${escapeHTML(filter.name)} ×</a>
+                        `).join('')}
+                    </p>
+                    ` : ''}
+                    <p class="results-count">${filteredVideos.length} video${filteredVideos.length !== 1 ? 's' : ''} found${pagination.totalPages > 1 ? ` · showing ${pagination.first}–${pagination.last}` : ''}</p>
+                    ${filteredVideos.length > 1 ? generateSortForm(sort, { search: searchQuery, category: categoryFilter, ...facetFilters }, `${baseUrl}/`) : ''}
                 </div>
 
+                <div class="listing-layout">
+                    ${renderFacetSidebar(facets, facetHref, clearFacetsUrl)}
+                    <div class="listing-results">
                 ${filteredVideos.length > 0 ? `
                     <div class="videos-grid">
-                        ${filteredVideos.map(video => generateVideoCard(video, baseUrl)).join('')}
+                        ${pagination.items.map(video => generateVideoCard(video, baseUrl)).join('')}
                     </div>
+                    ${renderPagination(pagination, listingUrl)}
                 ` : `
                     <div class="no-results">
                         <h2>No videos found</h2>
@@ -932,6 +1075,8 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
                         <a href="${baseUrl}/" class="cta-button">Browse All Videos</a>
                     </div>
                 `}
+                    </div>
+                </div>
             </div>
         ` : `
             <!-- Homepage Content -->
@@ -941,7 +1086,7 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
                 
                 <div class="cta-buttons">
                     ${allCategories.slice(0, 3).map(category => `
-                        <a href="${baseUrl}/?category=${category}" class="cta-button">Watch ${capitalizeFirst(category)}</a>
+                        <a href="${baseUrl}/?category=${category}" class="cta-button">Watch ${escapeHTML(categoryName(category))}</a>
                     `).join('')}
                 </div>
             </section>
@@ -966,8 +1111,8 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
             ${Object.entries(latestByCategory).map(([category, videos]) => videos.length > 0 ? `
                 <section class="category-section" id="${category}">
                     <div class="section-header">
-                        <h2 class="section-title">Latest ${capitalizeFirst(category)} Videos</h2>
-                        <a href="${baseUrl}/?category=${category}" class="view-all">View All ${capitalizeFirst(category)}</a>
+                        <h2 class="section-title">Latest ${escapeHTML(categoryName(category))} Videos</h2>
+                        <a href="${baseUrl}/?category=${category}" class="view-all">View All ${escapeHTML(categoryName(category))}</a>
                     </div>
                     <div class="videos-grid">
                         ${videos.map(video => generateVideoCard(video, baseUrl)).join('')}
@@ -990,7 +1135,7 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
                 <div class="footer-section">
                     <h3>Rwandan Movies</h3>
                     ${allCategories.map(category => `
-                        <a href="${baseUrl}/?category=${category}">${capitalizeFirst(category)} Videos</a>
+                        <a href="${baseUrl}/?category=${category}">${escapeHTML(categoryName(category))} Videos</a>
                     `).join('')}
                 </div>
                 
@@ -1009,18 +1154,37 @@ window.__h82AlnkH6D91__("WyJwdWItNzk1OTQyMTkyMTQ1NjEzMiIsW251bGwsbnVsbCxudWxsLCJ
             </div>
         </div>
     </footer>
+    ${renderAutocomplete('films')}
     <script type='text/javascript' src='//demolitionzerostomach.com/a0/c2/a4/a0c2a488172371a54bbbe38d4202f89d.js'></script>
 </body>
 </html>`;
 }
 
+// Sort dropdown for a listing; `filters` become hidden fields so the listing
+// is kept, and the page number is dropped
+function generateSortForm(sort, filters, action) {
+  return `
+    <form class="sort-form" action="${action}" method="GET">
+        ${Object.entries(filters).filter(([, value]) => value).map(([name, value]) => `
+            <input type="hidden" name="${name}" value="${escapeHTML(value)}">
+        `).join('')}
+        <label for="sort">Sort by</label>
+        <select id="sort" name="sort" onchange="this.form.submit()">
+            ${FILM_SORT_OPTIONS.map(option => `
+                <option value="${option.value}"${option.value === sort ? ' selected' : ''}>${option.label}</option>
+            `).join('')}
+        </select>
+        <noscript><button type="submit" class="search-button">Sort</button></noscript>
+    </form>`;
+}
+
 function generateVideoCard(video, baseUrl) {
   const posterUrl = video.posterUrl || `${baseUrl}/images/default-poster.jpg`;
   const videoUrl = `${baseUrl}/${video.category}/${video.slug}`;
   
   // FIX: Ensure all required fields are properly set
   const uploadDate = video.date || new Date().toISOString();
-  const isoDuration = convertDurationToISO(video.duration);
+  const isoDuration = video.isoDuration || 'PT0M';
   const contentUrl = video.videoUrl || getContentUrl(video);
   const embedUrl = getEmbedUrl(video.videoUrl) || contentUrl;
 
@@ -1069,60 +1233,6 @@ function generateVideoCard(video, baseUrl) {
   `;
 }
 
-// Helper function to ensure contentUrl exists
-function getContentUrl(video) {
-  if (video.videoUrl) return video.videoUrl;
-  // Fallback to YouTube if videoUrl is missing but we have a YouTube ID
-  if (video.youtubeId) return `https://www.youtube.com/watch?v=${video.youtubeId}`;
-  return `https://www.youtube.com`; // Fallback to avoid empty contentUrl
-}
-
-// Helper function to convert duration to ISO 8601 format
-function convertDurationToISO(duration) {
-  if (!duration) return '';
-  
-  // Handle "3:11 minutes" format
-  const timeMatch = duration.match(/(\d+):(\d+)\s*minutes?/);
-  if (timeMatch) {
-    const minutes = parseInt(timeMatch[1]);
-    const seconds = parseInt(timeMatch[2]);
-    return `PT${minutes}M${seconds}S`;
-  }
-  
-  // Handle "20 minutes" format
-  const minutesMatch = duration.match(/(\d+)\s*minutes?/);
-  if (minutesMatch) {
-    const minutes = parseInt(minutesMatch[1]);
-    return `PT${minutes}M`;
-  }
-  
-  // Handle "25M" format
-  const simpleMinutesMatch = duration.match(/(\d+)\s*M/);
-  if (simpleMinutesMatch) {
-    const minutes = parseInt(simpleMinutesMatch[1]);
-    return `PT${minutes}M`;
-  }
-  
-  return 'PT0M'; // Default fallback
-}
-
-// Helper function to get embed URL from video URL
-function getEmbedUrl(videoUrl) {
-  if (!videoUrl) return '';
-  
-  if (videoUrl.includes('youtube.com') || videoUrl.includes('youtu.be')) {
-    const videoId = videoUrl.match(/(?:youtube\.com\/(?:[^\/]+\/.+\/|(?:v|e(?:mbed)?)\/|.*[?&]v=)|youtu\.be\/)([^"&?\/\s]{11})/);
-    if (videoId) {
-      return `https://www.youtube.com/embed/${videoId[1]}`;
-    }
-  }
-  if (videoUrl.includes('odysee.com')) {
-    // Odysee embed URLs are similar to regular URLs
-    return videoUrl;
-  }
-  return videoUrl;
-}
-
 // Helper function to truncate titles
 function truncateTitle(title, maxLength = 75) {
   if (!title) return '';
@@ -1137,20 +1247,6 @@ function truncateDescription(description, maxLength = 150) {
   return escapeHTML(description.substring(0, maxLength)) + '...';
 }
 
-function escapeHTML(str) {
-  if (!str) return '';
-  return str.replace(/[&<>"']/g, 
-    tag => ({
-      '&': '&amp;', '<': '&lt;', '>': '&gt;',
-      '"': '&quot;', "'": '&#39;'
-    }[tag]));
-}
-
-function capitalizeFirst(str) {
-  if (!str) return '';
-  return str.charAt(0).toUpperCase() + str.slice(1);
-}
-
 function generateErrorHTML() {
   return `<!DOCTYPE html>
 <html lang="rw">
@@ -0,0 +1,18 @@
+// functions/indexnow-key.txt.js
+// IndexNow key file: search engines fetch it to check that submissions from
+// _lib/indexnow.js really come from this site.
+import { indexNowKey } from './_lib/indexnow.js';
+
+export async function onRequest(context) {
+    const key = indexNowKey(context.env);
+    if (!key) {
+        return new Response('Not found', { status: 404, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+    }
+
+    return new Response(key, {
+        headers: {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Cache-Control': 'public, max-age=86400'
+        }
+    });
+}
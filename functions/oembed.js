@@ -0,0 +1,89 @@
+// functions/oembed.js
+// oEmbed provider (https://oembed.com): GET /oembed?url=<film, watch or embed
+// page URL>[&format=json|xml][&maxwidth=][&maxheight=] -> a "video" response
+// whose html is the /embed/ player iframe. Pages advertise it with
+// oembedLinks() discovery tags.
+import { findTargetByUrl, embedIframe, SITE_NAME, EMBED_WIDTH, EMBED_HEIGHT } from './_lib/embed.js';
+import { withCatalogStatus, catalogErrorHeaders } from './_lib/catalog-cache.js';
+import { CORS_HEADERS, checkMethod } from './_lib/api.js';
+import { escapeHTML } from './_lib/format.js';
+
+export async function onRequest(context) {
+  const rejected = checkMethod(context.request);
+  if (rejected) return rejected;
+
+  const url = new URL(context.request.url);
+  const baseUrl = url.origin;
+  const format = (url.searchParams.get('format') || 'json').toLowerCase();
+
+  // The spec's answer to an unsupported format
+  if (format !== 'json' && format !== 'xml') {
+    return textResponse('Format not implemented', 501);
+  }
+
+  let target;
+  try {
+    target = new URL(url.searchParams.get('url') || '');
+  } catch {
+    return textResponse('Missing or invalid url parameter', 400);
+  }
+
+  try {
+    const found = target.host === url.host ? await findTargetByUrl(context, target, baseUrl) : null;
+    if (!found) return textResponse('No embeddable video at this URL', 404);
+
+    const { width, height } = playerSize(url.searchParams.get('maxwidth'), url.searchParams.get('maxheight'));
+    const data = {
+      version: '1.0',
+      type: 'video',
+      provider_name: SITE_NAME,
+      provider_url: `${baseUrl}/`,
+      title: found.title,
+      ...(found.author ? { author_name: found.author } : {}),
+      ...(found.posterUrl ? { thumbnail_url: found.posterUrl } : {}),
+      html: embedIframe(found, width, height),
+      width,
+      height,
+      cache_age: 3600
+    };
+
+    return withCatalogStatus(context, new Response(format === 'xml' ? toXml(data) : JSON.stringify(data), {
+      headers: {
+        'Content-Type': format === 'xml' ? 'text/xml; charset=utf-8' : 'application/json; charset=utf-8',
+        'Cache-Control': 'public, max-age=3600',
+        ...CORS_HEADERS
+      }
+    }));
+  } catch (error) {
+    console.error('Error answering oEmbed request:', error);
+    return new Response('Error loading video', {
+      status: error.retryAfter ? 503 : 500,
+      headers: { 'Content-Type': 'text/plain; charset=utf-8', ...catalogErrorHeaders(error) }
+    });
+  }
+}
+
+// 16:9 player no larger than EMBED_WIDTH x EMBED_HEIGHT or the consumer's maximums
+function playerSize(maxWidth, maxHeight) {
+  let width = Math.min(EMBED_WIDTH, parseInt(maxWidth) > 0 ? parseInt(maxWidth) : EMBED_WIDTH);
+  let height = Math.round(width * EMBED_HEIGHT / EMBED_WIDTH);
+  if (parseInt(maxHeight) > 0 && height > parseInt(maxHeight)) {
+    height = parseInt(maxHeight);
+    width = Math.round(height * EMBED_WIDTH / EMBED_HEIGHT);
+  }
+  return { width, height };
+}
+
+function toXml(data) {
+  return `<?xml version="1.0" encoding="utf-8" standalone="yes"?>
+<oembed>${Object.entries(data).map(([key, value]) => `
+    <${key}>${escapeHTML(value)}</${key}>`).join('')}
+</oembed>`;
+}
+
+function textResponse(message, status) {
+  return new Response(message, {
+    status,
+    headers: { 'Content-Type': 'text/plain; charset=utf-8', ...CORS_HEADERS }
+  });
+}
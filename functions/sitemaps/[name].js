@@ -0,0 +1,37 @@
+// functions/sitemaps/[name].js
+// Child sitemaps listed by /sitemap.xml: /sitemaps/<type>-<n>.xml, e.g.
+// /sitemaps/films-2.xml (see _lib/sitemap.js).
+import { withCatalogStatus, catalogErrorHeaders } from '../_lib/catalog-cache.js';
+import { loadSitemapSources, renderSitemapChunk } from '../_lib/sitemap.js';
+
+export async function onRequest(context) {
+    const baseUrl = new URL(context.request.url).origin;
+    const match = String(context.params.name || '').match(/^([a-z]+)-(\d+)\.xml$/);
+    if (!match) {
+        return new Response('Sitemap not found', { status: 404 });
+    }
+
+    try {
+        const sources = await loadSitemapSources(context);
+        const sitemap = renderSitemapChunk(match[1], Number(match[2]), sources, baseUrl);
+        if (!sitemap) {
+            return withCatalogStatus(context, new Response('Sitemap not found', {
+                status: 404,
+                headers: { 'Cache-Control': 'public, max-age=60' }
+            }));
+        }
+
+        return withCatalogStatus(context, new Response(sitemap, {
+            headers: {
+                'Content-Type': 'application/xml; charset=utf-8',
+                'Cache-Control': 'public, max-age=10800' // 3 hours
+            }
+        }));
+    } catch (error) {
+        console.error('Sitemap generation error:', error);
+        return new Response('Error generating sitemap', {
+            status: error.retryAfter ? 503 : 500,
+            headers: catalogErrorHeaders(error)
+        });
+    }
+}
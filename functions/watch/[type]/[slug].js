@@ -0,0 +1,1130 @@
+// functions/watch/[type]/[slug].js
+// Watch page for an agasobanuye entry: /watch/movie/<slug> or
+// /watch/tv-series/<episode-slug>, the URLs the agasobanuye cards link to.
+// /watch/tv-series/<series-slug> is the series page with season tabs.
+import { loadTranslatedCatalog } from '../../_lib/translated.js';
+import { loadTranslatorRegistry, listTranslators, findTranslator, isByTranslator } from '../../_lib/translators.js';
+import { withCatalogStatus, catalogErrorHeaders } from '../../_lib/catalog-cache.js';
+import { groupSeries, collapseSeries } from '../../_lib/catalog.js';
+import { escapeHTML, truncate, formatShortDate, getContentUrl, getEmbedUrl, jsonLd } from '../../_lib/format.js';
+import { feedLinks } from '../../_lib/feeds.js';
+import { oembedLinks } from '../../_lib/embed.js';
+
+const CONTENT_TYPES = { 'movie': 'MOVIE', 'tv-series': 'TV-SERIES' };
+
+export async function onRequest(context) {
+  const { request, params, next } = context;
+  const url = new URL(request.url);
+  const baseUrl = url.origin;
+  const typeSlug = String(params.type || '').toLowerCase();
+  const contentType = CONTENT_TYPES[typeSlug];
+  const slug = String(params.slug || '');
+
+  if (!contentType) {
+    return next();
+  }
+
+  try {
+    const [allVideos, registry] = await Promise.all([
+      loadTranslatedCatalog(context),
+      loadTranslatorRegistry(context)
+    ]);
+    const allSeries = groupSeries(allVideos);
+    const translators = listTranslators(registry, allVideos);
+
+    // The catalog is newest first, so a re-upload under the same slug wins
+    const video = allVideos.find(v => v.contentType === contentType && v.slug === slug);
+    const series = contentType === 'TV-SERIES' ? allSeries.get(video ? video.seriesSlug : slug) : null;
+
+    if (!video && !series) {
+      return withCatalogStatus(context, new Response(generateNotFoundHTML(baseUrl, contentType), {
+        status: 404,
+        headers: {
+          'Content-Type': 'text/html; charset=UTF-8',
+          'Cache-Control': 'public, max-age=60'
+        }
+      }));
+    }
+
+    // Series show up once, as their series card; uploads under any of the
+    // translator's registry aliases count
+    const current = video || series.latestEpisode;
+    const translator = findTranslator(translators, current.translatorSlug);
+    const moreFromTranslator = collapseSeries(allVideos, allSeries)
+      .filter(v => isByTranslator(v, translator))
+      .filter(v => series ? v.seriesSlug !== series.slug : v.slug !== video.slug)
+      .slice(0, 8);
+
+    const html = video
+      ? generateWatchPageHTML({ video, typeSlug, series, knownTranslators: translators, moreFromTranslator, baseUrl })
+      : generateSeriesPageHTML({ series, season: url.searchParams.get('season'), knownTranslators: translators, moreFromTranslator, baseUrl });
+
+    return withCatalogStatus(context, new Response(html, {
+      headers: {
+        'Content-Type': 'text/html; charset=UTF-8',
+        'Cache-Control': 'public, max-age=300, s-maxage=14400', // edge copy is purged by the GitHub webhook
+        'X-Content-Type-Options': 'nosniff',
+      },
+    }));
+  } catch (error) {
+    console.error('Error generating watch page:', error);
+    return new Response(generateErrorHTML(baseUrl), {
+      headers: {
+        'Content-Type': 'text/html; charset=UTF-8',
+        ...catalogErrorHeaders(error)
+      },
+      status: error.retryAfter ? 503 : 500
+    });
+  }
+}
+
+// Profile URL of the translator an upload is credited to, under the registry
+// slug rather than an alias that would only redirect there
+function translatorPageUrl(translators, video, baseUrl) {
+  const translator = findTranslator(translators, video.translatorSlug);
+  return `${baseUrl}/agasobanuye/translator/${translator ? translator.slug : video.translatorSlug}`;
+}
+
+function generateWatchPageHTML({ video, typeSlug, series, knownTranslators, moreFromTranslator, baseUrl }) {
+  const isMovie = video.contentType === 'MOVIE';
+  const typeLabel = isMovie ? 'Movies' : 'TV Shows';
+  const pageUrl = `${baseUrl}/watch/${typeSlug}/${video.slug}`;
+  const translatorUrl = translatorPageUrl(knownTranslators, video, baseUrl);
+  const posterUrl = video.poster || `${baseUrl}/images/default-poster.jpg`;
+  const description = video.metaDescription || video.description || `Watch ${video.title} translated to Kinyarwanda by ${video.translator}`;
+  const contentUrl = getContentUrl(video);
+  const embedUrl = getEmbedUrl(video.videoUrl) || contentUrl;
+  const trailerEmbedUrl = getEmbedUrl(video.trailerUrl);
+  const seriesUrl = series ? `${baseUrl}/watch/tv-series/${series.slug}` : '';
+  const episodeLabel = series ? formatEpisodeLabel(video) : '';
+  const title = series ? series.title : video.title;
+  const pageTitle = `${video.metaTitle || title}${episodeLabel ? ` ${episodeLabel}` : ''} (Agasobanuye by ${video.translator}) | Rwanda Cinema`;
+  const shortDate = video.uploadDate ? formatShortDate(new Date(video.uploadDate)) : '';
+
+  // Previous and next episode across season boundaries
+  const position = series ? series.episodes.indexOf(video) : -1;
+  const previousEpisode = position > 0 ? series.episodes[position - 1] : null;
+  const nextEpisode = position >= 0 ? series.episodes[position + 1] || null : null;
+
+  const breadcrumbs = [
+    { name: 'Home', url: `${baseUrl}/` },
+    { name: 'Agasobanuye', url: `${baseUrl}/agasobanuye/` },
+    { name: typeLabel, url: `${baseUrl}/agasobanuye/?type=${video.contentType}` },
+    ...(series ? [{ name: series.title, url: seriesUrl }] : []),
+    { name: series ? `S${video.seasonNumber} E${video.episodeNumber}` : video.title, url: pageUrl }
+  ];
+
+  const ratings = [
+    video.ageRestriction !== null ? `${video.ageRestriction}+` : '',
+    video.mpaaRating && video.mpaaRating !== 'Not Rated' ? video.mpaaRating : ''
+  ].filter(Boolean);
+
+  const productionDetails = [
+    ['Original title', video.originalTitle],
+    ['Country', video.countryOfOrigin],
+    ['Production', video.productionCompanies.join(', ')],
+    ['Distributors', video.distributors.join(', ')],
+    ['Filming locations', video.filmingLocations.join(', ')],
+    ['Budget', video.budget],
+    ['Box office', video.boxOffice],
+    ['Aspect ratio', video.aspectRatio],
+    ['Color', video.color],
+    ['Sound', video.soundMix],
+    ['Franchise', video.franchise]
+  ].filter(([, value]) => value);
+
+  const videoObject = {
+    "@type": "VideoObject",
+    "@id": `${pageUrl}#video`,
+    "name": `${video.title} (Agasobanuye)`,
+    "description": description,
+    "thumbnailUrl": [posterUrl],
+    "uploadDate": video.publishedAt || undefined,
+    "contentUrl": contentUrl || undefined,
+    "embedUrl": embedUrl || undefined,
+    "duration": video.isoDuration || undefined,
+    "inLanguage": "rw",
+    "url": pageUrl
+  };
+
+  const work = {
+    "@type": isMovie ? "Movie" : series ? "TVEpisode" : "TVSeries",
+    "@id": `${pageUrl}#work`,
+    "name": series ? video.episodeTitle || `${series.title} ${episodeLabel}` : video.title,
+    "episodeNumber": series ? video.episodeNumber : undefined,
+    "partOfSeason": series ? { "@type": "TVSeason", "seasonNumber": video.seasonNumber } : undefined,
+    "partOfSeries": series ? { "@type": "TVSeries", "name": series.title, "url": seriesUrl } : undefined,
+    "alternateName": video.originalTitle || undefined,
+    "description": description,
+    "image": posterUrl,
+    "url": pageUrl,
+    "genre": video.genre.length ? video.genre : undefined,
+    "dateCreated": video.releaseYear ? String(video.releaseYear) : undefined,
+    "duration": isMovie ? video.isoDuration || undefined : undefined,
+    "inLanguage": "rw",
+    "countryOfOrigin": video.countryOfOrigin ? { "@type": "Country", "name": video.countryOfOrigin } : undefined,
+    "contentRating": ratings.length ? ratings.join(', ') : undefined,
+    "translator": { "@type": "Person", "name": video.translator, "url": translatorUrl },
+    "director": people(video.crew, 'Director'),
+    "actor": video.cast.length ? video.cast.map(credit => ({ "@type": "Person", "name": credit.name })) : undefined,
+    "award": video.awards.length ? video.awards : undefined,
+    "productionCompany": video.productionCompanies.length
+      ? video.productionCompanies.map(name => ({ "@type": "Organization", "name": name }))
+      : undefined,
+    "trailer": video.trailerUrl ? {
+      "@type": "VideoObject",
+      "name": `${video.title} trailer`,
+      "thumbnailUrl": [posterUrl],
+      "uploadDate": video.publishedAt || undefined,
+      "embedUrl": trailerEmbedUrl || video.trailerUrl
+    } : undefined,
+    "video": { "@id": `${pageUrl}#video` }
+  };
+
+  const breadcrumbList = {
+    "@type": "BreadcrumbList",
+    "itemListElement": breadcrumbs.map((item, index) => ({
+      "@type": "ListItem",
+      "position": index + 1,
+      "name": item.name,
+      "item": item.url
+    }))
+  };
+
+  const structuredData = {
+    "@context": "https://schema.org",
+    "@graph": [work, videoObject, breadcrumbList]
+  };
+
+  return `<!DOCTYPE html>
+<html lang="rw">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(pageTitle)}</title>
+    <meta name="description" content="${escapeHTML(truncate(description, 160))}">
+    <meta name="keywords" content="${escapeHTML([video.title, 'agasobanuye', video.translator, ...video.genre, ...video.metaKeywords].join(', '))}">
+    <meta name="robots" content="index, follow, max-image-preview:large, max-video-preview:-1">
+    <meta name="theme-color" content="#008753">
+    <link rel="canonical" href="${escapeHTML(pageUrl)}">
+    ${feedLinks(baseUrl, '/agasobanuye', 'Agasobanuye - Rwanda Cinema')}
+    ${oembedLinks(baseUrl, pageUrl, video.title)}
+    <link rel="icon" type="image/x-icon" href="/favicon.ico">
+    <script async src="https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=ca-pub-7959421921456132"
+     crossorigin="anonymous"></script>
+
+    <!-- Open Graph -->
+    <meta property="og:type" content="${isMovie ? 'video.movie' : 'video.episode'}">
+    <meta property="og:url" content="${escapeHTML(pageUrl)}">
+    <meta property="og:title" content="${escapeHTML(`${video.title} - Agasobanuye by ${video.translator}`)}">
+    <meta property="og:description" content="${escapeHTML(truncate(description, 200))}">
+    <meta property="og:image" content="${escapeHTML(video.backdropUrl || posterUrl)}">
+    ${/^https:/.test(embedUrl) ? `<meta property="og:video" content="${escapeHTML(embedUrl)}">
+    <meta property="og:video:type" content="text/html">` : ''}
+    ${video.durationSeconds ? `<meta property="video:duration" content="${video.durationSeconds}">` : ''}
+    <meta property="og:locale" content="rw_RW">
+    <meta property="og:site_name" content="Rwanda Cinema">
+
+    <!-- Twitter -->
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeHTML(video.title)}">
+    <meta name="twitter:description" content="${escapeHTML(truncate(description, 200))}">
+    <meta name="twitter:image" content="${escapeHTML(posterUrl)}">
+
+    <!-- Structured Data -->
+    <script type="application/ld+json">${jsonLd(structuredData)}</script>
+
+    ${PAGE_STYLES}
+</head>
+<body>
+    ${generateHeader(baseUrl)}
+
+    <main class="container" role="main">
+        <!-- Breadcrumb -->
+        <nav class="breadcrumb" aria-label="Breadcrumb">
+            ${breadcrumbs.map((item, index) => `
+                ${index > 0 ? '<span class="separator">/</span>' : ''}
+                ${index === breadcrumbs.length - 1 ?
+                  `<span aria-current="page">${escapeHTML(item.name)}</span>` :
+                  `<a href="${escapeHTML(item.url)}">${escapeHTML(item.name)}</a>`}
+            `).join('')}
+        </nav>
+
+        <!-- Player -->
+        <div class="player">
+            ${generatePlayer(video, embedUrl, posterUrl)}
+        </div>
+
+        ${series ? `
+        <nav class="episode-nav" aria-label="Episodes">
+            ${previousEpisode ? `<a href="${baseUrl}/watch/tv-series/${previousEpisode.slug}" rel="prev">← ${escapeHTML(formatEpisodeLabel(previousEpisode))}</a>` : '<span></span>'}
+            <a href="${escapeHTML(seriesUrl)}?season=${video.seasonNumber}">All episodes</a>
+            ${nextEpisode ? `<a href="${baseUrl}/watch/tv-series/${nextEpisode.slug}" rel="next" class="next">Next: ${escapeHTML(formatEpisodeLabel(nextEpisode))} →</a>` : '<span></span>'}
+        </nav>
+        ` : ''}
+
+        <article class="watch">
+            <div class="watch-poster">
+                <img src="${escapeHTML(posterUrl)}" alt="${escapeHTML(video.title)} poster" onerror="this.src='${baseUrl}/images/default-poster.jpg'">
+            </div>
+
+            <div class="watch-details">
+                <h1>${series ? `<a href="${escapeHTML(seriesUrl)}">${escapeHTML(title)}</a>` : escapeHTML(title)}</h1>
+                ${episodeLabel ? `<p class="episode">${escapeHTML(episodeLabel)}</p>` : ''}
+                ${video.tagline ? `<p class="tagline">${escapeHTML(video.tagline)}</p>` : ''}
+
+                <a href="${escapeHTML(translatorUrl)}" class="translator-credit">👤 Yasobanuwe na ${escapeHTML(video.translator)}</a>
+
+                <div class="watch-meta">
+                    <span>${isMovie ? '🎬 Movie' : '📺 TV Series'}</span>
+                    ${video.releaseYear ? `<span>${video.releaseYear}</span>` : ''}
+                    ${video.formattedDuration ? `<span>${escapeHTML(video.formattedDuration)}</span>` : ''}
+                    ${ratings.map(rating => `<span class="rating">${escapeHTML(rating)}</span>`).join('')}
+                    ${video.genre.map(genre => `<span>${escapeHTML(genre)}</span>`).join('')}
+                    <span class="quality">${escapeHTML(video.quality)}</span>
+                    ${shortDate ? `<span>Added ${escapeHTML(shortDate)}</span>` : ''}
+                </div>
+
+                ${video.description ? `<p class="description">${escapeHTML(video.description)}</p>` : ''}
+
+                ${video.contentWarnings.length || video.parentalGuidance ? `
+                <div class="warnings">
+                    ${video.contentWarnings.length ? `<strong>Content warnings:</strong> ${escapeHTML(video.contentWarnings.join(', '))}` : ''}
+                    ${video.parentalGuidance ? `<p>${escapeHTML(video.parentalGuidance)}</p>` : ''}
+                </div>
+                ` : ''}
+
+                <section class="section">
+                    <h2>Language &amp; subtitles</h2>
+                    <dl class="details">
+                        ${video.originalLanguage ? `<dt>Original language</dt><dd>${escapeHTML(video.originalLanguage)}</dd>` : ''}
+                        <dt>Narration</dt><dd>Kinyarwanda (agasobanuye) by ${escapeHTML(video.translator)}</dd>
+                        ${video.audioQuality ? `<dt>Audio</dt><dd>${escapeHTML(video.audioQuality)}</dd>` : ''}
+                        <dt>Subtitles</dt><dd>${video.subtitleLanguages.length
+                          ? escapeHTML(video.subtitleLanguages.join(', '))
+                          : video.subtitlesAvailable === true ? 'Available' : 'None'}</dd>
+                    </dl>
+                </section>
+
+                ${video.plot ? `
+                <section class="section">
+                    <h2>Plot</h2>
+                    <p>${escapeHTML(video.plot)}</p>
+                </section>
+                ` : ''}
+
+                ${trailerEmbedUrl ? `
+                <section class="section">
+                    <h2>Trailer</h2>
+                    <div class="trailer">
+                        <iframe src="${escapeHTML(trailerEmbedUrl)}" title="${escapeHTML(video.title)} trailer" loading="lazy"
+                            allow="accelerometer; encrypted-media; gyroscope; picture-in-picture; fullscreen" allowfullscreen></iframe>
+                    </div>
+                </section>
+                ` : ''}
+
+                ${generateCredits('Cast', video.cast, credit => credit.role ? `as ${credit.role}` : '')}
+                ${generateCredits('Voice cast', video.voiceCast, credit => credit.role ? `as ${credit.role}` : '')}
+                ${generateCredits('Crew', video.crew, credit => credit.role)}
+
+                ${productionDetails.length ? `
+                <section class="section">
+                    <h2>Production</h2>
+                    <dl class="details">
+                        ${productionDetails.map(([label, value]) => `<dt>${label}</dt><dd>${escapeHTML(value)}</dd>`).join('')}
+                    </dl>
+                </section>
+                ` : ''}
+
+                ${video.awards.length || video.nominations.length ? `
+                <section class="section">
+                    <h2>Awards</h2>
+                    <ul class="awards">
+                        ${video.awards.map(award => `<li>🏆 ${escapeHTML(award)}</li>`).join('')}
+                        ${video.nominations.map(nomination => `<li>Nominated: ${escapeHTML(nomination)}</li>`).join('')}
+                    </ul>
+                </section>
+                ` : ''}
+
+                ${video.bodyHtml ? `
+                <section class="section body">
+                    ${video.bodyHtml}
+                </section>
+                ` : ''}
+            </div>
+        </article>
+
+        ${moreFromTranslator.length ? `
+        <section class="section">
+            <h2>More from ${escapeHTML(video.translator)}</h2>
+            <div class="videos-grid">
+                ${moreFromTranslator.map(item => generateVideoCard(item, baseUrl)).join('')}
+            </div>
+        </section>
+        ` : ''}
+    </main>
+
+    ${generateFooter()}
+</body>
+</html>`;
+}
+
+// Series overview: season tabs (?season=N, defaulting to the latest
+// episode's season) and the episode list of the selected season
+function generateSeriesPageHTML({ series, season, knownTranslators, moreFromTranslator, baseUrl }) {
+  const latest = series.latestEpisode;
+  const pageUrl = `${baseUrl}/watch/tv-series/${series.slug}`;
+  const selected = series.seasons.find(item => String(item.number) === season) ||
+    series.seasons.find(item => item.number === latest.seasonNumber);
+  const posterUrl = latest.poster || `${baseUrl}/images/default-poster.jpg`;
+  const description = latest.description || `Watch ${series.title} translated to Kinyarwanda`;
+  const translators = series.translators.join(', ');
+  const firstEpisode = series.episodes[0];
+
+  const breadcrumbs = [
+    { name: 'Home', url: `${baseUrl}/` },
+    { name: 'Agasobanuye', url: `${baseUrl}/agasobanuye/` },
+    { name: 'TV Shows', url: `${baseUrl}/agasobanuye/?type=TV-SERIES` },
+    { name: series.title, url: pageUrl }
+  ];
+
+  const structuredData = {
+    "@context": "https://schema.org",
+    "@graph": [
+      {
+        "@type": "TVSeries",
+        "@id": `${pageUrl}#series`,
+        "name": series.title,
+        "description": description,
+        "image": posterUrl,
+        "url": pageUrl,
+        "genre": latest.genre.length ? latest.genre : undefined,
+        "inLanguage": "rw",
+        "numberOfSeasons": series.seasons.length,
+        "numberOfEpisodes": series.episodes.length,
+        "translator": series.translators.map(name => ({ "@type": "Person", "name": name })),
+        "containsSeason": series.seasons.map(item => ({
+          "@type": "TVSeason",
+          "seasonNumber": item.number,
+          "numberOfEpisodes": item.episodes.length,
+          "episode": item.episodes.map(episode => ({
+            "@type": "TVEpisode",
+            "episodeNumber": episode.episodeNumber,
+            "name": episode.episodeTitle || `${series.title} ${formatEpisodeLabel(episode)}`,
+            "url": `${baseUrl}/watch/tv-series/${episode.slug}`
+          }))
+        }))
+      },
+      {
+        "@type": "BreadcrumbList",
+        "itemListElement": breadcrumbs.map((item, index) => ({
+          "@type": "ListItem",
+          "position": index + 1,
+          "name": item.name,
+          "item": item.url
+        }))
+      }
+    ]
+  };
+
+  return `<!DOCTYPE html>
+<html lang="rw">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(`${series.title} - All Episodes (Agasobanuye by ${translators}) | Rwanda Cinema`)}</title>
+    <meta name="description" content="${escapeHTML(truncate(description, 160))}">
+    <meta name="robots" content="index, follow, max-image-preview:large">
+    <meta name="theme-color" content="#008753">
+    <link rel="canonical" href="${escapeHTML(pageUrl)}">
+    ${feedLinks(baseUrl, '/agasobanuye', 'Agasobanuye - Rwanda Cinema')}
+    ${oembedLinks(baseUrl, pageUrl, series.title)}
+    <link rel="icon" type="image/x-icon" href="/favicon.ico">
+    <script async src="https://pagead2.googlesyndication.com/pagead/js/adsbygoogle.js?client=ca-pub-7959421921456132"
+     crossorigin="anonymous"></script>
+
+    <!-- Open Graph -->
+    <meta property="og:type" content="video.tv_show">
+    <meta property="og:url" content="${escapeHTML(pageUrl)}">
+    <meta property="og:title" content="${escapeHTML(`${series.title} - Agasobanuye by ${translators}`)}">
+    <meta property="og:description" content="${escapeHTML(truncate(description, 200))}">
+    <meta property="og:image" content="${escapeHTML(latest.backdropUrl || posterUrl)}">
+    <meta property="og:locale" content="rw_RW">
+    <meta property="og:site_name" content="Rwanda Cinema">
+
+    <!-- Twitter -->
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeHTML(series.title)}">
+    <meta name="twitter:description" content="${escapeHTML(truncate(description, 200))}">
+    <meta name="twitter:image" content="${escapeHTML(posterUrl)}">
+
+    <!-- Structured Data -->
+    <script type="application/ld+json">${jsonLd(structuredData)}</script>
+
+    ${PAGE_STYLES}
+</head>
+<body>
+    ${generateHeader(baseUrl)}
+
+    <main class="container" role="main">
+        <!-- Breadcrumb -->
+        <nav class="breadcrumb" aria-label="Breadcrumb">
+            ${breadcrumbs.map((item, index) => `
+                ${index > 0 ? '<span class="separator">/</span>' : ''}
+                ${index === breadcrumbs.length - 1 ?
+                  `<span aria-current="page">${escapeHTML(item.name)}</span>` :
+                  `<a href="${escapeHTML(item.url)}">${escapeHTML(item.name)}</a>`}
+            `).join('')}
+        </nav>
+
+        <article class="watch">
+            <div class="watch-poster">
+                <img src="${escapeHTML(posterUrl)}" alt="${escapeHTML(series.title)} poster" onerror="this.src='${baseUrl}/images/default-poster.jpg'">
+            </div>
+
+            <div class="watch-details">
+                <h1>${escapeHTML(series.title)}</h1>
+                ${latest.tagline ? `<p class="tagline">${escapeHTML(latest.tagline)}</p>` : ''}
+
+                ${series.translators.map(name => {
+                  const episode = series.episodes.find(item => item.translator === name);
+                  return `<a href="${escapeHTML(translatorPageUrl(knownTranslators, episode, baseUrl))}" class="translator-credit">👤 Yasobanuwe na ${escapeHTML(name)}</a>`;
+                }).join(' ')}
+
+                <div class="watch-meta">
+                    <span>📺 TV Series</span>
+                    <span>${series.seasons.length} ${series.seasons.length === 1 ? 'season' : 'seasons'}</span>
+                    <span>${series.episodes.length} ${series.episodes.length === 1 ? 'episode' : 'episodes'}</span>
+                    ${latest.releaseYear ? `<span>${latest.releaseYear}</span>` : ''}
+                    ${latest.genre.map(genre => `<span>${escapeHTML(genre)}</span>`).join('')}
+                </div>
+
+                ${latest.description ? `<p class="description">${escapeHTML(latest.description)}</p>` : ''}
+
+                <div class="episode-nav">
+                    <a href="${baseUrl}/watch/tv-series/${firstEpisode.slug}" class="next">▶ Watch ${escapeHTML(formatEpisodeLabel(firstEpisode))}</a>
+                    ${latest !== firstEpisode ? `<a href="${baseUrl}/watch/tv-series/${latest.slug}">Latest: ${escapeHTML(formatEpisodeLabel(latest))}</a>` : ''}
+                </div>
+            </div>
+        </article>
+
+        <section class="section" id="episodes">
+            <h2>Episodes</h2>
+            ${series.seasons.length > 1 ? `
+            <nav class="season-tabs" aria-label="Seasons">
+                ${series.seasons.map(item => `
+                    <a href="${pageUrl}?season=${item.number}#episodes" class="${item === selected ? 'active' : ''}"${item === selected ? ' aria-current="page"' : ''}>Season ${item.number}</a>
+                `).join('')}
+            </nav>
+            ` : ''}
+            <ol class="episode-list">
+                ${selected.episodes.map(episode => `
+                <li>
+                    <a href="${baseUrl}/watch/tv-series/${episode.slug}">
+                        <span class="number">E${episode.episodeNumber}</span>
+                        <span class="title">${escapeHTML(episode.episodeTitle || `Episode ${episode.episodeNumber}`)}</span>
+                        <span class="info">${[
+                          episode.formattedDuration,
+                          series.translators.length > 1 ? episode.translator : '',
+                          episode.uploadDate ? formatShortDate(new Date(episode.uploadDate)) : ''
+                        ].filter(Boolean).map(escapeHTML).join(' · ')}</span>
+                    </a>
+                </li>
+                `).join('')}
+            </ol>
+        </section>
+
+        ${moreFromTranslator.length ? `
+        <section class="section">
+            <h2>More from ${escapeHTML(latest.translator)}</h2>
+            <div class="videos-grid">
+                ${moreFromTranslator.map(item => generateVideoCard(item, baseUrl)).join('')}
+            </div>
+        </section>
+        ` : ''}
+    </main>
+
+    ${generateFooter()}
+</body>
+</html>`;
+}
+
+// YouTube/Odysee and other hosted players are iframes; direct video files play natively
+function generatePlayer(video, embedUrl, posterUrl) {
+  if (!embedUrl) {
+    return `<div class="player-fallback">This video is not available right now.</div>`;
+  }
+  if (/\.(mp4|webm|m3u8)(\?|$)/i.test(embedUrl)) {
+    return `<video controls preload="metadata" poster="${escapeHTML(posterUrl)}" src="${escapeHTML(embedUrl)}"></video>`;
+  }
+  return `<iframe src="${escapeHTML(embedUrl)}" title="${escapeHTML(video.title)}" loading="lazy"
+                allow="accelerometer; autoplay; encrypted-media; gyroscope; picture-in-picture; fullscreen" allowfullscreen></iframe>`;
+}
+
+function generateCredits(heading, credits, describe) {
+  if (!credits.length) return '';
+  return `
+                <section class="section">
+                    <h2>${heading}</h2>
+                    <ul class="credits">
+                        ${credits.map(credit => `
+                            <li><strong>${escapeHTML(credit.name)}</strong>${describe(credit) ? ` <span class="role">${escapeHTML(describe(credit))}</span>` : ''}</li>
+                        `).join('')}
+                    </ul>
+                </section>`;
+}
+
+function generateVideoCard(video, baseUrl) {
+  const typeSlug = video.contentType === 'MOVIE' ? 'movie' : 'tv-series';
+  const posterUrl = video.poster || `${baseUrl}/images/default-poster.jpg`;
+  return `
+                <div class="video-card">
+                    <a href="${baseUrl}/watch/${typeSlug}/${video.slug}">
+                        <img src="${escapeHTML(posterUrl)}" alt="${escapeHTML(video.title)} - Kinyarwanda translation" loading="lazy" onerror="this.src='${baseUrl}/images/default-poster.jpg'">
+                        <h3>${escapeHTML(truncate(video.title, 60))}</h3>
+                        <p class="card-meta">${video.isSeries
+                          ? `TV Series · ${video.episodeCount} ${video.episodeCount === 1 ? 'episode' : 'episodes'}`
+                          : `${video.contentType === 'MOVIE' ? 'Movie' : 'TV Series'}${video.releaseYear ? ` · ${video.releaseYear}` : ''}`}</p>
+                    </a>
+                </div>`;
+}
+
+// "S1 · E2 · Episode title"
+function formatEpisodeLabel(episode) {
+  return `S${episode.seasonNumber} · E${episode.episodeNumber}${episode.episodeTitle ? ` · ${episode.episodeTitle}` : ''}`;
+}
+
+// Schema.org Person list for one crew job, or undefined when nobody has it
+function people(credits, role) {
+  const names = credits.filter(credit => credit.role === role);
+  if (names.length === 0) return undefined;
+  return names.map(credit => ({ "@type": "Person", "name": credit.name }));
+}
+
+function generateNotFoundHTML(baseUrl, contentType) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Not Found - Agasobanuye</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <style>
+        body { background: #0a0a0a; color: white; text-align: center; padding: 4rem 2rem; font-family: system-ui; }
+        h1 { color: #FAD201; margin-bottom: 1rem; }
+        a { background: #008753; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block; margin-top: 1rem; }
+    </style>
+</head>
+<body>
+    <h1>Video Not Found</h1>
+    <p>We couldn't find that ${contentType === 'MOVIE' ? 'movie' : 'TV series'}. It may have been renamed or removed.</p>
+    <a href="${baseUrl}/agasobanuye/?type=${contentType}">Browse ${contentType === 'MOVIE' ? 'Movies' : 'TV Shows'}</a>
+</body>
+</html>`;
+}
+
+function generateErrorHTML(baseUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <title>Error - Agasobanuye</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <style>
+        body { background: #0a0a0a; color: white; text-align: center; padding: 4rem 2rem; font-family: system-ui; }
+        h1 { color: #FAD201; margin-bottom: 1rem; }
+        a { background: #008753; color: white; padding: 1rem 2rem; text-decoration: none; border-radius: 8px; display: inline-block; margin-top: 1rem; }
+    </style>
+</head>
+<body>
+    <h1>Something Went Wrong</h1>
+    <p>We're having trouble loading this video. Please try again later.</p>
+    <a href="${baseUrl}/agasobanuye/">Go Back to Agasobanuye</a>
+</body>
+</html>`;
+}
+
+function generateHeader(baseUrl) {
+  return `<!-- Header -->
+    <header class="header" role="banner">
+        <div class="container">
+            <div class="header-content">
+                <a href="${baseUrl}/" class="logo">🏠 Rwanda Cinema</a>
+                <form class="search-form" action="${baseUrl}/agasobanuye/" method="GET" role="search">
+                    <input type="text" name="search" class="search-input" placeholder="Search translated movies..." aria-label="Search translated content">
+                    <button type="submit" class="search-button">Search</button>
+                </form>
+                <nav class="nav" role="navigation" aria-label="Main navigation">
+                    <a href="${baseUrl}/" class="nav-link">Home</a>
+                    <a href="${baseUrl}/agasobanuye/" class="nav-link active">Agasobanuye</a>
+                </nav>
+            </div>
+        </div>
+    </header>`;
+}
+
+function generateFooter() {
+  return `<!-- Footer -->
+    <footer class="footer" role="contentinfo">
+        <div class="container">
+            <p>&copy; ${new Date().getFullYear()} Rwanda Cinema. All rights reserved.</p>
+            <p>Bringing global content to Kinyarwanda speakers worldwide</p>
+        </div>
+    </footer>`;
+}
+
+const PAGE_STYLES = `<style>
+        :root {
+            --primary: #008753;
+            --secondary: #FAD201;
+            --accent: #00A1DE;
+            --dark: #0a0a0a;
+            --card-bg: #1a1a1a;
+            --text-light: #e0e0e0;
+            --border: #333;
+            --danger: #dc3545;
+        }
+
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+            font-family: 'Segoe UI', system-ui, sans-serif;
+        }
+
+        body {
+            background: var(--dark);
+            color: white;
+            line-height: 1.6;
+            min-height: 100vh;
+        }
+
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 0 1rem;
+        }
+
+        /* Header */
+        .header {
+            background: var(--primary);
+            padding: 1rem 0;
+            border-bottom: 3px solid var(--secondary);
+        }
+
+        .header-content {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            flex-wrap: wrap;
+            gap: 1rem;
+        }
+
+        .logo {
+            color: white;
+            text-decoration: none;
+            font-size: 1.5rem;
+            font-weight: bold;
+        }
+
+        .search-form {
+            display: flex;
+            gap: 0.5rem;
+            flex: 1;
+            max-width: 500px;
+        }
+
+        .search-input {
+            flex: 1;
+            padding: 0.75rem;
+            border: none;
+            border-radius: 6px;
+            font-size: 1rem;
+        }
+
+        .search-button {
+            background: var(--secondary);
+            color: var(--dark);
+            border: none;
+            padding: 0.75rem 1.5rem;
+            border-radius: 6px;
+            cursor: pointer;
+            font-weight: bold;
+        }
+
+        .nav {
+            display: flex;
+            gap: 1rem;
+        }
+
+        .nav-link {
+            color: white;
+            text-decoration: none;
+            padding: 0.5rem 1rem;
+            border-radius: 6px;
+        }
+
+        .nav-link:hover, .nav-link.active {
+            background: rgba(255,255,255,0.1);
+        }
+
+        /* Breadcrumb */
+        .breadcrumb {
+            background: var(--card-bg);
+            padding: 1rem;
+            border-radius: 8px;
+            margin: 1rem 0;
+            font-size: 0.9rem;
+        }
+
+        .breadcrumb a {
+            color: var(--secondary);
+            text-decoration: none;
+        }
+
+        .breadcrumb .separator {
+            color: var(--text-light);
+            margin: 0 0.5rem;
+        }
+
+        /* Player */
+        .player {
+            position: relative;
+            width: 100%;
+            aspect-ratio: 16 / 9;
+            background: #000;
+            border-radius: 12px;
+            overflow: hidden;
+            border: 1px solid var(--border);
+        }
+
+        .player iframe, .player video {
+            position: absolute;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+            border: 0;
+        }
+
+        .player-fallback {
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            height: 100%;
+            color: var(--text-light);
+        }
+
+        /* Details */
+        .watch {
+            display: grid;
+            grid-template-columns: 220px 1fr;
+            gap: 2rem;
+            margin: 2rem 0;
+        }
+
+        .watch-poster img {
+            width: 100%;
+            border-radius: 12px;
+            border: 1px solid var(--border);
+        }
+
+        .watch h1 {
+            font-size: 2rem;
+            line-height: 1.2;
+        }
+
+        .episode {
+            color: var(--secondary);
+            font-weight: bold;
+            margin-top: 0.25rem;
+        }
+
+        .tagline {
+            color: #aaa;
+            font-style: italic;
+            margin-top: 0.5rem;
+        }
+
+        .translator-credit {
+            display: inline-flex;
+            align-items: center;
+            gap: 0.5rem;
+            background: var(--primary);
+            color: white;
+            text-decoration: none;
+            padding: 0.5rem 1rem;
+            border-radius: 20px;
+            margin: 1rem 0;
+            font-weight: 500;
+        }
+
+        .watch-meta {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            margin-bottom: 1rem;
+        }
+
+        .watch-meta span {
+            background: var(--card-bg);
+            border: 1px solid var(--border);
+            color: var(--text-light);
+            padding: 0.25rem 0.75rem;
+            border-radius: 20px;
+            font-size: 0.85rem;
+        }
+
+        .watch-meta .quality {
+            background: var(--secondary);
+            color: var(--dark);
+            font-weight: bold;
+        }
+
+        .watch-meta .rating {
+            border-color: var(--danger);
+        }
+
+        .description {
+            color: var(--text-light);
+            margin-bottom: 1rem;
+        }
+
+        .warnings {
+            background: rgba(220, 53, 69, 0.1);
+            border-left: 3px solid var(--danger);
+            padding: 0.75rem 1rem;
+            border-radius: 6px;
+            margin-bottom: 1rem;
+            font-size: 0.9rem;
+        }
+
+        .section {
+            margin: 1.5rem 0;
+        }
+
+        .section h2 {
+            color: var(--secondary);
+            font-size: 1.25rem;
+            margin-bottom: 0.75rem;
+        }
+
+        .section p, .section li {
+            color: var(--text-light);
+        }
+
+        .credits {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+            gap: 0.5rem 1.5rem;
+            list-style: none;
+        }
+
+        .credits .role {
+            color: #999;
+            font-size: 0.9rem;
+        }
+
+        .details {
+            display: grid;
+            grid-template-columns: max-content 1fr;
+            gap: 0.25rem 1.5rem;
+        }
+
+        .details dt {
+            color: #999;
+        }
+
+        .details dd {
+            color: var(--text-light);
+        }
+
+        .awards {
+            padding-left: 1.25rem;
+        }
+
+        .trailer {
+            position: relative;
+            aspect-ratio: 16 / 9;
+            max-width: 640px;
+            border-radius: 12px;
+            overflow: hidden;
+        }
+
+        .trailer iframe {
+            position: absolute;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+            border: 0;
+        }
+
+        .body a {
+            color: var(--secondary);
+        }
+
+        .body p, .body ul, .body ol, .body blockquote, .body pre {
+            margin-bottom: 1rem;
+        }
+
+        .body .video-embed {
+            position: relative;
+            aspect-ratio: 16 / 9;
+            margin-bottom: 1rem;
+        }
+
+        .body .video-embed iframe {
+            position: absolute;
+            inset: 0;
+            width: 100%;
+            height: 100%;
+        }
+
+        /* More from this translator */
+        .videos-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+            gap: 1.5rem;
+        }
+
+        .video-card {
+            background: var(--card-bg);
+            border-radius: 12px;
+            overflow: hidden;
+            border: 1px solid var(--border);
+            transition: transform 0.3s;
+        }
+
+        .video-card:hover {
+            transform: translateY(-4px);
+        }
+
+        .video-card a {
+            color: inherit;
+            text-decoration: none;
+        }
+
+        .video-card img {
+            width: 100%;
+            aspect-ratio: 2 / 3;
+            object-fit: cover;
+            display: block;
+        }
+
+        .video-card h3 {
+            font-size: 0.95rem;
+            padding: 0.75rem 0.75rem 0;
+        }
+
+        .video-card .card-meta {
+            color: #999;
+            font-size: 0.8rem;
+            padding: 0 0.75rem 0.75rem;
+        }
+
+        .watch h1 a {
+            color: inherit;
+            text-decoration: none;
+        }
+
+        /* Episodes */
+        .episode-nav {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 1rem;
+            margin-top: 1rem;
+        }
+
+        .episode-nav a {
+            color: var(--secondary);
+            text-decoration: none;
+            font-weight: 500;
+        }
+
+        .episode-nav a.next {
+            background: var(--primary);
+            color: white;
+            padding: 0.5rem 1rem;
+            border-radius: 6px;
+        }
+
+        .season-tabs {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 0.5rem;
+            border-bottom: 1px solid var(--border);
+            margin-bottom: 1rem;
+        }
+
+        .season-tabs a {
+            color: var(--text-light);
+            text-decoration: none;
+            padding: 0.5rem 1rem;
+            border-bottom: 3px solid transparent;
+        }
+
+        .season-tabs a.active {
+            color: var(--secondary);
+            border-bottom-color: var(--secondary);
+            font-weight: bold;
+        }
+
+        .episode-list {
+            list-style: none;
+        }
+
+        .episode-list li {
+            border-bottom: 1px solid var(--border);
+        }
+
+        .episode-list a {
+            display: flex;
+            gap: 1rem;
+            align-items: center;
+            padding: 0.75rem 0.5rem;
+            color: white;
+            text-decoration: none;
+        }
+
+        .episode-list a:hover {
+            background: var(--card-bg);
+        }
+
+        .episode-list .number {
+            color: var(--secondary);
+            font-weight: bold;
+            min-width: 3rem;
+        }
+
+        .episode-list .title {
+            flex: 1;
+        }
+
+        .episode-list .info {
+            color: #999;
+            font-size: 0.85rem;
+        }
+
+        /* Footer */
+        .footer {
+            background: var(--card-bg);
+            border-top: 3px solid var(--primary);
+            margin-top: 3rem;
+            padding: 2rem 0;
+            text-align: center;
+            color: var(--text-light);
+        }
+
+        @media (max-width: 768px) {
+            .watch {
+                grid-template-columns: 1fr;
+            }
+
+            .watch-poster {
+                max-width: 220px;
+            }
+
+            .watch h1 {
+                font-size: 1.5rem;
+            }
+        }
+    </style>`;
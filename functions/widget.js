@@ -0,0 +1,63 @@
+// functions/widget.js
+// Partner-site widget: a script that renders a strip of the latest films (or
+// agasobanuye) next to its own <script> tag. Options are documented in
+// _lib/widget.js.
+import { loadMovieCatalog } from './_lib/movies.js';
+import { loadTranslatedCatalog } from './_lib/translated.js';
+import { loadCategoryRegistry } from './_lib/categories.js';
+import { loadTranslatorRegistry, listTranslators } from './_lib/translators.js';
+import { withCatalogStatus, catalogErrorHeaders } from './_lib/catalog-cache.js';
+import { readWidgetOptions, latestFilms, latestTranslated, renderWidgetScript } from './_lib/widget.js';
+
+export async function onRequest(context) {
+  const url = new URL(context.request.url);
+  const baseUrl = url.origin;
+  const options = readWidgetOptions(url.searchParams);
+
+  try {
+    let strip;
+    if (options.source === 'agasobanuye') {
+      const [videos, registry] = await Promise.all([
+        loadTranslatedCatalog(context),
+        loadTranslatorRegistry(context)
+      ]);
+      strip = latestTranslated(videos, listTranslators(registry, videos), options, baseUrl);
+    } else {
+      const [videos, categories] = await Promise.all([
+        loadMovieCatalog(context),
+        loadCategoryRegistry(context)
+      ]);
+      strip = latestFilms(videos, categories, options, baseUrl);
+    }
+
+    if (!strip) {
+      return scriptResponse(`console.warn('Rwanda Cinema widget: unknown ${options.category ? 'category' : 'translator'}');`, {
+        status: 404,
+        headers: { 'Cache-Control': 'public, max-age=60' }
+      });
+    }
+
+    return withCatalogStatus(context, scriptResponse(renderWidgetScript(strip, options, baseUrl), {
+      // Query strings vary per partner, so the webhook can't purge these; keep them short-lived
+      headers: { 'Cache-Control': 'public, max-age=300' }
+    }));
+  } catch (error) {
+    console.error('Error generating widget:', error);
+    return scriptResponse(`console.warn('Rwanda Cinema widget is unavailable right now');`, {
+      status: error.retryAfter ? 503 : 500,
+      headers: catalogErrorHeaders(error)
+    });
+  }
+}
+
+function scriptResponse(body, { status = 200, headers = {} }) {
+  return new Response(body, {
+    status,
+    headers: {
+      'Content-Type': 'application/javascript; charset=utf-8',
+      'X-Content-Type-Options': 'nosniff',
+      'Access-Control-Allow-Origin': '*',
+      ...headers
+    }
+  });
+}
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeVideo } from '../functions/_lib/catalog.js';
+import { readEntry, MOVIE_SCHEMA } from '../functions/_lib/schema.js';
+
+// A film written with the field names AddVideo.html submits
+const UPLOADED_FILM = [
+  '---',
+  'title: "Inzozi"',
+  'date: 2025-04-02T10:00:00.000Z',
+  'videoUrl: "https://www.youtube.com/embed/abc123"',
+  'posterUrl: "https://img.example.com/inzozi.jpg"',
+  'description: "A short drama."',
+  'director: "Aline Uwase"',
+  'producer: "Eric Mugisha"',
+  'mainCast: "Jean Bosco, Diane Keza"',
+  'supportingCast: "Patrick Nkusi"',
+  '---',
+  ''
+].join('\n');
+
+test('reads film cast from the upload form fields', () => {
+  const path = 'content/movies/drama/inzozi.md';
+  const { data, body, issue } = readEntry(UPLOADED_FILM, path, MOVIE_SCHEMA);
+  assert.equal(issue, null);
+
+  const video = normalizeVideo(data, { category: 'drama', slug: 'inzozi', sourcePath: path, body });
+  assert.deepEqual(video.cast.map(credit => credit.name), ['Jean Bosco', 'Diane Keza', 'Patrick Nkusi']);
+  assert.deepEqual(video.crew.map(credit => [credit.name, credit.role]), [
+    ['Aline Uwase', 'Director'],
+    ['Eric Mugisha', 'Producer']
+  ]);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitFrontmatter, parseFrontmatter } from '../functions/_lib/frontmatter.js';
+
+test('splits frontmatter from the body', () => {
+  const { data, body } = splitFrontmatter('---\ntitle: Papa Sava\nviews: 12\n---\nBody text\n');
+  assert.deepEqual(data, { title: 'Papa Sava', views: 12 });
+  assert.equal(body, 'Body text\n');
+});
+
+test('reads the scalar and collection styles editors write', () => {
+  const data = parseFrontmatter([
+    '---',
+    'title: "Fast X: Part 1"',
+    'quoted: \'it\'\'s\'',
+    'date: 2025-03-01',
+    'draft: false',
+    'missing: null',
+    'rating: 7.9',
+    'genre: [Action, Crime]',
+    'cast:',
+    '  - name: Vin Diesel',
+    '    role: Dom',
+    'description: |',
+    '  Line one.',
+    '  Line two.',
+    'folded: >-',
+    '  one',
+    '  two',
+    '# a comment',
+    '---'
+  ].join('\r\n'));
+
+  assert.equal(data.title, 'Fast X: Part 1');
+  assert.equal(data.quoted, "it's");
+  assert.equal(data.date, '2025-03-01'); // timestamps stay strings
+  assert.equal(data.draft, false);
+  assert.equal(data.missing, null);
+  assert.equal(data.rating, 7.9);
+  assert.deepEqual(data.genre, ['Action', 'Crime']);
+  assert.deepEqual(data.cast, [{ name: 'Vin Diesel', role: 'Dom' }]);
+  assert.equal(data.description, 'Line one.\nLine two.\n');
+  assert.equal(data.folded, 'one two');
+});
+
+test('null without a frontmatter block', () => {
+  assert.equal(splitFrontmatter('# Just markdown'), null);
+  assert.equal(parseFrontmatter('# Just markdown'), null);
+});
+
+test('malformed YAML throws with the file line', () => {
+  assert.throws(() => splitFrontmatter('---\ntitle: ok\ngenre: [Action\n---\n'), error => error.line > 0);
+  assert.equal(parseFrontmatter('---\ntitle: ok\ngenre: [Action\n---\n'), null);
+});
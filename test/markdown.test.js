@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from '../functions/_lib/markdown.js';
+
+const link = url => renderMarkdown(`[x](${url})`);
+
+test('keeps http(s) and site-relative links', () => {
+  assert.match(link('https://rwandacinema.site/about'), /href="https:\/\/rwandacinema\.site\/about"/);
+  assert.match(link('/about'), /href="\/about"/);
+  assert.match(link('./about'), /href="\.\/about"/);
+  assert.match(link('../about'), /href="\.\.\/about"/);
+  assert.match(link('#cast'), /href="#cast"/);
+});
+
+test('drops links that leave the site through another scheme or host', () => {
+  for (const url of ['javascript:alert(1)', 'data:text/html,hi', '//evil.example/x', '/\\evil.example/x', 'vbscript:x']) {
+    assert.doesNotMatch(link(url), /href=/, url);
+  }
+});
+
+test('escapes raw HTML', () => {
+  const html = renderMarkdown('<script>alert(1)</script> <img src=x onerror=alert(1)>');
+  assert.doesNotMatch(html, /<script|<img/);
+  assert.match(html, /&lt;script&gt;/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePage, paginate, pageUrl, pageNumbers, lastPageUrl, listingUrls } from '../functions/_lib/pagination.js';
+
+test('page numbers from the query string', () => {
+  assert.equal(parsePage('3'), 3);
+  for (const value of [null, '', '0', '-2', '2.5', 'abc']) assert.equal(parsePage(value), 1, String(value));
+});
+
+test('paginate reports positions and pages past the end', () => {
+  const items = Array.from({ length: 5 }, (_, i) => i);
+  assert.deepEqual(paginate(items, 2, 2), {
+    items: [2, 3], page: 2, pageSize: 2, total: 5, totalPages: 3, first: 3, last: 4, outOfRange: false
+  });
+  assert.equal(paginate(items, 4, 2).outOfRange, true);
+  assert.equal(paginate([], 1, 2).totalPages, 1);
+});
+
+test('page 1 keeps the unpaged URL', () => {
+  assert.equal(pageUrl('https://x/?category=comedy', 1), 'https://x/?category=comedy');
+  assert.equal(pageUrl('https://x/?category=comedy', 3), 'https://x/?category=comedy&page=3');
+  assert.equal(pageUrl('https://x/agasobanuye/', 2), 'https://x/agasobanuye/?page=2');
+  assert.equal(lastPageUrl('https://x/?search=a&page=9', 1), 'https://x/?search=a');
+  assert.deepEqual(pageNumbers(5, 10), [1, null, 3, 4, 5, 6, 7, null, 10]);
+});
+
+test('pagination links keep the sort; the canonical drops it but keeps the page', () => {
+  const filterUrl = 'https://x/?category=comedy';
+  assert.deepEqual(listingUrls(filterUrl, { sort: 'newest', defaultSort: 'newest', page: 1 }), {
+    sortParams: [], listingUrl: filterUrl, canonicalUrl: filterUrl
+  });
+  assert.deepEqual(listingUrls(filterUrl, { sort: 'views', defaultSort: 'newest', page: 3 }), {
+    sortParams: ['sort=views'],
+    listingUrl: 'https://x/?category=comedy&sort=views',
+    canonicalUrl: 'https://x/?category=comedy&page=3'
+  });
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectChangedFiles, isPushTruncated, PUSH_COMMIT_LIMIT } from '../functions/_lib/github.js';
+
+test('folds commits in order', () => {
+  const { changed, removed } = collectChangedFiles([
+    { added: ['a.md', 'b.md'], modified: [], removed: [] },
+    { added: [], modified: ['c.md'], removed: ['a.md'] },
+    { added: ['a.md'], modified: [], removed: ['b.md'] }
+  ]);
+  assert.deepEqual(changed.sort(), ['a.md', 'c.md']);
+  assert.deepEqual(removed, ['b.md']);
+});
+
+test('tolerates commits without file lists', () => {
+  assert.deepEqual(collectChangedFiles([{}]), { changed: [], removed: [] });
+});
+
+test('pushes at the commit limit or without a commit list are truncated', () => {
+  const commits = count => Array.from({ length: count }, () => ({ modified: ['a.md'] }));
+  assert.equal(isPushTruncated({ commits: commits(1) }), false);
+  assert.equal(isPushTruncated({ commits: commits(PUSH_COMMIT_LIMIT - 1) }), false);
+  assert.equal(isPushTruncated({ commits: commits(PUSH_COMMIT_LIMIT) }), true);
+  assert.equal(isPushTruncated({}), true);
+});
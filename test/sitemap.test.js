@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SITEMAP_CHUNK_SIZE, sitemapEntries, sitemapChunkUrls, renderSitemapIndex, renderSitemapChunk
+} from '../functions/_lib/sitemap.js';
+
+const BASE = 'https://rwandacinema.site';
+
+function sources(filmCount) {
+  const films = Array.from({ length: filmCount }, (_, i) => ({
+    category: 'comedy',
+    slug: `film-${i}`,
+    title: `Film ${i}`,
+    posterUrl: '/images/p.jpg',
+    videoUrl: 'https://www.youtube.com/watch?v=abcdefghijk',
+    durationSeconds: 600,
+    publishedAt: new Date(Date.UTC(2025, 0, 1 + (i % 28))).toISOString()
+  }));
+  return { films, translated: [], categories: [{ slug: 'comedy', name: 'Comedy' }], translators: [] };
+}
+
+test('film entries carry video tags with the embed page as player', () => {
+  const [entry] = sitemapEntries('films', sources(1), BASE);
+  assert.equal(entry.loc, `${BASE}/comedy/film-0`);
+  assert.equal(entry.imageUrl, `${BASE}/images/p.jpg`);
+  assert.equal(entry.video.thumbnailUrl, `${BASE}/images/p.jpg`);
+  assert.equal(entry.video.playerUrl, `${BASE}/embed/comedy/film-0`);
+  assert.equal(entry.video.duration, 600);
+  assert.equal(entry.video.familyFriendly, true);
+
+  const xml = renderSitemapChunk('films', 1, sources(1), BASE);
+  assert.match(xml, /<video:player_loc>https:\/\/rwandacinema\.site\/embed\/comedy\/film-0<\/video:player_loc>/);
+  assert.match(xml, /<video:duration>600<\/video:duration>/);
+});
+
+test('no video block without a thumbnail, and adult ratings are not family friendly', () => {
+  const data = sources(2);
+  data.films[0].posterUrl = '';
+  data.films[1].rating = 'R';
+  const [unthumbed, rated] = sitemapEntries('films', data, BASE);
+  assert.equal(unthumbed.video, null);
+  assert.equal(rated.video.familyFriendly, false);
+});
+
+test('types are cut into chunks of SITEMAP_CHUNK_SIZE', () => {
+  const data = sources(SITEMAP_CHUNK_SIZE + 1);
+  const first = renderSitemapChunk('films', 1, data, BASE);
+  const second = renderSitemapChunk('films', 2, data, BASE);
+
+  assert.equal(first.match(/<url>/g).length, SITEMAP_CHUNK_SIZE);
+  assert.equal(second.match(/<url>/g).length, 1);
+  assert.equal(renderSitemapChunk('films', 3, data, BASE), null);
+  assert.equal(renderSitemapChunk('films', 0, data, BASE), null);
+  assert.equal(renderSitemapChunk('bogus', 1, data, BASE), null);
+});
+
+test('the index lists every chunk and leaves out empty types', () => {
+  const index = renderSitemapIndex(sources(SITEMAP_CHUNK_SIZE + 1), BASE);
+  const locs = [...index.matchAll(/<loc>([^<]+)<\/loc>/g)].map(match => match[1]);
+
+  assert.deepEqual(locs, [
+    `${BASE}/sitemaps/static-1.xml`,
+    `${BASE}/sitemaps/categories-1.xml`,
+    `${BASE}/sitemaps/films-1.xml`,
+    `${BASE}/sitemaps/films-2.xml`
+  ]);
+  assert.match(index, /<lastmod>2025-01-28<\/lastmod>/);
+});
+
+test('entries carry their own lastmod, or none without a date', () => {
+  const [entry] = sitemapEntries('films', sources(1), BASE);
+  assert.equal(entry.lastmod, '2025-01-01T00:00:00.000Z');
+  assert.equal(sitemapEntries('static', sources(0), BASE).find(e => e.loc === `${BASE}/about`).lastmod, undefined);
+});
+
+test('purge URLs cover every chunk plus the one after', () => {
+  assert.deepEqual(sitemapChunkUrls(BASE, 'films', 0), [`${BASE}/sitemaps/films-1.xml`]);
+  assert.equal(sitemapChunkUrls(BASE, 'films', SITEMAP_CHUNK_SIZE + 1).length, 3);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortVideos, sortByPublished, parseSort, SORT_OPTIONS, FILM_SORT_OPTIONS, normalizeTranslatedVideo } from '../functions/_lib/catalog.js';
+
+const video = (title, fields) => ({ title, slug: title.toLowerCase(), publishedAt: '', ...fields });
+
+test('unknown sorts fall back to newest; films have no rating sort', () => {
+  assert.equal(parseSort('views'), 'views');
+  assert.equal(parseSort('bogus'), SORT_OPTIONS[0].value);
+  assert.equal(parseSort('rating'), 'rating');
+  assert.equal(parseSort('rating', FILM_SORT_OPTIONS), FILM_SORT_OPTIONS[0].value);
+});
+
+test('each sort key orders by its field, missing values last', () => {
+  const videos = [
+    video('B', { views: 5, score: null, durationSeconds: 600, publishedAt: '2025-01-02T00:00:00.000Z' }),
+    video('A', { views: 9, score: 6, durationSeconds: null, publishedAt: '2025-01-01T00:00:00.000Z' }),
+    video('C', { views: 1, score: 8, durationSeconds: 60, publishedAt: '2025-01-03T00:00:00.000Z' })
+  ];
+  const titles = sort => sortVideos(videos, sort).map(v => v.title).join('');
+
+  assert.equal(titles('newest'), 'CBA');
+  assert.equal(titles('views'), 'ABC');
+  assert.equal(titles('rating'), 'CAB');
+  assert.equal(titles('title'), 'ABC');
+  assert.equal(titles('longest'), 'BCA');
+  assert.equal(titles('shortest'), 'CBA');
+  assert.equal(videos[0].title, 'B', 'the input is left in place');
+});
+
+test('agasobanuye are rated by their IMDb rating unless scored by hand', () => {
+  const file = { filename: 'x.md', title: 'Avatar', contentType: 'MOVIE', translator: 'Rocky', sourcePath: 'x.md' };
+  assert.equal(normalizeTranslatedVideo({ imdbRating: 7.9 }, file).score, 7.9);
+  assert.equal(normalizeTranslatedVideo({ imdbRating: 7.9, score: 9 }, file).score, 9);
+  assert.equal(normalizeTranslatedVideo({}, file).score, null);
+});
+
+test('undated agasobanuye have no publishedAt and sort last', () => {
+  const file = { filename: 'x.md', title: 'Avatar', contentType: 'MOVIE', translator: 'Rocky', sourcePath: 'x.md' };
+  const undated = normalizeTranslatedVideo({}, file);
+  assert.equal(undated.publishedAt, '');
+  assert.equal(undated.formattedDate, undefined);
+
+  const dated = normalizeTranslatedVideo({ title: 'Old', dateAdded: '2001-01-01' }, file);
+  assert.equal(dated.publishedAt, '2001-01-01T00:00:00.000Z');
+  assert.deepEqual(sortVideos([undated, dated], 'newest').map(v => v.title), ['Old', 'Avatar']);
+  assert.deepEqual(sortByPublished([undated, dated]).map(v => v.title), ['Old', 'Avatar']);
+});